@@ -48,14 +48,49 @@ const PlinkoProbabilityConstants = {
 
   BINARY_PROBABILITY_RANGE: new RangeWithValue( 0, 1, 0.5 ),
 
+  // probability that a ball passes straight down through a peg of a trinomial board, see LabModel
+  STRAIGHT_PROBABILITY_RANGE: new RangeWithValue( 0, 1, 1 / 3 ),
+
+  // tendency of a ball to bounce in the same direction as at the previous peg, see LabModel.persistenceProperty
+  PERSISTENCE_RANGE: new RangeWithValue( 0, 1, 0 ),
+
+  // fraction of the speed toward a peg that a ball keeps when it bounces off the peg, see PhysicsBall
+  RESTITUTION_RANGE: new RangeWithValue( 0, 1, 0.5 ),
+
+  // fraction of the speed along the surface of a peg that a ball loses when it bounces off the peg, see PhysicsBall
+  FRICTION_RANGE: new RangeWithValue( 0, 1, 0.25 ),
+
+  // number of species of balls, dropped alternately from the hopper, see PlinkoProbabilityCommonModel.numberOfSpeciesProperty
+  SPECIES_RANGE: new RangeWithValue( 1, 3, 1 ),
+
+  // seed of the random source, see PlinkoProbabilityQueryParameters.seed
+  SEED_RANGE: new RangeWithValue( 0, 9999, 0 ),
+
+  // speed of a replay, relative to the speed at which the experiment was recorded
+  REPLAY_SPEED_RANGE: new RangeWithValue( 0.25, 8, 1 ),
+
+  // number of balls in a batch, and number of batches run by the Play button, on the Sampling screen
+  BATCH_SIZE_RANGE: new RangeWithValue( 1, 100, 10 ),
+  NUMBER_OF_BATCHES_RANGE: new RangeWithValue( 1, 5000, 1000 ),
+
+  // number of balls dropped all at once by the Drop Now button, on the Lab screen, see LabModel.dropBallsNow
+  DROP_NOW_RANGE: new RangeWithValue( 1E3, 1E7, 1E6 ),
+
+  // parameters a and b of the Beta(a,b) prior of the binary probability, the default is the uniform prior
+  PRIOR_PARAMETER_RANGE: new RangeWithValue( 0.5, 20, 1 ),
+
   //TODO Bad things happen if ROWS_RANGE.min is !== 5. See https://github.com/phetsims/plinko-probability/issues/84
   ROWS_RANGE: new RangeWithValue( PlinkoProbabilityQueryParameters.minRow,
     PlinkoProbabilityQueryParameters.maxRow,
     PlinkoProbabilityQueryParameters.defaultRow ),
 
+  // a trinomial board with the maximum number of rows has the most bins, see PlinkoProbabilityCommonModel.numberOfBinsProperty
+  MAX_NUMBER_OF_BINS: 2 * PlinkoProbabilityQueryParameters.maxRow + 1,
+
   // constants for the ball and the pegs
   BALL_COLOR: 'rgb(237,28,36)', // color of the Ball.
   BALL_HIGHLIGHT_COLOR: 'white', // color of the Ball's glare
+  SPECIES_COLORS: [ 'rgb(237,28,36)', 'rgb(0,146,69)', 'rgb(247,148,29)' ], // colors of the species of balls: red, green, orange
   PEG_COLOR: 'rgb(115,99,87)', //brown
   BALL_SIZE_FRACTION: 0.193,  // radius of the ball compared to the horizontal separation of the pegs.
 
@@ -68,6 +103,8 @@ const PlinkoProbabilityConstants = {
   HISTOGRAM_BAR_COLOR_FILL: 'rgb(237,28,36)', // red
   HISTOGRAM_BAR_COLOR_STROKE: 'rgb(193,39,45)', // darker shade of red
   BINOMIAL_DISTRIBUTION_BAR_COLOR_STROKE: 'blue',
+  NORMAL_CURVE_COLOR: 'rgb(102,45,145)', // purple
+  POISSON_COLOR: 'rgb(0,158,160)', // teal
 
   // cylinder
   CYLINDER_BASE_COLOR: new Color( 171, 189, 196, 0.5 ), // must be of type Color
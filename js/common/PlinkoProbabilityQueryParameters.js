@@ -51,12 +51,13 @@ const PlinkoProbabilityQueryParameters = QueryStringMachine.getAll( {
       return value > 0 && Utils.isInteger( value );
     }
   },
-  // maximum number of peg rows on lab screen
+  // maximum number of peg rows on lab screen, up to 500. With hundreds of rows, the pegs are too close to be
+  // drawn one by one, and they are shaded by their density, see PegsNode.
   maxRow: {
     type: 'number',
     defaultValue: 26,
     isValidValue: function( value ) {
-      return value > 0 && Utils.isInteger( value );
+      return value > 0 && value <= 500 && Utils.isInteger( value );
     }
   },
   // default number of peg rows on intro and lab screen
@@ -68,6 +69,32 @@ const PlinkoProbabilityQueryParameters = QueryStringMachine.getAll( {
     }
   },
 
+  // Binary probability for each row of the Galton board in the Lab screen, starting with the top row,
+  // e.g. rowProbabilities=0.1,0.5,0.9
+  // Rows beyond the end of the list use the last value. Moving the probability slider replaces the profile.
+  rowProbabilities: {
+    type: 'array',
+    elementSchema: {
+      type: 'number'
+    },
+    defaultValue: null,
+    isValidValue: function( array ) {
+      return ( array === null ) || ( array.length > 0 && _.every( array, function( value ) {
+        return value >= 0 && value <= 1;
+      } ) );
+    }
+  },
+
+  // Seed for the random source that determines the paths of the balls, e.g. seed=1234
+  // The same seed, rows, probability and number of balls reproduces the same experiment on both screens.
+  seed: {
+    type: 'number',
+    defaultValue: null,
+    isValidValue: function( value ) {
+      return ( value === null ) || ( Utils.isInteger( value ) && value >= 0 && value <= 9999 );
+    }
+  },
+
   // Uses 3D appearance for the Play button, see https://github.com/phetsims/plinko-probability/issues/26
   play3D: { type: 'flag' }
 } );
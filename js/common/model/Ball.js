@@ -9,26 +9,65 @@
 import Emitter from '../../../../axon/js/Emitter.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
 import plinkoProbability from '../../plinkoProbability.js';
 import PlinkoProbabilityConstants from '../PlinkoProbabilityConstants.js';
 import BallPhase from './BallPhase.js';
 import GaltonBoard from './GaltonBoard.js';
 
+// constants
+const DIRECTION_SIGNS = { left: -1, straight: 0, right: 1 }; // horizontal direction of the motion between two rows
+
 /**
- * @param {number} probability - number ranging from 0 to 1
+ * @param {number|function(number,number,string|null):number} probability - probability of going right, a number
+ *   ranging from 0 to 1, or a function that returns such a number for a peg, given its row number, its column number
+ *   and the direction of the ball at the previous peg (null for the first peg, 'straight' after falling through a
+ *   missing peg). On a trinomial board, this is the probability of going right when the ball does not pass straight
+ *   through the peg.
  * @param {number} numberOfRows - an integer
  * @param {Array.<Object>} bins
+ * @param {Random} random - source of the random decisions at the pegs
+ * @param {Object} [options]
  * @constructor
  */
-function Ball( probability, numberOfRows, bins ) {
+function Ball( probability, numberOfRows, bins, random, options ) {
+
+  options = merge( {
+    directions: null, // {string[]|null} direction at each peg, indexed by row number, used to replay a recorded ball
+    boardType: 'binary', // {string} 'binary' or 'trinomial', see GaltonBoard
+
+    // {number} probability of passing straight through a peg of a trinomial board, a number ranging from 0 to 1
+    straightProbability: 0,
+
+    // {function(number,number):boolean|null} is there a peg at a row and column? null if no peg has been knocked out
+    isPegPresent: null,
+
+    // {boolean} is the direction at each peg decided when the ball reaches the peg, rather than when it is created?
+    // With a lazy path, changes to the probabilities affect the ball until it has left the pegs.
+    lazyPath: false,
+
+    // {number} index of the species of the ball, see PlinkoProbabilityCommonModel.numberOfSpeciesProperty
+    speciesIndex: 0
+  }, options );
 
   // position vector
   this.position = new Vector2( 0, 0 ); // @public (read-only)
 
-  this.probability = probability; // @private (read-only)
+  this.probability = probability; // @private (read-only) {number|function}
   this.numberOfRows = numberOfRows; // @private (read-only)
+  this.bins = bins; // @private (read-only)
+  this.random = random; // @private (read-only)
+  this.directions = options.directions; // @private (read-only)
+  this.boardType = options.boardType; // @private (read-only)
+  this.straightProbability = options.straightProbability; // @private (read-only)
+  this.isPegPresentFunction = options.isPegPresent; // @private (read-only)
 
   this.pegSeparation = GaltonBoard.getPegSpacing( numberOfRows ); // @public (read-only)
+  this.speciesIndex = options.speciesIndex; // @public (read-only)
+
+  // @private (read-only) horizontal distance between a peg and the peg to its lower right, in units of pegSeparation.
+  // The pegs of a trinomial board are closer together, see GaltonBoard.
+  this.horizontalShift = ( options.boardType === 'trinomial' ) ? ( numberOfRows + 1 ) / ( 2 * numberOfRows + 1 ) : 0.5;
 
   this.ballRadius = this.pegSeparation * PlinkoProbabilityConstants.BALL_SIZE_FRACTION;  // @public (read-only)
 
@@ -36,10 +75,11 @@ function Ball( probability, numberOfRows, bins ) {
 
   // @public
   this.ballHittingPegEmitter = new Emitter( {
-    parameters: [ { validValues: [ 'left', 'right' ] } ]
+    parameters: [ { validValues: _.keys( DIRECTION_SIGNS ) } ]
   } );
   this.ballOutOfPegsEmitter = new Emitter();
   this.ballCollectedEmitter = new Emitter();
+  this.pathCompletedEmitter = new Emitter(); // fires when the direction at the last peg has been decided
 
   // rows and column
   /*
@@ -56,9 +96,12 @@ function Ball( probability, numberOfRows, bins ) {
   // 0 is the topmost
   this.row = 0; // @private
 
-  // the direction in which the ball is going 'left','right'
+  // the direction in which the ball is going 'left', 'right', or 'straight' on a trinomial board or through a missing peg
   this.direction = 'left';  // @public (read-only)
 
+  // is there a peg where the ball currently is? There isn't if the peg has been knocked out.
+  this.isPegPresent = true; // @private
+
   // 0 is the top of the current peg, 1 is the top of the next peg
   this.fallenRatio = 0; // @private
 
@@ -68,58 +111,35 @@ function Ball( probability, numberOfRows, bins ) {
   this.finalBinHorizontalOffset = 0; // @public describes final horizontal offset of ball within a bin {number}
   this.finalBinVerticalOffset = 0;  // @public describes final vertical offset of ball within a bin {number}
 
-  let direction;  // 'left', 'right'
-  let rowNumber;
-  let columnNumber = 0;
-  let peg; // {Object}
-
-  // the path of the balls through the pegs of the galton board  is determined
-  for ( rowNumber = 0; rowNumber <= numberOfRows; rowNumber++ ) {
-    direction = ( phet.joist.random.nextDouble() > probability ) ? 'left' : 'right';
-    peg = {
-      rowNumber: rowNumber, // an integer starting at zero
-      positionX: getPegPositionX( rowNumber, columnNumber, numberOfRows ),
-      positionY: getPegPositionY( rowNumber, columnNumber, numberOfRows ),
-      direction: direction // direction to the next peg
-    };
+  // @private (read-only) the pegs of the path that have been decided so far, pegHistory is consumed while stepping
+  this.path = [];
 
-    this.pegHistory.push( peg );
+  // @public (read-only) {number|null} bin position of the ball, null until the ball has reached the last row of pegs
+  this.binIndex = null;
 
-    // increment the column number of the next row, but not for the last row
-    if ( rowNumber < numberOfRows ) {
-      columnNumber += ( direction === 'left' ) ? 0 : 1;
-    }
-  }
+  // @public (read-only) {number|null} binCount indicates the number of balls in a specific cylinder
+  this.binCount = null;
 
-  // @public (read-only)
-  // bin position of the ball {number}
-  this.binIndex = columnNumber;
+  // @public (read-only) has the direction been decided at every peg of the path?
+  this.isPathComplete = false;
 
-  // @public (read-only)
-  // binCount {number} indicates the number of balls in a specific cylinder
-  this.binCount = bins[ columnNumber ].binCount;
+  // @private the column of the last peg of the path
+  this.columnNumber = 0;
 
-  // increment the number of balls in this index by one
-  this.binCount++;
+  // @private On a binary board, a ball that falls through a missing peg passes between two pegs of the next row,
+  // and then reaches the peg two rows below the missing peg. While it is between two pegs, it is half a column to
+  // the right of its column number.
+  this.isBetweenPegs = false;
 
+  // the path of the balls through the pegs of the galton board is determined, peg by peg for a lazy path
+  this.addPeg( 0 );
+  if ( !options.lazyPath ) {
+    this.completePath();
+  }
 }
 
 plinkoProbability.register( 'Ball', Ball );
 
-/**
- * Function that returns the X position of a peg with index rowNumber and column Number
- * The position is given in the model view (with respect to the galton board)
- *
- * @param {number} rowNumber
- * @param {number} columnNumber
- * @param {number} numberOfRows
- * @returns {number}
- * @public
- */
-var getPegPositionX = function( rowNumber, columnNumber, numberOfRows ) {
-  return ( -rowNumber / 2 + columnNumber ) / ( numberOfRows + 1 );
-};
-
 /**
  * Function that returns the Y position of a peg with index rowNumber and column Number
  * The position is given in the model view (with respect to the galton board)
@@ -172,7 +192,7 @@ inherit( Object, Ball, {
         this.phase = BallPhase.FALLING; // switch the phase
         this.fallenRatio = 0; // reset the ratio
         this.updatePegPosition(); // update the peg position information
-        this.ballHittingPegEmitter.emit( this.direction ); // can play a sound when ball hits peg;
+        this.isPegPresent && this.ballHittingPegEmitter.emit( this.direction ); // can play a sound when ball hits peg;
       }
     }
     else if ( this.phase === BallPhase.FALLING ) { //ball is falling between pegs
@@ -182,9 +202,9 @@ inherit( Object, Ball, {
       else { // the ball has reached the top of the next peg
         this.fallenRatio = 0; // reset the fallen ratio
 
-        if ( this.pegHistory.length > 1 ) { // if it is not the last peg
+        if ( this.pegHistory[ 0 ].rowNumber < this.numberOfRows ) { // if it is not the last peg
           this.updatePegPosition(); // update the next to last peg information
-          this.ballHittingPegEmitter.emit( this.direction ); // can play a sound when ball hits peg;
+          this.isPegPresent && this.ballHittingPegEmitter.emit( this.direction ); // can play a sound when ball hits peg;
         }
         else { // ball is at the top of the last peg
           this.phase = BallPhase.EXITED; // switch phases
@@ -237,8 +257,8 @@ inherit( Object, Ball, {
       // ball is falling through the pegs
       case BallPhase.FALLING:
 
-        // steer the ball to the left or right depending on this.direction
-        var shift = ( this.direction === 'left' ) ? -0.5 : 0.5;
+        // steer the ball to the left or right depending on this.direction, or let it fall straight down
+        var shift = DIRECTION_SIGNS[ this.direction ] * this.horizontalShift;
 
         // mimic the fall as a parabolic motion
         this.position.setXY( shift * this.fallenRatio, -this.fallenRatio * this.fallenRatio );
@@ -285,12 +305,134 @@ inherit( Object, Ball, {
   updateStatisticsAndLand: function() {
     if ( this.phase === BallPhase.INITIAL ) {
 
+      this.completePath();
+
       // send triggers
       this.ballOutOfPegsEmitter.emit();
       this.ballCollectedEmitter.emit();
 
       // change phase to indicate that ball has landed in bin
       this.phase = BallPhase.COLLECTED;
+
+      // move the ball to its position in the bin, below the last peg
+      this.pegPositionX = _.last( this.pegHistory ).positionX;
+      this.updatePosition();
+    }
+  },
+
+  /**
+   * Gets the information needed to recreate this ball when an experiment is replayed, see BallRecording.
+   * Must be called once the ball has reached the last row of pegs, so that its bin is known.
+   *
+   * @returns {Object}
+   * @public
+   */
+  getRecord: function() {
+    assert && assert( this.binIndex !== null, 'the bin of the ball is not known yet' );
+    return {
+      pegHistory: this.path.slice(),
+      binIndex: this.binIndex,
+      speciesIndex: this.speciesIndex
+    };
+  },
+
+  /**
+   * Decides the direction at each of the remaining pegs of the path.
+   *
+   * @public
+   */
+  completePath: function() {
+    while ( !this.isPathComplete ) {
+      this.decideDirection();
+    }
+  },
+
+  /**
+   * Adds the next peg to the path, at the current column. Whether the peg is present, and the direction at the peg,
+   * are decided later, by decideDirection.
+   *
+   * @param {number} rowNumber - integer starting at zero, numberOfRows for the bottom of the board
+   * @private
+   */
+  addPeg: function( rowNumber ) {
+    const peg = {
+      rowNumber: rowNumber, // an integer starting at zero
+      positionX: GaltonBoard.getPegPositionX( rowNumber, this.isBetweenPegs ? this.columnNumber + 0.5 : this.columnNumber,
+        this.numberOfRows, this.boardType ),
+      positionY: getPegPositionY( rowNumber, this.columnNumber, this.numberOfRows ),
+      direction: null, // direction to the next peg, see decideDirection
+      isPegPresent: true // false if the ball falls through a missing peg, or between two pegs, see decideDirection
+    };
+    this.path.push( peg );
+    this.pegHistory.push( peg );
+
+    if ( rowNumber === this.numberOfRows ) {
+
+      // bin position of the ball
+      this.binIndex = this.columnNumber;
+
+      // increment the number of balls in this index by one
+      this.binCount = this.bins[ this.binIndex ].binCount + 1;
+    }
+  },
+
+  /**
+   * Decides the direction at the last peg of the path, and adds the next peg to the path.
+   *
+   * @private
+   */
+  decideDirection: function() {
+    assert && assert( !this.isPathComplete, 'the path is complete' );
+
+    const peg = _.last( this.path );
+    const rowNumber = peg.rowNumber;
+    const previousDirection = ( this.path.length > 1 ) ? this.path[ this.path.length - 2 ].direction : null;
+    let direction;
+
+    // the last row is where the ball leaves the board, there is no peg to be knocked out
+    peg.isPegPresent = ( rowNumber === this.numberOfRows ) ||
+                       ( !this.isBetweenPegs && ( !this.isPegPresentFunction || this.isPegPresentFunction( rowNumber, this.columnNumber ) ) );
+
+    if ( this.directions ) {
+      direction = this.directions[ rowNumber ];
+    }
+    else if ( !peg.isPegPresent ) {
+
+      // the ball falls straight down, unless it falls on the divider between two bins, where it goes either way
+      direction = ( this.boardType === 'binary' && rowNumber === this.numberOfRows - 1 && !this.isBetweenPegs ) ?
+                  ( this.random.nextBoolean() ? 'left' : 'right' ) : 'straight';
+    }
+    else if ( this.boardType === 'trinomial' && this.random.nextDouble() < this.straightProbability ) {
+      direction = 'straight';
+    }
+    else {
+      const pegProbability = ( typeof this.probability === 'function' ) ?
+                             this.probability( rowNumber, this.columnNumber, previousDirection ) : this.probability;
+      direction = ( this.random.nextDouble() > pegProbability ) ? 'left' : 'right';
+    }
+    peg.direction = direction;
+
+    if ( rowNumber === this.numberOfRows ) {
+      this.isPathComplete = true;
+      this.pathCompletedEmitter.emit();
+    }
+    else {
+
+      // increment the column number of the next row.
+      // On a trinomial board, the peg to the lower right is two columns over.
+      if ( this.boardType === 'trinomial' ) {
+        this.columnNumber += DIRECTION_SIGNS[ direction ] + 1;
+      }
+      else if ( direction === 'straight' ) {
+
+        // the ball falls between two pegs, or from between two pegs to the peg below
+        this.columnNumber += this.isBetweenPegs ? 1 : 0;
+        this.isBetweenPegs = !this.isBetweenPegs;
+      }
+      else {
+        this.columnNumber += ( direction === 'left' ) ? 0 : 1;
+      }
+      this.addPeg( rowNumber + 1 );
     }
   },
 
@@ -310,11 +452,17 @@ inherit( Object, Ball, {
    * @private
    */
   updatePegPosition: function() {
+
+    // with a lazy path, the direction is decided when the ball reaches the peg
+    if ( !this.isPathComplete && this.pegHistory.length === 1 ) {
+      this.decideDirection();
+    }
     const peg = this.pegHistory.shift();
     this.row = peg.rowNumber; // 0 is the leftmost
     this.pegPositionX = peg.positionX; // x position of the peg based on the column, row, and number of of rows
     this.pegPositionY = peg.positionY; // y position of the peg based on the column, row, and number of of rows
     this.direction = peg.direction; // whether the ball went left or right
+    this.isPegPresent = peg.isPegPresent; // false if the peg has been knocked out
   }
 } );
 
@@ -0,0 +1,91 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Recording of the balls created during an experiment (from one erase to the next), so that the experiment can be
+ * replayed. For each ball, the recording holds the time at which it was created, its peg history, its bin index and
+ * its species, see Ball.getRecord. Balls that are added to the histogram all at once, without Ball instances, are
+ * recorded together, by the numbers of balls in the bins, see addBinCounts.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+/**
+ * @constructor
+ */
+function BallRecording() {
+
+  // @public (read-only) {Object[]} records of the balls, in the order in which they were created
+  this.records = [];
+
+  // @public (read-only) {number} number of recorded balls, including those of the records of several balls
+  this.numberOfBallsProperty = new NumberProperty( 0, {
+    numberType: 'Integer'
+  } );
+}
+
+plinkoProbability.register( 'BallRecording', BallRecording );
+
+inherit( Object, BallRecording, {
+
+  /**
+   * Records a ball. Must be called once the path of the ball is complete, see Ball.isPathComplete.
+   *
+   * @param {Ball} ball
+   * @param {number} time - time at which the ball was created, in seconds
+   * @public
+   */
+  addBall: function( ball, time ) {
+    assert && assert( this.records.length === 0 || time >= _.last( this.records ).time,
+      'balls must be recorded in the order in which they were created' );
+    assert && assert( ball.isPathComplete, 'the path of the ball is not complete' );
+    const record = ball.getRecord();
+    record.time = time;
+    this.records.push( record );
+    this.numberOfBallsProperty.set( this.numberOfBallsProperty.get() + 1 );
+  },
+
+  /**
+   * Records balls that were added to the histogram all at once.
+   *
+   * @param {number[][]} speciesBinCounts - numbers of balls, indexed by species index and bin index,
+   *   see Histogram.addBinCountsToHistogram
+   * @param {number} numberOfBalls - total of speciesBinCounts
+   * @param {number} time - time at which the balls were created, in seconds
+   * @public
+   */
+  addBinCounts: function( speciesBinCounts, numberOfBalls, time ) {
+    assert && assert( this.records.length === 0 || time >= _.last( this.records ).time,
+      'balls must be recorded in the order in which they were created' );
+    this.records.push( {
+      speciesBinCounts: speciesBinCounts,
+      time: time
+    } );
+    this.numberOfBallsProperty.set( this.numberOfBallsProperty.get() + numberOfBalls );
+  },
+
+  /**
+   * Gets the duration of the recording, which is the time at which the last ball was created.
+   *
+   * @returns {number} in seconds
+   * @public
+   */
+  getDuration: function() {
+    return ( this.records.length === 0 ) ? 0 : _.last( this.records ).time;
+  },
+
+  /**
+   * Removes all records.
+   *
+   * @public
+   */
+  clear: function() {
+    this.records.length = 0;
+    this.numberOfBallsProperty.set( 0 );
+  }
+} );
+
+export default BallRecording;
@@ -2,10 +2,16 @@
 
 /**
  * Model for the Galton Board (also known as a bean machine). It consists of a triangular lattice of pegs.
+ * On a binary board, a ball goes left or right at each peg, and row n has n+1 pegs.
+ * On a trinomial board, a ball can also pass straight down through a peg, so row n has 2n+1 pegs,
+ * at half the horizontal spacing of a binary board. Pegs can be knocked out of the board, and a ball falls straight
+ * through the place of a missing peg.
  *
  * @author Martin Veillette (Berea College)
  */
 
+import Emitter from '../../../../axon/js/Emitter.js';
+import Property from '../../../../axon/js/Property.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import inherit from '../../../../phet-core/js/inherit.js';
 import plinkoProbability from '../../plinkoProbability.js';
@@ -13,40 +19,84 @@ import PlinkoProbabilityConstants from '../PlinkoProbabilityConstants.js';
 
 /**
  * @param {Property.<number>} numberOfRowsProperty - number of rows of pegs
+ * @param {Property.<string>} boardTypeProperty - 'binary' or 'trinomial', see PlinkoProbabilityCommonModel
+ * @param {number} maxNumberOfRows - the maximum of numberOfRowsProperty
  * @constructor
  */
-function GaltonBoard( numberOfRowsProperty ) {
+function GaltonBoard( numberOfRowsProperty, boardTypeProperty, maxNumberOfRows ) {
 
   // @public
   this.bounds = PlinkoProbabilityConstants.GALTON_BOARD_BOUNDS;
+  this.boardTypeProperty = boardTypeProperty; // @public (read-only)
+  this.numberOfRowsProperty = numberOfRowsProperty; // @private
 
   let rowNumber; // {number} a non negative integer
   let columnNumber; // {number} a non negative  integer
   this.pegs = []; // @public (read-only)
 
   // creates all the pegs (up to the maximum number of possible rows)
-  for ( rowNumber = 0; rowNumber <= PlinkoProbabilityConstants.ROWS_RANGE.max; rowNumber++ ) {
+  for ( rowNumber = 0; rowNumber <= maxNumberOfRows; rowNumber++ ) {
     for ( columnNumber = 0; columnNumber <= rowNumber; columnNumber++ ) {
       const peg = {
         rowNumber: rowNumber, // an integer starting at zero
-        columnNumber: columnNumber // an integer starting at zero
+        columnNumber: columnNumber, // an integer starting at zero
+        probability: null, // {number|null} probability of going right at this peg, null to use the probability of its row
+        isKnockedOut: false, // has the peg been removed from the board? A ball falls straight through a missing peg.
+        isOnBoard: false, // is the peg in one of the rows of the current board? See boardPegs.
+        isVisible: false // is the peg on the board, and not knocked out?
       };
       this.pegs.push( peg );
     }
   }
 
+  // @public (read-only) pegs of the trinomial board, whose probabilities are determined by their row, see LabModel
+  this.trinomialPegs = [];
+  for ( rowNumber = 0; rowNumber <= maxNumberOfRows; rowNumber++ ) {
+    for ( columnNumber = 0; columnNumber <= 2 * rowNumber; columnNumber++ ) {
+      this.trinomialPegs.push( {
+        rowNumber: rowNumber, // an integer starting at zero
+        columnNumber: columnNumber, // an integer starting at zero
+        probability: null, // always null, the probability of the row is used
+        isKnockedOut: false, // has the peg been removed from the board?
+        isOnBoard: false, // is the peg in one of the rows of the current board? See boardPegs.
+        isVisible: false // is the peg on the board, and not knocked out?
+      } );
+    }
+  }
+
+  // @private {Object[]} the pegs of the current board, in its rows, see getBoardPegs
+  this.boardPegs = [];
+
+  // @private {Object[]} the pegs that have been knocked out, of both boards, see restorePegs
+  this.knockedOutPegs = [];
+
+  // @public fires when the probability of one or more pegs has changed
+  this.pegProbabilitiesChangedEmitter = new Emitter();
+
+  // @public fires when one or more pegs have been knocked out or put back on the board
+  this.knockedOutPegsChangedEmitter = new Emitter();
+
   // link the numberOrRows to adjust the spacing between pegs (and size)
   // link is present for the lifetime of the sum
   const self = this;
-  numberOfRowsProperty.link( function( numberOfRows ) {
-
-    self.pegs.forEach( function( peg ) {
-      // for performance reasons, we don't throw out the pegs, we simply update their visibility
-      peg.isVisible = isPegVisible( peg.rowNumber, numberOfRows );
-      if ( peg.isVisible ) {
-        // update the position of the pegs on the Galton Board.
-        peg.position = getPegPosition( peg.rowNumber, peg.columnNumber, numberOfRows );
-      }
+  Property.multilink( [ numberOfRowsProperty, boardTypeProperty ], function( numberOfRows, boardType ) {
+
+    // for performance reasons, we don't throw out the pegs, we simply update their visibility
+    self.boardPegs.forEach( function( peg ) {
+      peg.isOnBoard = false;
+      peg.isVisible = false;
+    } );
+
+    // pegs are stored row by row, so the pegs of the first rows come first, see getPeg
+    self.boardPegs = ( boardType === 'trinomial' ) ?
+                     self.trinomialPegs.slice( 0, numberOfRows * numberOfRows ) :
+                     self.pegs.slice( 0, numberOfRows * ( numberOfRows + 1 ) / 2 );
+    self.boardPegs.forEach( function( peg ) {
+      peg.isOnBoard = true;
+      peg.isVisible = !peg.isKnockedOut;
+
+      // update the position of the pegs on the Galton Board, including the knocked out pegs, so they can be put back
+      peg.position = getPegPosition( peg.rowNumber, peg.columnNumber, numberOfRows, boardType );
     } );
   } );
 }
@@ -59,29 +109,149 @@ plinkoProbability.register( 'GaltonBoard', GaltonBoard );
  * @param {number} rowNumber - integer starting at zero
  * @param {number} columnNumber - index of the column, integer starting at zero
  * @param {number} numberOfRows - the number of rows on the screen
+ * @param {string} boardType - 'binary' or 'trinomial'
  * @returns {Vector2}
  * @public
  */
-var getPegPosition = function( rowNumber, columnNumber, numberOfRows ) {
+var getPegPosition = function( rowNumber, columnNumber, numberOfRows, boardType ) {
   return new Vector2(
-    -rowNumber / 2 + columnNumber,
-    -rowNumber - 2 * PlinkoProbabilityConstants.PEG_HEIGHT_FRACTION_OFFSET )
-    .divideScalar( numberOfRows + 1 );
+    GaltonBoard.getPegPositionX( rowNumber, columnNumber, numberOfRows, boardType ),
+    ( -rowNumber - 2 * PlinkoProbabilityConstants.PEG_HEIGHT_FRACTION_OFFSET ) / ( numberOfRows + 1 ) );
 };
 
-/**
- * Is the specified peg visible?
- *
- * @param {number} rowNumber - index of row, integer starting at zero
- * @param {number} numberOfRows - number of rows
- * @returns {boolean}
- * @public
- */
-var isPegVisible = function( rowNumber, numberOfRows ) {
-  return ( rowNumber < numberOfRows );
-};
+inherit( Object, GaltonBoard, {
+
+  /**
+   * Gets the peg of the current board at a specified row and column.
+   *
+   * @param {number} rowNumber - index of the row, integer starting at zero
+   * @param {number} columnNumber - index of the column, integer starting at zero
+   * @returns {Object}
+   * @public
+   */
+  getPeg: function( rowNumber, columnNumber ) {
+    if ( this.boardTypeProperty.get() === 'trinomial' ) {
+      assert && assert( columnNumber <= 2 * rowNumber, 'row ' + rowNumber + ' has no column ' + columnNumber );
+
+      // pegs are stored row by row, and row n has 2n+1 pegs
+      return this.trinomialPegs[ rowNumber * rowNumber + columnNumber ];
+    }
+    else {
+      assert && assert( columnNumber <= rowNumber, 'row ' + rowNumber + ' has no column ' + columnNumber );
 
-inherit( Object, GaltonBoard, {}, {
+      // pegs are stored row by row, and row n has n+1 pegs
+      return this.pegs[ rowNumber * ( rowNumber + 1 ) / 2 + columnNumber ];
+    }
+  },
+
+  /**
+   * Gets the pegs of the current board, including the pegs that have been knocked out.
+   *
+   * @returns {Object[]}
+   * @public
+   */
+  getBoardPegs: function() {
+    return this.boardPegs;
+  },
+
+  /**
+   * Is there a peg at a specified row and column of the current board? There isn't if the peg has been knocked out.
+   *
+   * @param {number} rowNumber - index of the row, integer starting at zero
+   * @param {number} columnNumber - index of the column, integer starting at zero
+   * @returns {boolean}
+   * @public
+   */
+  isPegPresent: function( rowNumber, columnNumber ) {
+    return this.getPeg( rowNumber, columnNumber ).isVisible;
+  },
+
+  /**
+   * Knocks a peg out of the board, or puts it back.
+   *
+   * @param {Object} peg - one of this.pegs or this.trinomialPegs
+   * @param {boolean} isKnockedOut
+   * @public
+   */
+  setPegKnockedOut: function( peg, isKnockedOut ) {
+    assert && assert( peg.isOnBoard, 'peg is not on the board' );
+    if ( peg.isKnockedOut !== isKnockedOut ) {
+      peg.isKnockedOut = isKnockedOut;
+      peg.isVisible = !isKnockedOut;
+      if ( isKnockedOut ) {
+        this.knockedOutPegs.push( peg );
+      }
+      else {
+        _.pull( this.knockedOutPegs, peg );
+      }
+      this.knockedOutPegsChangedEmitter.emit();
+    }
+  },
+
+  /**
+   * Have any of the pegs of the current board been knocked out?
+   *
+   * @returns {boolean}
+   * @public
+   */
+  hasKnockedOutPegs: function() {
+    return _.some( this.getBoardPegs(), 'isKnockedOut' );
+  },
+
+  /**
+   * Puts all the knocked out pegs back on both boards.
+   *
+   * @public
+   */
+  restorePegs: function() {
+    this.knockedOutPegs.forEach( function( peg ) {
+      peg.isKnockedOut = false;
+      peg.isVisible = peg.isOnBoard;
+    } );
+    this.knockedOutPegs = [];
+    this.knockedOutPegsChangedEmitter.emit();
+  },
+
+  /**
+   * Sets the probability that a ball goes right when it hits a peg.
+   *
+   * @param {Object} peg - one of this.pegs
+   * @param {number|null} probability - number ranging from 0 to 1, null to use the probability of the peg's row
+   * @public
+   */
+  setPegProbability: function( peg, probability ) {
+    assert && assert( this.pegs.indexOf( peg ) !== -1, 'peg is not on this board' );
+    assert && assert( probability === null || ( probability >= 0 && probability <= 1 ), 'invalid probability: ' + probability );
+    if ( peg.probability !== probability ) {
+      peg.probability = probability;
+      this.pegProbabilitiesChangedEmitter.emit();
+    }
+  },
+
+  /**
+   * Does any of the visible pegs have its own probability?
+   *
+   * @returns {boolean}
+   * @public
+   */
+  hasPegProbabilities: function() {
+    return _.some( this.boardPegs, function( peg ) {
+      return peg.isVisible && peg.probability !== null;
+    } );
+  },
+
+  /**
+   * Makes all pegs use the probability of their row.
+   *
+   * @public
+   */
+  resetPegProbabilities: function() {
+    this.pegs.forEach( function( peg ) {
+      peg.probability = null;
+    } );
+    this.pegProbabilitiesChangedEmitter.emit();
+  }
+}, {
 
   /**
    * Gets the horizontal spacing between two pegs on the same row on the Galton board.
@@ -93,6 +263,27 @@ inherit( Object, GaltonBoard, {}, {
    */
   getPegSpacing: function( numberOfRows ) {
     return PlinkoProbabilityConstants.GALTON_BOARD_BOUNDS.width / ( numberOfRows + 1 );
+  },
+
+  /**
+   * Gets the x coordinate of a peg, in reference to the galton board. The pegs of the last row are above the centers
+   * of the bins, so the pegs of a trinomial board are spaced by the width of its 2n+1 bins.
+   *
+   * @param {number} rowNumber - integer starting at zero
+   * @param {number} columnNumber - index of the column, integer starting at zero
+   * @param {number} numberOfRows - the number of rows on the screen
+   * @param {string} boardType - 'binary' or 'trinomial'
+   * @returns {number}
+   * @public
+   * @static
+   */
+  getPegPositionX: function( rowNumber, columnNumber, numberOfRows, boardType ) {
+    if ( boardType === 'trinomial' ) {
+      return ( columnNumber - rowNumber ) / ( 2 * numberOfRows + 1 );
+    }
+    else {
+      return ( -rowNumber / 2 + columnNumber ) / ( numberOfRows + 1 );
+    }
   }
 } );
 
@@ -11,9 +11,11 @@ import Emitter from '../../../../axon/js/Emitter.js';
 import inherit from '../../../../phet-core/js/inherit.js';
 import plinkoProbability from '../../plinkoProbability.js';
 import PlinkoProbabilityConstants from '../PlinkoProbabilityConstants.js';
+import ProbabilityUtils from './ProbabilityUtils.js';
 
 // constants
 const BOUNDS = PlinkoProbabilityConstants.HISTOGRAM_BOUNDS;
+const MAX_NUMBER_OF_SPECIES = PlinkoProbabilityConstants.SPECIES_RANGE.max;
 
 /**
  * @param {Property.<number>} numberOfRowsProperty
@@ -28,8 +30,13 @@ function Histogram( numberOfRowsProperty ) {
   this.landedBallsNumber = 0; // @public (read-only)
 
   // convenience variables
+  this.sum = 0; // @private
   this.sumOfSquares = 0; // @private
   this.variance = 0; // @private
+
+  // @public (read-only) {Object[]} statistics of the balls of each species, indexed by species index, with the same
+  // fields as the statistics of all the balls, see createStatistics
+  this.speciesStatistics = [];
   this.numberOfRowsProperty = numberOfRowsProperty; // @private
 
   // initialized all the bins to zero.
@@ -47,6 +54,71 @@ function Histogram( numberOfRowsProperty ) {
 
 plinkoProbability.register( 'Histogram', Histogram );
 
+/**
+ * Creates an empty bin.
+ *
+ * @param {number} binCount - number of balls in the bin
+ * @returns {Object}
+ */
+var createBin = function( binCount ) {
+  return {
+    binCount: binCount, // number of balls that will be in the bin (including those currently falling through the galton board)
+    visibleBinCount: binCount, // number of balls that are in the bin
+    speciesBinCounts: _.fill( new Array( MAX_NUMBER_OF_SPECIES ), 0 ), // number of balls of each species that are in the bin
+    orientation: 0 // 0 is center, 1 is right, -1 is left
+  };
+};
+
+/**
+ * Creates the statistics of no balls.
+ *
+ * @returns {Object}
+ */
+var createStatistics = function() {
+  return {
+    landedBallsNumber: 0,
+    average: 0,
+    sum: 0,
+    sumOfSquares: 0,
+    variance: 0,
+    standardDeviation: 0,
+    standardDeviationOfMean: 0
+  };
+};
+
+/**
+ * Updates statistics due to adding balls in bin 'binIndex'.
+ * The sums of the bin indices and of their squares are integers, which are exact, so the statistics only depend on
+ * the numbers of balls in the bins: they are the same whether the balls are added one by one or all at once.
+ *
+ * @param {Object} statistics - see createStatistics, may be the Histogram itself
+ * @param {number} binIndex - the bin index associated with the landed balls.
+ * @param {number} [numberOfBalls] - one ball if not specified
+ */
+var addToStatistics = function( statistics, binIndex, numberOfBalls ) {
+  numberOfBalls = ( numberOfBalls === undefined ) ? 1 : numberOfBalls;
+  statistics.landedBallsNumber += numberOfBalls;
+
+  // convenience variable
+  const N = statistics.landedBallsNumber;
+
+  statistics.sum += numberOfBalls * binIndex;
+  statistics.average = statistics.sum / N;
+  statistics.sumOfSquares += numberOfBalls * binIndex * binIndex;
+
+  // the variance and standard deviations exist only when the number of balls is larger than 1
+  if ( N > 1 ) {
+    statistics.variance = ( statistics.sumOfSquares - N * statistics.average * statistics.average ) / ( N - 1 );
+    statistics.standardDeviation = Math.sqrt( statistics.variance );
+    statistics.standardDeviationOfMean = statistics.standardDeviation / Math.sqrt( N );
+  }
+  else {
+    statistics.variance = 0;
+    statistics.standardDeviation = 0;
+    statistics.standardDeviationOfMean = 0;
+  }
+};
+
 inherit( Object, Histogram, {
 
   /**
@@ -63,9 +135,10 @@ inherit( Object, Histogram, {
    * Used in the "ballsOnScreen" query parameter to set an initial amount of balls within the histogram.
    *
    * @param ballsOnScreen {number} - user inputted query parameter for the amount of balls the histogram is initialized with
+   * @param {Random} random - source of the random decisions at the pegs
    * @public
    */
-  prepopulate: function( ballsOnScreen ) {
+  prepopulate: function( ballsOnScreen, random ) {
 
     // temporarily stores the binCount for each bin in an empty array.
     const tempBins = [];
@@ -78,7 +151,7 @@ inherit( Object, Histogram, {
       let columnNumber = 0;
       // the path of the balls through the pegs of the galton board  is determined for the prepopulated balls only
       for ( let rowNumber = 0; rowNumber <= this.numberOfRowsProperty.get(); rowNumber++ ) {
-        const direction = ( phet.joist.random.nextBoolean() ? 'left' : 'right' );
+        const direction = ( random.nextBoolean() ? 'left' : 'right' );
 
         // increment the column number of the next row, but not for the last row
         if ( rowNumber < this.numberOfRowsProperty.get() ) {
@@ -90,13 +163,12 @@ inherit( Object, Histogram, {
 
     }
 
+    // the prepopulated balls are all of the first species
+
     // takes values in temporary bin array and translates them into our bin array
     for ( tempBinIndex = 0; tempBinIndex < ( this.numberOfRowsProperty.get() + 1 ); tempBinIndex++ ) {
-      this.bins[ tempBinIndex ] = {
-        binCount: tempBins[ tempBinIndex ], // number of balls that will be in the bin (including those currently falling through the galton board)
-        visibleBinCount: tempBins[ tempBinIndex ], // number of balls that are in the bin
-        orientation: 0 // 0 is center, 1 is right, -1 is left
-      };
+      this.bins[ tempBinIndex ] = createBin( tempBins[ tempBinIndex ] );
+      this.bins[ tempBinIndex ].speciesBinCounts[ 0 ] = tempBins[ tempBinIndex ];
     }
 
     // now we update the view and generate our statistics
@@ -111,15 +183,9 @@ inherit( Object, Histogram, {
    */
   setBinsToZero: function() {
     this.bins = []; // reset the bin array to an empty array
-    let binInfo;
-    const maxBins = PlinkoProbabilityConstants.ROWS_RANGE.max + 1;
+    const maxBins = PlinkoProbabilityConstants.MAX_NUMBER_OF_BINS;
     for ( let i = 0; i < maxBins; i++ ) {
-      binInfo = {
-        binCount: 0, // number of balls that will be in the bin (including those currently falling through the galton board)
-        visibleBinCount: 0, // number of balls that are in the bin
-        orientation: 0 // 0 is center, 1 is right, -1 is left
-      };
-      this.bins.push( binInfo );
+      this.bins.push( createBin( 0 ) );
     }
   },
 
@@ -138,28 +204,24 @@ inherit( Object, Histogram, {
    * Update the histogram statistic due to adding one ball in bin 'binIndex'
    *
    * @param {number} binIndex - the bin index associated with the landed ball.
+   * @param {number} speciesIndex - the species of the landed ball
    * @private
    */
-  updateStatistics: function( binIndex ) {
-    this.landedBallsNumber++;
-
-    // convenience variable
-    const N = this.landedBallsNumber;
-
-    this.average = ( ( N - 1 ) * this.average + binIndex ) / N;
-    this.sumOfSquares += binIndex * binIndex;
+  updateStatistics: function( binIndex, speciesIndex ) {
+    addToStatistics( this, binIndex );
+    addToStatistics( this.speciesStatistics[ speciesIndex ], binIndex );
+  },
 
-    // the variance and standard deviations exist only when the number of balls is larger than 1
-    if ( N > 1 ) {
-      this.variance = ( this.sumOfSquares - N * this.average * this.average ) / ( N - 1 );
-      this.standardDeviation = Math.sqrt( this.variance );
-      this.standardDeviationOfMean = this.standardDeviation / Math.sqrt( N );
-    }
-    else {
-      this.variance = 0;
-      this.standardDeviation = 0;
-      this.standardDeviationOfMean = 0;
-    }
+  /**
+   * Gets the statistics of the shape of the distribution of the landed balls. They depend on the numbers of balls in
+   * all the bins, so they are computed on demand, only while they are shown, rather than for every landed ball.
+   *
+   * @param {number} numberOfBins
+   * @returns {Object} see ProbabilityUtils.getDescriptiveStatistics
+   * @public
+   */
+  getDescriptiveStatistics: function( numberOfBins ) {
+    return ProbabilityUtils.getDescriptiveStatistics( _.map( _.take( this.bins, numberOfBins ), 'visibleBinCount' ) );
   },
 
   /**
@@ -178,12 +240,16 @@ inherit( Object, Histogram, {
       sumOfSquares += bin.binCount * binIndex * binIndex;
     } );
 
+    this.sum = sum;
     this.sumOfSquares = sumOfSquares;
     this.landedBallsNumber = totalNumberOfBalls;
     this.average = sum / totalNumberOfBalls;
     this.variance = ( sumOfSquares - ( this.average * this.average * totalNumberOfBalls ) ) / ( totalNumberOfBalls - 1 );
     this.standardDeviation = Math.sqrt( this.variance );
     this.standardDeviationOfMean = this.standardDeviation / Math.sqrt( totalNumberOfBalls );
+
+    // the balls are all of the first species, see prepopulate
+    this.speciesStatistics[ 0 ] = _.pick( this, _.keys( createStatistics() ) );
   },
 
   /**
@@ -194,10 +260,12 @@ inherit( Object, Histogram, {
   resetStatistics: function() {
     this.landedBallsNumber = 0;
     this.average = 0;
+    this.sum = 0;
     this.sumOfSquares = 0;
     this.variance = 0;
     this.standardDeviation = 0;
     this.standardDeviationOfMean = 0;
+    this.speciesStatistics = _.times( MAX_NUMBER_OF_SPECIES, createStatistics );
   },
 
   /**
@@ -208,7 +276,32 @@ inherit( Object, Histogram, {
    */
   addBallToHistogram: function( ball ) {
     this.bins[ ball.binIndex ].visibleBinCount++;
-    this.updateStatistics( ball.binIndex );
+    this.bins[ ball.binIndex ].speciesBinCounts[ ball.speciesIndex ]++;
+    this.updateStatistics( ball.binIndex, ball.speciesIndex );
+    this.histogramUpdatedEmitter.emit();
+  },
+
+  /**
+   * Adds many balls at once to the bins, without Ball instances, and updates the statistics once. The statistics
+   * are the same as if the balls had been added one by one, see addToStatistics.
+   *
+   * @param {number[][]} speciesBinCounts - numbers of balls to add, indexed by species index and bin index
+   * @public
+   */
+  addBinCountsToHistogram: function( speciesBinCounts ) {
+    const self = this;
+    speciesBinCounts.forEach( function( binCounts, speciesIndex ) {
+      binCounts.forEach( function( binCount, binIndex ) {
+        if ( binCount > 0 ) {
+          const bin = self.bins[ binIndex ];
+          bin.binCount += binCount;
+          bin.visibleBinCount += binCount;
+          bin.speciesBinCounts[ speciesIndex ] += binCount;
+          addToStatistics( self, binIndex, binCount );
+          addToStatistics( self.speciesStatistics[ speciesIndex ], binIndex, binCount );
+        }
+      } );
+    } );
     this.histogramUpdatedEmitter.emit();
   },
 
@@ -224,6 +317,18 @@ inherit( Object, Histogram, {
     return this.bins[ binIndex ].visibleBinCount; // an integer
   },
 
+  /**
+   * Gets the number of balls of a species in a bin, not including those still traveling through the GaltonBoard
+   *
+   * @param {number} binIndex
+   * @param {number} speciesIndex
+   * @returns {number}
+   * @public
+   */
+  getSpeciesBinCount: function( binIndex, speciesIndex ) {
+    return this.bins[ binIndex ].speciesBinCounts[ speciesIndex ]; // an integer
+  },
+
   /**
    * Function that returns the fractional occupation of a bin
    * The fraction is smaller than one but the sum of all fractions add up to one
@@ -242,6 +347,24 @@ inherit( Object, Histogram, {
     }
   },
 
+  /**
+   * Gets the fraction of the balls that are in a bin or in the bins to its left, i.e. the empirical cumulative
+   * distribution function at the bin.
+   *
+   * @param {number} binIndex - an integer
+   * @returns {number}
+   * @public
+   */
+  getCumulativeFractionalBinCount: function( binIndex ) {
+    if ( this.landedBallsNumber > 0 ) {
+      return _.sumBy( _.take( this.bins, binIndex + 1 ), 'visibleBinCount' ) / this.landedBallsNumber;
+    }
+    else {
+      // no balls are present
+      return 0;
+    }
+  },
+
   /**
    * Function that returns an array of the fractional 'normalized 'occupation of a bin, i.e.
    * the fractional normalized account is done with respect to the bin with the largest count
@@ -7,24 +7,37 @@
  */
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
 import Emitter from '../../../../axon/js/Emitter.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import ObservableArray from '../../../../axon/js/ObservableArray.js';
 import StringProperty from '../../../../axon/js/StringProperty.js';
+import Random from '../../../../dot/js/Random.js';
+import Utils from '../../../../dot/js/Utils.js';
 import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
 import plinkoProbability from '../../plinkoProbability.js';
 import PlinkoProbabilityConstants from '../PlinkoProbabilityConstants.js';
+import PlinkoProbabilityQueryParameters from '../PlinkoProbabilityQueryParameters.js';
+import BallRecording from './BallRecording.js';
 import GaltonBoard from './GaltonBoard.js';
 import Histogram from './Histogram.js';
+import ProbabilityUtils from './ProbabilityUtils.js';
 
 // constants
 const BALL_MODE_VALUES = [ 'oneBall', 'tenBalls', 'maxBalls', 'continuous' ]; // values for ballModeProperty
-const HOPPER_MODE_VALUES = [ 'ball', 'path', 'none' ]; // values for hopperModeProperty
+const HOPPER_MODE_VALUES = [ 'ball', 'path', 'none', 'physics' ]; // values for hopperModeProperty
+const BOARD_TYPE_VALUES = [ 'binary', 'trinomial' ]; // values for boardTypeProperty
 
 /**
+ * @param {Object} [options]
  * @constructor
  */
-function PlinkoProbabilityCommonModel() {
+function PlinkoProbabilityCommonModel( options ) {
+
+  options = merge( {
+    rowsRange: PlinkoProbabilityConstants.ROWS_RANGE // {RangeWithValue} the Galton board has pegs up to rowsRange.max
+  }, options );
 
   // @public {number} this can be a number between 0 and 1
   this.probabilityProperty = new NumberProperty( PlinkoProbabilityConstants.BINARY_PROBABILITY_RANGE.defaultValue, {
@@ -36,7 +49,7 @@ function PlinkoProbabilityCommonModel() {
     validValues: BALL_MODE_VALUES
   } );
 
-  // {string} controls what comes out of the hopper above the Galton board
+  // {string} controls what comes out of the hopper above the Galton board. Only the Lab screen has 'physics' balls.
   this.hopperModeProperty = new StringProperty( 'ball', {
     validValues: HOPPER_MODE_VALUES
   } );
@@ -45,23 +58,89 @@ function PlinkoProbabilityCommonModel() {
   this.isBallCapReachedProperty = new BooleanProperty( false );
 
   // {number} number of rows in the Galton board
-  this.numberOfRowsProperty = new NumberProperty( PlinkoProbabilityConstants.ROWS_RANGE.defaultValue, {
-    range: PlinkoProbabilityConstants.ROWS_RANGE,
+  this.numberOfRowsProperty = new NumberProperty( options.rowsRange.defaultValue, {
+    range: options.rowsRange,
     numberType: 'Integer'
   } );
 
+  // {string} type of the Galton board, see GaltonBoard. Only the Lab screen has a trinomial board.
+  this.boardTypeProperty = new StringProperty( 'binary', {
+    validValues: BOARD_TYPE_VALUES
+  } );
+
+  // {number} number of species of balls, which are dropped alternately from the hopper, each with its own color and
+  // probability. Only the Lab screen has several species.
+  this.numberOfSpeciesProperty = new NumberProperty( PlinkoProbabilityConstants.SPECIES_RANGE.defaultValue, {
+    range: PlinkoProbabilityConstants.SPECIES_RANGE,
+    numberType: 'Integer'
+  } );
+
+  // @public {DerivedProperty.<number>} number of bins below the Galton board.
+  // A ball that goes through n rows of a binary board lands in one of n+1 bins, 2n+1 bins for a trinomial board.
+  this.numberOfBinsProperty = new DerivedProperty( [ this.numberOfRowsProperty, this.boardTypeProperty ],
+    function( numberOfRows, boardType ) {
+      return ( boardType === 'trinomial' ) ? 2 * numberOfRows + 1 : numberOfRows + 1;
+    } );
+
+  // @public {boolean} is the random source seeded? If so, every experiment (from one erase to the next) is reproducible.
+  this.isSeededProperty = new BooleanProperty( PlinkoProbabilityQueryParameters.seed !== null );
+
+  // @public {number} seed of the random source, used when isSeededProperty is true
+  this.seedProperty = new NumberProperty( ( PlinkoProbabilityQueryParameters.seed === null ) ?
+                                          PlinkoProbabilityConstants.SEED_RANGE.defaultValue :
+                                          PlinkoProbabilityQueryParameters.seed, {
+    range: PlinkoProbabilityConstants.SEED_RANGE,
+    numberType: 'Integer'
+  } );
+
+  // @public (read-only) {Random} source of the random decisions that determine the paths of the balls.
+  // It is recreated by erase, so that a seeded experiment always starts from the beginning of the random sequence.
+  this.random = this.createRandom();
+
   this.ballCreationTimeElapsed = 0; // @public {number} - time elapsed since last ball creation
+  this.time = 0; // @public (read-only) {number} - time elapsed since the last erase, excluding replays
+
+  // @public (read-only) {BallRecording} the balls created since the last erase
+  this.recording = new BallRecording();
+
+  // @public (read-only) {boolean} is the recording being replayed? While replaying, no new balls are created.
+  this.isReplayingProperty = new BooleanProperty( false );
+
+  // @public {boolean} is the replay running? false if it is paused
+  this.isReplayRunningProperty = new BooleanProperty( true );
+
+  // @public {number} speed of the replay, relative to the speed of the experiment that was recorded
+  this.replaySpeedProperty = new NumberProperty( PlinkoProbabilityConstants.REPLAY_SPEED_RANGE.defaultValue, {
+    range: PlinkoProbabilityConstants.REPLAY_SPEED_RANGE
+  } );
+
+  // @public (read-only) {number} time in the recording that has been replayed, see seekReplay
+  this.replayTimeProperty = new NumberProperty( 0 );
+
+  // @private {number} index of the next record to be replayed
+  this.replayIndex = 0;
+
   this.balls = new ObservableArray(); // @public
-  this.galtonBoard = new GaltonBoard( this.numberOfRowsProperty ); // @public
+  this.galtonBoard = new GaltonBoard( this.numberOfRowsProperty, this.boardTypeProperty, // @public
+    options.rowsRange.max );
   this.histogram = new Histogram( this.numberOfRowsProperty ); // @public
 
   // @public Fires when one or more balls moves.
   // See https://github.com/phetsims/plinko-probability/issues/62 for details.
   this.ballsMovedEmitter = new Emitter();
 
+  // @public Fires when the theoretical distribution changes for a reason other than a change to
+  // numberOfRowsProperty or probabilityProperty, see LabModel.
+  this.theoreticalDistributionChangedEmitter = new Emitter();
+
+  const self = this;
   const eraseThis = this.erase.bind( this );
-  this.probabilityProperty.link( eraseThis );
+  this.probabilityProperty.lazyLink( function() {
+    self.probabilitiesChanged();
+  } );
   this.numberOfRowsProperty.link( eraseThis );
+  this.isSeededProperty.lazyLink( eraseThis );
+  this.seedProperty.lazyLink( eraseThis );
 }
 
 plinkoProbability.register( 'PlinkoProbabilityCommonModel', PlinkoProbabilityCommonModel );
@@ -80,19 +159,242 @@ inherit( Object, PlinkoProbabilityCommonModel, {
     this.hopperModeProperty.reset();
     this.isBallCapReachedProperty.reset();
     this.numberOfRowsProperty.reset();
+    this.boardTypeProperty.reset();
+    this.numberOfSpeciesProperty.reset();
+    this.isSeededProperty.reset();
+    this.seedProperty.reset();
+    this.isReplayRunningProperty.reset();
+    this.replaySpeedProperty.reset();
     this.erase();
   },
 
   /**
    * Called when the erase button is pressed.
+   * Starts a new experiment, so the recording of the previous experiment is discarded.
    *
    * @public
    */
   erase: function() {
+    this.isReplayingProperty.set( false );
+    this.recording.clear();
+    this.time = 0;
+    this.random = this.createRandom(); // start a new sequence of random numbers
+    this.clearBoard();
+  },
+
+  /**
+   * Called when the probabilities that determine the paths of the balls have changed. Starts a new experiment, since
+   * the balls that have landed were drawn from another distribution. Subtypes may continue the experiment instead.
+   *
+   * @protected
+   */
+  probabilitiesChanged: function() {
+    this.erase();
+  },
+
+  /**
+   * Removes the balls and clears the histogram, without discarding the recording.
+   *
+   * @protected
+   */
+  clearBoard: function() {
     this.balls.clear(); // clear the balls on the galton board
     this.histogram.reset(); // reset the histogram statistics
     this.isBallCapReachedProperty.set( false );
     this.ballsMovedEmitter.emit();
+  },
+
+  /**
+   * Adds a ball to the recording. Called by subtypes when they create a ball, except when replaying.
+   * A ball with a lazy path is recorded once its path is complete, see Ball.
+   *
+   * @param {Ball} ball
+   * @protected
+   */
+  recordBall: function( ball ) {
+    assert && assert( !this.isReplayingProperty.get(), 'balls are not recorded while replaying' );
+    const recording = this.recording;
+    const time = this.time;
+    if ( ball.isPathComplete ) {
+      recording.addBall( ball, time );
+    }
+    else {
+      ball.pathCompletedEmitter.addListener( function pathCompletedListener() {
+        recording.addBall( ball, time );
+        ball.pathCompletedEmitter.removeListener( pathCompletedListener );
+      } );
+    }
+  },
+
+  /**
+   * Adds a ball to the model that replays a record, see BallRecording.
+   *
+   * @param {Object} record
+   * @returns {Ball|null} the added ball, null for a record of several balls, see BallRecording.addBinCounts
+   * @protected
+   * @abstract
+   */
+  addRecordedBall: function( record ) {
+    throw new Error( 'addRecordedBall must be implemented by subtypes' );
+  },
+
+  /**
+   * Replays the recording from the beginning. The balls are created at the times when they were recorded,
+   * and they go through the same emitters as when they were recorded.
+   *
+   * @public
+   */
+  startReplay: function() {
+    assert && assert( this.recording.records.length > 0, 'nothing to replay' );
+    this.isReplayingProperty.set( true );
+    this.isReplayRunningProperty.set( true );
+    this.clearBoard();
+    this.replayIndex = 0;
+    this.replayTimeProperty.set( 0 );
+  },
+
+  /**
+   * Stops the replay. All the recorded balls are landed, so that the experiment can be continued where it was
+   * when the replay started.
+   *
+   * @public
+   */
+  stopReplay: function() {
+    assert && assert( this.isReplayingProperty.get(), 'not replaying' );
+    this.seekReplay( this.recording.getDuration() );
+    this.isReplayingProperty.set( false );
+  },
+
+  /**
+   * Moves the replay to some time in the recording. The balls that were created before that time are landed
+   * immediately, and the replay continues from there.
+   *
+   * @param {number} time - in seconds
+   * @public
+   */
+  seekReplay: function( time ) {
+    assert && assert( this.isReplayingProperty.get(), 'not replaying' );
+
+    // going back in time requires starting over
+    if ( time < this.replayTimeProperty.get() ) {
+      this.clearBoard();
+      this.replayIndex = 0;
+    }
+
+    const records = this.recording.records;
+    while ( this.replayIndex < records.length && records[ this.replayIndex ].time <= time ) {
+      const addedBall = this.addRecordedBall( records[ this.replayIndex++ ] );
+
+      // the balls of a record of several balls are added to the histogram without Ball instances
+      addedBall && addedBall.updateStatisticsAndLand();
+    }
+    this.replayTimeProperty.set( time );
+    this.ballsMovedEmitter.emit();
+  },
+
+  /**
+   * Advances the replay, creating the recorded balls whose time has come. Called by subtypes in step.
+   *
+   * @param {number} dt - time interval, in seconds
+   * @returns {number} factor by which the motion of the balls must be scaled, 0 if the replay is paused
+   * @protected
+   */
+  stepReplay: function( dt ) {
+    if ( !this.isReplayRunningProperty.get() ) {
+      return 0;
+    }
+    const replaySpeed = this.replaySpeedProperty.get();
+    const time = Math.min( this.replayTimeProperty.get() + dt * replaySpeed, this.recording.getDuration() );
+    this.replayTimeProperty.set( time );
+
+    const records = this.recording.records;
+    while ( this.replayIndex < records.length && records[ this.replayIndex ].time <= time ) {
+      this.addRecordedBall( records[ this.replayIndex++ ] );
+    }
+    return replaySpeed;
+  },
+
+  /**
+   * Creates a random source, which is seeded if isSeededProperty is true.
+   *
+   * @returns {Random}
+   * @protected
+   */
+  createRandom: function() {
+    return new Random( {
+      seed: this.isSeededProperty.get() ? this.seedProperty.get() : null
+    } );
+  },
+
+  /**
+   * Function that returns the binomial coefficient, equivalent to (in Latex) ${n\choose k}$
+   * usually expressed as "n choose k". It is the coefficient of the x^k term in the polynomial
+   * expansion of the binomial power (1 + x)^n. It is related to the Pascal triangle.
+   * See http://en.wikipedia.org/wiki/Binomial_coefficient
+   *
+   * It is computed exactly as the product of the fractions (n-k+i)/i for i from 1 to k, while it is a safe integer.
+   * Beyond, since the products of the factorials overflow for hundreds of rows, it is approximated in log space,
+   * see ProbabilityUtils.logBinomialCoefficient.
+   *
+   * @param {number} n - the number of rows
+   * @param {number} k - the bin number
+   * @returns {number}  "n choose k"= n!/( k! (n-k)!)
+   * @public
+   */
+  getBinomialCoefficient: function( n, k ) {
+    const m = Math.min( k, n - k ); // "n choose k" is "n choose n-k", with fewer fractions
+    let coefficient = 1;
+    for ( let i = 1; i <= m; i++ ) {
+
+      // the product is "n-m+i choose i", an integer, so i/divisor divides n-m+i, and neither factor is rounded
+      const divisor = Utils.gcd( coefficient, i );
+      const product = ( coefficient / divisor ) * ( ( n - m + i ) / ( i / divisor ) );
+      if ( product > Number.MAX_SAFE_INTEGER ) {
+        return Math.exp( ProbabilityUtils.logBinomialCoefficient( n, k ) );
+      }
+      coefficient = product;
+    }
+    return coefficient;
+  },
+
+  /**
+   * Function that returns the theoretical probability that a ball in in a galton box with 'n' rows (or layers)
+   * ends up in the bin number 'k' given the success  probability of every event is 'p'.
+   * See http://en.wikipedia.org/wiki/Binomial_distribution
+   *
+   * The logarithm of the probability is computed, since for hundreds of rows "n choose k" overflows, and p^k and
+   * (1-p)^(n-k) underflow, while their product doesn't.
+   *
+   * @param {number} n - the number of rows, must be an integer > 0
+   * @param {number} k - the bin number - an integer between 0 and n
+   * @param {number} p - the success (a.k.a binary) probability, a number between 0 and 1
+   * @returns {number} P(n,k,p)= ("n choose k") * p^k * p^(n-k)
+   * @public
+   */
+  getBinomialProbability: function( n, k, p ) {
+    assert && assert( k <= n, 'the bin number, k, ranges from 0 to n' );
+
+    // the logarithms of 0 are -Infinity, and 0 * -Infinity is NaN
+    if ( p === 0 ) {
+      return ( k === 0 ) ? 1 : 0;
+    }
+    else if ( p === 1 ) {
+      return ( k === n ) ? 1 : 0;
+    }
+    return Math.exp( ProbabilityUtils.logBinomialCoefficient( n, k ) + k * Math.log( p ) +
+                     ( n - k ) * Math.log( 1 - p ) );
+  },
+
+  /**
+   * Gets the ideal probability that a ball lands in a bin, the binomial probability of a binary board whose pegs all
+   * have probabilityProperty. Subtypes whose ideal distribution may differ override it.
+   *
+   * @param {number} binIndex
+   * @returns {number|null}
+   * @public
+   */
+  getBinProbability: function( binIndex ) {
+    return this.getBinomialProbability( this.numberOfRowsProperty.get(), binIndex, this.probabilityProperty.get() );
   }
 } );
 
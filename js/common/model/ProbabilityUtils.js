@@ -0,0 +1,510 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Functions of probability and statistics that are used to compare the balls in the bins with the ideal distribution.
+ *
+ * @author agent
+ */
+
+import plinkoProbability from '../../plinkoProbability.js';
+
+// constants
+const EPSILON = 1E-12; // relative accuracy of the series and continued fractions
+const MAX_ITERATIONS = 1000; // of the series and continued fractions, more than needed for the bins of the histogram
+const TINY = 1E-300; // replaces zero in the continued fractions, to avoid dividing by zero
+const BISECTION_ITERATIONS = 50; // of the quantiles, which are then accurate to about 1E-15
+
+// coefficients of the Lanczos approximation of the gamma function, with g = 7
+// See http://en.wikipedia.org/wiki/Lanczos_approximation
+const LANCZOS_G = 7;
+const LANCZOS_COEFFICIENTS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+// binomial samples whose mean is below this are drawn by inversion, and above it by rejection, see getBinomialSample
+const MIN_REJECTION_MEAN = 10;
+
+// relative tolerance of the comparisons of the weights of the values, which may be probabilities with rounding errors
+const WEIGHT_TOLERANCE = 1E-9;
+
+// The chi-square test is valid only when the expected number of balls is large enough in every bin, so sparse bins
+// are merged with their neighbors until they are expected to hold at least this many balls.
+const MIN_EXPECTED_COUNT = 5;
+
+const ProbabilityUtils = {
+
+  /**
+   * Gets the natural logarithm of the gamma function, which is (x-1)! for a positive integer x.
+   *
+   * @param {number} x - a positive number
+   * @returns {number}
+   * @public
+   */
+  logGamma: function( x ) {
+    assert && assert( x > 0, 'x must be positive: ' + x );
+
+    // reflection formula, the approximation is accurate for x >= 1/2
+    if ( x < 0.5 ) {
+      return Math.log( Math.PI / Math.sin( Math.PI * x ) ) - ProbabilityUtils.logGamma( 1 - x );
+    }
+    x -= 1;
+    let sum = LANCZOS_COEFFICIENTS[ 0 ];
+    for ( let i = 1; i < LANCZOS_COEFFICIENTS.length; i++ ) {
+      sum += LANCZOS_COEFFICIENTS[ i ] / ( x + i );
+    }
+    const t = x + LANCZOS_G + 0.5;
+    return 0.5 * Math.log( 2 * Math.PI ) + ( x + 0.5 ) * Math.log( t ) - t + Math.log( sum );
+  },
+
+  /**
+   * Gets the natural logarithm of the beta function, B(a,b) = Γ(a)Γ(b)/Γ(a+b).
+   *
+   * @param {number} a - a positive number
+   * @param {number} b - a positive number
+   * @returns {number}
+   * @public
+   */
+  logBeta: function( a, b ) {
+    return ProbabilityUtils.logGamma( a ) + ProbabilityUtils.logGamma( b ) - ProbabilityUtils.logGamma( a + b );
+  },
+
+  /**
+   * Gets the natural logarithm of the binomial coefficient "n choose k" = n!/(k!(n-k)!), which overflows a double
+   * for n above about 1000, while its logarithm does not.
+   *
+   * @param {number} n - a non negative integer
+   * @param {number} k - an integer between 0 and n
+   * @returns {number}
+   * @public
+   */
+  logBinomialCoefficient: function( n, k ) {
+    assert && assert( k >= 0 && k <= n, 'k must be between 0 and n: ' + k );
+    return ProbabilityUtils.logGamma( n + 1 ) - ProbabilityUtils.logGamma( k + 1 ) -
+           ProbabilityUtils.logGamma( n - k + 1 );
+  },
+
+  /**
+   * Gets the regularized upper incomplete gamma function Q(a,x), the integral of t^(a-1) e^(-t) from x to infinity
+   * divided by the gamma function of a. It is computed with a series when x < a+1, and with a continued fraction
+   * otherwise, see Numerical Recipes, section 6.2.
+   *
+   * @param {number} a - a positive number
+   * @param {number} x - a non-negative number
+   * @returns {number} between 0 and 1
+   * @public
+   */
+  getUpperRegularizedGamma: function( a, x ) {
+    assert && assert( a > 0, 'a must be positive: ' + a );
+    assert && assert( x >= 0, 'x must not be negative: ' + x );
+
+    if ( x === 0 ) {
+      return 1;
+    }
+
+    // factor common to the series and to the continued fraction
+    const prefactor = Math.exp( -x + a * Math.log( x ) - ProbabilityUtils.logGamma( a ) );
+
+    let i;
+    if ( x < a + 1 ) {
+
+      // series of the lower function P(a,x) = 1 - Q(a,x)
+      let term = 1 / a;
+      let sum = term;
+      for ( i = 1; i < MAX_ITERATIONS && Math.abs( term ) > Math.abs( sum ) * EPSILON; i++ ) {
+        term *= x / ( a + i );
+        sum += term;
+      }
+      return Math.max( 0, 1 - sum * prefactor );
+    }
+    else {
+
+      // continued fraction, evaluated with the modified Lentz method
+      let b = x + 1 - a;
+      let c = 1 / TINY;
+      let d = 1 / b;
+      let fraction = d;
+      let delta = 0;
+      for ( i = 1; i < MAX_ITERATIONS && Math.abs( delta - 1 ) > EPSILON; i++ ) {
+        const an = -i * ( i - a );
+        b += 2;
+        d = an * d + b;
+        d = ( Math.abs( d ) < TINY ) ? TINY : d;
+        c = b + an / c;
+        c = ( Math.abs( c ) < TINY ) ? TINY : c;
+        d = 1 / d;
+        delta = d * c;
+        fraction *= delta;
+      }
+      return Math.min( 1, fraction * prefactor );
+    }
+  },
+
+  /**
+   * Gets the probability density of the standard normal distribution.
+   *
+   * @param {number} x
+   * @returns {number}
+   * @public
+   */
+  getNormalProbabilityDensity: function( x ) {
+    return Math.exp( -x * x / 2 ) / Math.sqrt( 2 * Math.PI );
+  },
+
+  /**
+   * Gets the cumulative distribution function of the standard normal distribution, the probability of a value
+   * smaller than x. Since erf(z) = 1 - Q(1/2,z^2) for z >= 0, it is computed with the regularized gamma function.
+   *
+   * @param {number} x - may be infinite
+   * @returns {number} between 0 and 1
+   * @public
+   */
+  getNormalCumulativeProbability: function( x ) {
+    if ( !isFinite( x ) ) {
+      return ( x > 0 ) ? 1 : 0;
+    }
+    const tail = ProbabilityUtils.getUpperRegularizedGamma( 0.5, x * x / 2 ) / 2;
+    return ( x > 0 ) ? 1 - tail : tail;
+  },
+
+  /**
+   * Gets the probability of the value k for a Poisson distribution, computed in log space so that it doesn't
+   * overflow for large values.
+   *
+   * @param {number} k - a non-negative integer
+   * @param {number} mean - a non-negative number
+   * @returns {number}
+   * @public
+   */
+  getPoissonProbability: function( k, mean ) {
+    assert && assert( k >= 0 && k % 1 === 0, 'k must be a non-negative integer: ' + k );
+    assert && assert( mean >= 0, 'mean must not be negative: ' + mean );
+
+    if ( mean === 0 ) {
+      return ( k === 0 ) ? 1 : 0;
+    }
+    return Math.exp( k * Math.log( mean ) - mean - ProbabilityUtils.logGamma( k + 1 ) );
+  },
+
+  /**
+   * Draws the number of successes of n independent trials of probability p, from the binomial distribution. The cost
+   * doesn't depend on n: with a small mean, the sample is found by inversion, walking up the probabilities of the
+   * values from 0, and otherwise by the transformed rejection with squeeze of Hörmann, "The generation of binomial
+   * random variates" (1993), which is exact.
+   *
+   * @param {number} n - a non-negative integer
+   * @param {number} p - between 0 and 1
+   * @param {Random} random
+   * @returns {number} an integer between 0 and n
+   * @public
+   */
+  getBinomialSample: function( n, p, random ) {
+    assert && assert( n >= 0 && n % 1 === 0, 'n must be a non-negative integer: ' + n );
+    assert && assert( p >= 0 && p <= 1, 'p must be between 0 and 1: ' + p );
+
+    // the algorithms require p <= 1/2, the number of failures is drawn instead
+    if ( p > 0.5 ) {
+      return n - ProbabilityUtils.getBinomialSample( n, 1 - p, random );
+    }
+    if ( n === 0 || p === 0 ) {
+      return 0;
+    }
+    const q = 1 - p;
+
+    // inversion, where P(k+1) = P(k)·(n-k)/(k+1)·p/q
+    if ( n * p < MIN_REJECTION_MEAN ) {
+      const ratio = p / q;
+      let probability = Math.exp( n * Math.log( q ) );
+      let u = random.nextDouble();
+      let k = 0;
+      while ( u > probability && k < n ) {
+        u -= probability;
+        probability *= ratio * ( n - k ) / ( k + 1 );
+        k++;
+      }
+      return k;
+    }
+
+    // rejection, with a hat function that is close to the distribution, and a squeeze that accepts most samples
+    // without evaluating the probabilities
+    const spq = Math.sqrt( n * p * q );
+    const b = 1.15 + 2.53 * spq;
+    const a = -0.0873 + 0.0248 * b + 0.01 * p;
+    const c = n * p + 0.5;
+    const vr = 0.92 - 4.2 / b;
+    const alpha = ( 2.83 + 5.1 / b ) * spq;
+    const logRatio = Math.log( p / q );
+    const mode = Math.floor( ( n + 1 ) * p );
+    const logModeFactorials = ProbabilityUtils.logGamma( mode + 1 ) + ProbabilityUtils.logGamma( n - mode + 1 );
+    let k;
+    let isAccepted = false;
+    while ( !isAccepted ) {
+      const u = random.nextDouble() - 0.5;
+      const us = 0.5 - Math.abs( u );
+      k = Math.floor( ( 2 * a / us + b ) * u + c );
+      if ( k >= 0 && k <= n ) {
+        const v = random.nextDouble();
+        isAccepted = ( us >= 0.07 && v <= vr ) ||
+                     ( Math.log( v * alpha / ( a / ( us * us ) + b ) ) <= logModeFactorials -
+                       ProbabilityUtils.logGamma( k + 1 ) - ProbabilityUtils.logGamma( n - k + 1 ) +
+                       ( k - mode ) * logRatio );
+      }
+    }
+    return k;
+  },
+
+  /**
+   * Draws the numbers of n independent values in each category, from the multinomial distribution. Each count is a
+   * binomial sample of the values that are not in the previous categories, with the probability of the category
+   * conditioned on not being in them, so the cost depends on the number of categories, not on n.
+   *
+   * @param {number} n - a non-negative integer
+   * @param {number[]} probabilities - of the categories, whose sum is 1 up to rounding
+   * @param {Random} random
+   * @returns {number[]} counts of the categories, whose sum is n
+   * @public
+   */
+  getMultinomialSample: function( n, probabilities, random ) {
+
+    // the last possible category gets the remaining values, which the rounding errors may not leave to it
+    const lastIndex = _.findLastIndex( probabilities, function( probability ) { return probability > 0; } );
+    let remainingNumber = n;
+    let remainingProbability = 1;
+    return probabilities.map( function( probability, index ) {
+      let count = 0;
+      if ( index === lastIndex ) {
+        count = remainingNumber;
+      }
+      else if ( remainingNumber > 0 && probability > 0 ) {
+        const conditionalProbability = Math.min( 1, probability / remainingProbability );
+        count = ProbabilityUtils.getBinomialSample( remainingNumber, conditionalProbability, random );
+      }
+      remainingNumber -= count;
+      remainingProbability -= probability;
+      return count;
+    } );
+  },
+
+  /**
+   * Gets the probability density of the beta distribution Beta(a,b) at x, computed in log space so that it doesn't
+   * overflow for large values of a and b.
+   *
+   * @param {number} x - between 0 and 1
+   * @param {number} a - a positive number
+   * @param {number} b - a positive number
+   * @returns {number}
+   * @public
+   */
+  getBetaProbabilityDensity: function( x, a, b ) {
+    assert && assert( x >= 0 && x <= 1, 'x must be between 0 and 1: ' + x );
+
+    if ( x === 0 || x === 1 ) {
+      const exponent = ( x === 0 ) ? a : b;
+      return ( exponent < 1 ) ? Infinity : ( exponent === 1 ) ? Math.exp( -ProbabilityUtils.logBeta( a, b ) ) : 0;
+    }
+    return Math.exp( ( a - 1 ) * Math.log( x ) + ( b - 1 ) * Math.log( 1 - x ) - ProbabilityUtils.logBeta( a, b ) );
+  },
+
+  /**
+   * Gets the regularized incomplete beta function I_x(a,b), the cumulative distribution function of Beta(a,b).
+   * It is computed with a continued fraction, evaluated with the modified Lentz method where it converges quickly,
+   * and with the symmetry I_x(a,b) = 1 - I_(1-x)(b,a) elsewhere, see Numerical Recipes, section 6.4.
+   *
+   * @param {number} x - between 0 and 1
+   * @param {number} a - a positive number
+   * @param {number} b - a positive number
+   * @returns {number} between 0 and 1
+   * @public
+   */
+  getRegularizedIncompleteBeta: function( x, a, b ) {
+    assert && assert( a > 0 && b > 0, 'a and b must be positive: ' + a + ', ' + b );
+    assert && assert( x >= 0 && x <= 1, 'x must be between 0 and 1: ' + x );
+
+    if ( x === 0 || x === 1 ) {
+      return x;
+    }
+    if ( x > ( a + 1 ) / ( a + b + 2 ) ) {
+      return 1 - ProbabilityUtils.getRegularizedIncompleteBeta( 1 - x, b, a );
+    }
+
+    // factor in front of the continued fraction
+    const prefactor = Math.exp( a * Math.log( x ) + b * Math.log( 1 - x ) - ProbabilityUtils.logBeta( a, b ) ) / a;
+
+    let c = 1;
+    let d = 1 - ( a + b ) * x / ( a + 1 );
+    d = 1 / ( ( Math.abs( d ) < TINY ) ? TINY : d );
+    let fraction = d;
+    let delta = 0;
+    for ( let m = 1; m < MAX_ITERATIONS && Math.abs( delta - 1 ) > EPSILON; m++ ) {
+
+      // even and odd steps of the continued fraction
+      for ( let j = 0; j < 2; j++ ) {
+        const numerator = ( j === 0 ) ?
+                          m * ( b - m ) * x / ( ( a + 2 * m - 1 ) * ( a + 2 * m ) ) :
+                          -( a + m ) * ( a + b + m ) * x / ( ( a + 2 * m ) * ( a + 2 * m + 1 ) );
+        d = 1 + numerator * d;
+        d = 1 / ( ( Math.abs( d ) < TINY ) ? TINY : d );
+        c = 1 + numerator / c;
+        c = ( Math.abs( c ) < TINY ) ? TINY : c;
+        delta = d * c;
+        fraction *= delta;
+      }
+    }
+    return Math.min( 1, Math.max( 0, prefactor * fraction ) );
+  },
+
+  /**
+   * Gets the quantile of the beta distribution Beta(a,b), the value x such that I_x(a,b) = probability, by bisection.
+   *
+   * @param {number} probability - between 0 and 1
+   * @param {number} a - a positive number
+   * @param {number} b - a positive number
+   * @returns {number} between 0 and 1
+   * @public
+   */
+  getBetaQuantile: function( probability, a, b ) {
+    assert && assert( probability >= 0 && probability <= 1, 'probability must be between 0 and 1: ' + probability );
+
+    let lowerBound = 0;
+    let upperBound = 1;
+    for ( let i = 0; i < BISECTION_ITERATIONS; i++ ) {
+      const x = ( lowerBound + upperBound ) / 2;
+      if ( ProbabilityUtils.getRegularizedIncompleteBeta( x, a, b ) < probability ) {
+        lowerBound = x;
+      }
+      else {
+        upperBound = x;
+      }
+    }
+    return ( lowerBound + upperBound ) / 2;
+  },
+
+  /**
+   * Gets the descriptive statistics of the distribution of the values 0, 1, 2..., from their weights, which may be
+   * the numbers of balls in the bins or the probabilities of the bins. A quantile q is the smallest value such that
+   * a fraction q of the weight is at or below it, so it is one of the values. The skewness and excess kurtosis are
+   * the standardized third and fourth central moments, the latter minus 3 so that it is 0 for a normal distribution.
+   * See http://en.wikipedia.org/wiki/Skewness and http://en.wikipedia.org/wiki/Kurtosis
+   *
+   * @param {number[]} weights - non-negative weight of each value
+   * @returns {{median: number, firstQuartile: number, thirdQuartile: number, interquartileRange: number,
+   *   modes: number[], skewness: number, excessKurtosis: number}} all 0 and no modes if the weights are all zero,
+   *   and the skewness and excess kurtosis are 0 if there is a single value
+   * @public
+   */
+  getDescriptiveStatistics: function( weights ) {
+    const totalWeight = _.sum( weights );
+    if ( totalWeight === 0 ) {
+      return {
+        median: 0,
+        firstQuartile: 0,
+        thirdQuartile: 0,
+        interquartileRange: 0,
+        modes: [],
+        skewness: 0,
+        excessKurtosis: 0
+      };
+    }
+
+    // quantiles, from the cumulative weights
+    const getQuantile = function( q ) {
+      let cumulativeWeight = 0;
+      for ( let value = 0; value < weights.length; value++ ) {
+        cumulativeWeight += weights[ value ];
+        if ( cumulativeWeight >= q * totalWeight * ( 1 - WEIGHT_TOLERANCE ) ) {
+          return value;
+        }
+      }
+      return weights.length - 1;
+    };
+    const firstQuartile = getQuantile( 0.25 );
+    const thirdQuartile = getQuantile( 0.75 );
+
+    // the values with the largest weight
+    const maxWeight = _.max( weights );
+    const modes = [];
+    weights.forEach( function( weight, value ) {
+      if ( weight >= maxWeight * ( 1 - WEIGHT_TOLERANCE ) ) {
+        modes.push( value );
+      }
+    } );
+
+    // central moments
+    const getMoment = function( order, center ) {
+      return _.sum( weights.map( function( weight, value ) {
+        return weight * Math.pow( value - center, order );
+      } ) ) / totalWeight;
+    };
+    const average = getMoment( 1, 0 );
+    const variance = getMoment( 2, average );
+    const isSpread = ( variance > WEIGHT_TOLERANCE );
+
+    return {
+      median: getQuantile( 0.5 ),
+      firstQuartile: firstQuartile,
+      thirdQuartile: thirdQuartile,
+      interquartileRange: thirdQuartile - firstQuartile,
+      modes: modes,
+      skewness: isSpread ? getMoment( 3, average ) / Math.pow( variance, 1.5 ) : 0,
+      excessKurtosis: isSpread ? getMoment( 4, average ) / ( variance * variance ) - 3 : 0
+    };
+  },
+
+  /**
+   * Tests whether balls in the bins could have been drawn from a distribution, with Pearson's chi-square test.
+   * The bins that are expected to hold few balls are merged with their neighbors, so that every group of bins is
+   * expected to hold at least MIN_EXPECTED_COUNT balls. The chi-square statistic is the sum over the groups of
+   * (observed - expected)^2 / expected, and it has (number of groups - 1) degrees of freedom, since the distribution
+   * is known in advance. The p-value is the probability of a chi-square statistic at least this large, if the balls
+   * were drawn from the distribution. See http://en.wikipedia.org/wiki/Pearson%27s_chi-squared_test
+   *
+   * @param {number[]} counts - number of balls in each bin
+   * @param {number[]} probabilities - probability of each bin, the same length as counts
+   * @returns {{chiSquare: number, degreesOfFreedom: number, pValue: number}|null} null if there are not enough balls
+   *   for two groups of bins
+   * @public
+   */
+  getChiSquareTest: function( counts, probabilities ) {
+    assert && assert( counts.length === probabilities.length, 'a probability is required for each bin' );
+
+    const numberOfBalls = _.sum( counts );
+
+    // merge the bins from left to right, a group is closed once it is expected to hold enough balls
+    const groups = []; // {{observed: number, expected: number}[]}
+    let group = { observed: 0, expected: 0 };
+    counts.forEach( function( count, binIndex ) {
+      group.observed += count;
+      group.expected += probabilities[ binIndex ] * numberOfBalls;
+      if ( group.expected >= MIN_EXPECTED_COUNT ) {
+        groups.push( group );
+        group = { observed: 0, expected: 0 };
+      }
+    } );
+
+    // the last bins, which are not expected to hold enough balls, are merged with the last group
+    if ( groups.length > 0 ) {
+      _.last( groups ).observed += group.observed;
+      _.last( groups ).expected += group.expected;
+    }
+
+    if ( groups.length < 2 ) {
+      return null;
+    }
+
+    const chiSquare = _.sum( groups.map( function( group ) {
+      return ( group.observed - group.expected ) * ( group.observed - group.expected ) / group.expected;
+    } ) );
+    const degreesOfFreedom = groups.length - 1;
+
+    // the chi-square distribution with k degrees of freedom is a gamma distribution of shape k/2 and scale 2
+    return {
+      chiSquare: chiSquare,
+      degreesOfFreedom: degreesOfFreedom,
+      pValue: ProbabilityUtils.getUpperRegularizedGamma( degreesOfFreedom / 2, chiSquare / 2 )
+    };
+  }
+};
+
+plinkoProbability.register( 'ProbabilityUtils', ProbabilityUtils );
+
+export default ProbabilityUtils;
@@ -7,19 +7,24 @@
  */
 
 import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
 import ShadedSphereNode from '../../../../scenery-phet/js/ShadedSphereNode.js';
 import plinkoProbability from '../../plinkoProbability.js';
 import PlinkoProbabilityConstants from '../PlinkoProbabilityConstants.js';
 
 /**
  * @param {number} radius - in view coordinates
+ * @param {Object} [options]
  * @constructor
  */
-function BallNode( radius ) {
-  ShadedSphereNode.call( this, 2 * radius, {
-    mainColor: PlinkoProbabilityConstants.BALL_COLOR,
+function BallNode( radius, options ) {
+
+  options = merge( {
+    mainColor: PlinkoProbabilityConstants.BALL_COLOR, // {Color|string} balls of other species have other colors, see SPECIES_COLORS
     highlightColor: PlinkoProbabilityConstants.BALL_HIGHLIGHT_COLOR
-  } );
+  }, options );
+
+  ShadedSphereNode.call( this, 2 * radius, options );
 }
 
 plinkoProbability.register( 'BallNode', BallNode );
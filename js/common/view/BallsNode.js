@@ -16,6 +16,9 @@ import GaltonBoard from '../model/GaltonBoard.js';
 import PlinkoProbabilityConstants from '../PlinkoProbabilityConstants.js';
 import BallNode from './BallNode.js';
 
+// constants
+const MIN_BALL_VIEW_DIAMETER = 3; // with hundreds of rows, the balls would be smaller than a pixel
+
 /**
  * @param {Ball[]} balls - an array of model Ball
  * @param {Property.<number>} numberOfRowsProperty - number of rows
@@ -45,11 +48,14 @@ function BallsNode( balls, numberOfRowsProperty, histogramModeProperty, modelVie
   const defaultBallRadius = modelViewTransform.modelToViewDeltaX(
     GaltonBoard.getPegSpacing( PlinkoProbabilityConstants.ROWS_RANGE.min ) * PlinkoProbabilityConstants.BALL_SIZE_FRACTION );
 
-  // Renders the ball to a canvas, used for rendering all balls.
-  const ballNode = new BallNode( defaultBallRadius );
-  ballNode.toCanvas( function( canvas, x, y, width, height ) {
-    self.ballCanvas = canvas; // @private
-    self.invalidatePaint(); // calls paintCanvas
+  // Renders a ball of each species to a canvas, used for rendering all balls of the species.
+  this.ballCanvases = []; // @private {HTMLCanvasElement[]} indexed by species index
+  PlinkoProbabilityConstants.SPECIES_COLORS.forEach( function( color, speciesIndex ) {
+    const ballNode = new BallNode( defaultBallRadius, { mainColor: color } );
+    ballNode.toCanvas( function( canvas, x, y, width, height ) {
+      self.ballCanvases[ speciesIndex ] = canvas;
+      self.invalidatePaint(); // calls paintCanvas
+    } );
   } );
 
   // calls paintCanvas
@@ -67,8 +73,9 @@ inherit( CanvasNode, BallsNode, {
    */
   paintCanvas: function( context ) {
 
-    // image is created asynchronously by toImage, so it may not be available yet
-    if ( !this.ballCanvas ) { return; }
+    // images are created asynchronously by toImage, so they may not be available yet
+    if ( _.compact( this.ballCanvases ).length < PlinkoProbabilityConstants.SPECIES_COLORS.length ) { return; }
+    const ballCanvasHeight = this.ballCanvases[ 0 ].height;
 
     // Adjust size of the balls based on the number of rows in the Galton board.
     // scale ball radius to be inversely proportional to (number of bins )
@@ -90,9 +97,12 @@ inherit( CanvasNode, BallsNode, {
 
       // offset vertically the ball trajectory down such that they still give
       // the impression to hit the pegs
-      verticalOffset = ( 1 - fudgeFactor ) * this.ballCanvas.height / 2;
+      verticalOffset = ( 1 - fudgeFactor ) * ballCanvasHeight / 2;
     }
 
+    // the balls keep a minimum size, so they remain visible over the shading of the pegs, see PegsNode
+    scaleFactor = Math.max( scaleFactor, MIN_BALL_VIEW_DIAMETER / ballCanvasHeight );
+
     const self = this;
     this.balls.forEach( function( ball ) {
 
@@ -101,12 +111,13 @@ inherit( CanvasNode, BallsNode, {
 
         const ballViewPositionX = self.modelViewTransform.modelToViewX( ball.position.x );
         const ballViewPositionY = self.modelViewTransform.modelToViewY( ball.position.y );
+        const ballCanvas = self.ballCanvases[ ball.speciesIndex ];
 
-        context.drawImage( self.ballCanvas,
-          ballViewPositionX - self.ballCanvas.width * scaleFactor / 2,
-          ballViewPositionY - self.ballCanvas.height * scaleFactor / 2 + verticalOffset,
-          self.ballCanvas.width * scaleFactor,
-          self.ballCanvas.height * scaleFactor );
+        context.drawImage( ballCanvas,
+          ballViewPositionX - ballCanvas.width * scaleFactor / 2,
+          ballViewPositionY - ballCanvas.height * scaleFactor / 2 + verticalOffset,
+          ballCanvas.width * scaleFactor,
+          ballCanvas.height * scaleFactor );
       }
     } );
   }
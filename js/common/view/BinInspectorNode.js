@@ -0,0 +1,260 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Inspector of the bins of the histogram, or of the cylinders. A bin is selected by clicking it, or with the arrow
+ * keys when this Node has focus, and a callout shows its exact numbers: the number of balls in the bin and their
+ * fraction, the expected number of balls N·P(k), the ideal probability P(k), and on a binary board the number of
+ * paths to the bin, "n choose k". The banner of the histogram shows one number per bin, which is truncated when the
+ * bins are narrow.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import KeyboardUtils from '../../../../scenery/js/accessibility/KeyboardUtils.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
+import plinkoProbability from '../../plinkoProbability.js';
+import PlinkoProbabilityConstants from '../PlinkoProbabilityConstants.js';
+
+const binCountString = plinkoProbabilityStrings.binCount;
+const binFractionString = plinkoProbabilityStrings.binFraction;
+const binNumberString = plinkoProbabilityStrings.binNumber;
+const binProbabilityString = plinkoProbabilityStrings.binProbability;
+const expectedCountString = plinkoProbabilityStrings.expectedCount;
+const numberOfPathsString = plinkoProbabilityStrings.numberOfPaths;
+const unknownValueString = plinkoProbabilityStrings.unknownValue;
+
+// constants
+const BANNER_HEIGHT = 20; // height of the banner at the top of the histogram, see HistogramNode
+const CALLOUT_FONT = new PhetFont( 14 );
+const CALLOUT_MARGIN = 5; // between the callout and the sides of the histogram
+const MAX_TEXT_WIDTH = 220;
+const SELECTED_BIN_STROKE = 'black';
+const SELECTED_BIN_LINE_WIDTH = 2;
+const PROBABILITY_SIGNIFICANT_DIGITS = 6;
+const NUMBER_OF_PATHS_FRACTION_DIGITS = 5; // in scientific notation, see update
+
+/**
+ * @param {PlinkoProbabilityCommonModel} model
+ * @param {ModelViewTransform2} modelViewTransform
+ * @param {Object} [options]
+ * @constructor
+ */
+function BinInspectorNode( model, modelViewTransform, options ) {
+
+  const self = this;
+
+  options = merge( {
+    cursor: 'pointer',
+
+    // pdom
+    tagName: 'div',
+    focusable: true
+  }, options );
+
+  // @private
+  this.model = model;
+  this.viewBounds = modelViewTransform.modelToViewBounds( PlinkoProbabilityConstants.HISTOGRAM_BOUNDS );
+
+  // @public {Property.<number|null>} index of the selected bin, null if no bin is selected
+  this.selectedBinIndexProperty = new Property( null );
+
+  // the whole histogram can be clicked, transparent so that the bars and the cylinders are seen through it
+  const backgroundNode = new Rectangle( this.viewBounds, { fill: 'rgba(0,0,0,0)' } );
+
+  // @private outline of the selected bin
+  this.selectedBinRectangle = new Rectangle( 0, 0, 1, 1, {
+    stroke: SELECTED_BIN_STROKE,
+    lineWidth: SELECTED_BIN_LINE_WIDTH,
+    pickable: false
+  } );
+
+  const textOptions = {
+    font: CALLOUT_FONT,
+    maxWidth: MAX_TEXT_WIDTH
+  };
+
+  // @private
+  this.binNumberText = new Text( '', merge( { fill: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_STROKE },
+    textOptions ) );
+  this.binCountText = new Text( '', merge( { fill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR }, textOptions ) );
+  this.binFractionText = new Text( '', merge( { fill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR }, textOptions ) );
+  this.expectedCountText = new Text( '', merge( { fill: PlinkoProbabilityConstants.THEORETICAL_FONT_COLOR },
+    textOptions ) );
+  this.binProbabilityText = new Text( '', merge( { fill: PlinkoProbabilityConstants.THEORETICAL_FONT_COLOR },
+    textOptions ) );
+  this.numberOfPathsText = new Text( '', merge( { fill: PlinkoProbabilityConstants.THEORETICAL_FONT_COLOR },
+    textOptions ) );
+
+  // @private
+  this.calloutContentNode = new VBox( {
+    align: 'left',
+    spacing: 3
+  } );
+  this.calloutNode = new Panel( this.calloutContentNode, {
+    fill: 'white',
+    stroke: 'black',
+    cornerRadius: 5,
+    xMargin: 8,
+    yMargin: 5,
+    pickable: false
+  } );
+
+  options.children = [ backgroundNode, this.selectedBinRectangle, this.calloutNode ];
+
+  Node.call( this, options );
+
+  // No need to remove listeners since this instance is present for the lifetime of the simulation.
+  this.addInputListener( {
+
+    // select the bin that was clicked, or nothing if it was already selected
+    down: function( event ) {
+      const binIndex = self.getBinIndexAt( self.globalToLocalPoint( event.pointer.point ) );
+      self.selectedBinIndexProperty.set( ( binIndex === self.selectedBinIndexProperty.get() ) ? null : binIndex );
+    },
+
+    // move the selection with the arrow keys
+    keydown: function( event ) {
+      self.moveSelection( event.domEvent.keyCode );
+    },
+
+    // the bin in the middle is selected when the histogram gets focus, and the selection goes when it loses focus
+    focus: function() {
+      if ( self.selectedBinIndexProperty.get() === null ) {
+        self.selectedBinIndexProperty.set( Math.floor( model.numberOfBinsProperty.get() / 2 ) );
+      }
+    },
+    blur: function() {
+      self.selectedBinIndexProperty.set( null );
+    }
+  } );
+
+  // links and listeners are present for the lifetime of the sim, no need to dispose
+  model.numberOfBinsProperty.link( function( numberOfBins ) {
+    const selectedBinIndex = self.selectedBinIndexProperty.get();
+    if ( selectedBinIndex !== null && selectedBinIndex >= numberOfBins ) {
+      self.selectedBinIndexProperty.set( null );
+    }
+  } );
+  const update = function() {
+    self.update();
+  };
+  Property.multilink( [ this.selectedBinIndexProperty, model.numberOfBinsProperty, model.probabilityProperty ],
+    update );
+  model.histogram.histogramUpdatedEmitter.addListener( update );
+  model.theoreticalDistributionChangedEmitter.addListener( update );
+}
+
+plinkoProbability.register( 'BinInspectorNode', BinInspectorNode );
+
+inherit( Node, BinInspectorNode, {
+
+  /**
+   * Updates the outline of the selected bin, and its numbers in the callout.
+   *
+   * @public
+   */
+  update: function() {
+    const binIndex = this.selectedBinIndexProperty.get();
+    this.selectedBinRectangle.visible = ( binIndex !== null );
+    this.calloutNode.visible = ( binIndex !== null );
+    if ( binIndex === null ) {
+      return;
+    }
+
+    const model = this.model;
+    const histogram = model.histogram;
+    const numberOfBins = model.numberOfBinsProperty.get();
+    const binWidth = this.viewBounds.width / numberOfBins;
+    const binLeft = this.viewBounds.minX + binIndex * binWidth;
+    this.selectedBinRectangle.setRect( binLeft, this.viewBounds.minY + BANNER_HEIGHT, binWidth,
+      this.viewBounds.height - BANNER_HEIGHT );
+
+    // the ideal probability is unknown while it is hidden, see LabModel.getBinProbability
+    const probability = model.getBinProbability( binIndex );
+    this.binNumberText.text = StringUtils.fillIn( binNumberString, { bin: binIndex } );
+    this.binCountText.text = StringUtils.fillIn( binCountString, { count: histogram.getBinCount( binIndex ) } );
+    this.binFractionText.text = StringUtils.fillIn( binFractionString, {
+      fraction: Utils.toFixed( histogram.getFractionalBinCount( binIndex ), 4 )
+    } );
+    this.expectedCountText.text = StringUtils.fillIn( expectedCountString, {
+      expectedCount: ( probability === null ) ? unknownValueString :
+                     Utils.toFixed( histogram.landedBallsNumber * probability, 2 )
+    } );
+    this.binProbabilityText.text = StringUtils.fillIn( binProbabilityString, {
+      probability: ( probability === null ) ? unknownValueString :
+                   probability.toPrecision( PROBABILITY_SIGNIFICANT_DIGITS )
+    } );
+
+    // the bin number of a binary board is the number of right bounces, so there are "n choose k" paths to it
+    const children = [ this.binNumberText, this.binCountText, this.binFractionText, this.expectedCountText,
+      this.binProbabilityText ];
+    if ( model.boardTypeProperty.get() === 'binary' ) {
+
+      // beyond the safe integers, the number of paths is approximate, so it is shown in scientific notation
+      const numberOfPaths = model.getBinomialCoefficient( model.numberOfRowsProperty.get(), binIndex );
+      this.numberOfPathsText.text = StringUtils.fillIn( numberOfPathsString, {
+        numberOfPaths: ( numberOfPaths <= Number.MAX_SAFE_INTEGER ) ? numberOfPaths :
+                       numberOfPaths.toExponential( NUMBER_OF_PATHS_FRACTION_DIGITS )
+      } );
+      children.push( this.numberOfPathsText );
+    }
+    this.calloutContentNode.children = children;
+
+    // the callout is at the top of the histogram, centered on the bin, but within the histogram
+    this.calloutNode.top = this.viewBounds.minY + BANNER_HEIGHT + CALLOUT_MARGIN;
+    this.calloutNode.centerX = Utils.clamp( binLeft + binWidth / 2,
+      this.viewBounds.minX + this.calloutNode.width / 2 + CALLOUT_MARGIN,
+      this.viewBounds.maxX - this.calloutNode.width / 2 - CALLOUT_MARGIN );
+  },
+
+  /**
+   * Gets the index of the bin at a point.
+   *
+   * @param {Vector2} point - in the view coordinates of this Node
+   * @returns {number}
+   * @private
+   */
+  getBinIndexAt: function( point ) {
+    const numberOfBins = this.model.numberOfBinsProperty.get();
+    const binIndex = Math.floor( numberOfBins * ( point.x - this.viewBounds.minX ) / this.viewBounds.width );
+    return Utils.clamp( binIndex, 0, numberOfBins - 1 );
+  },
+
+  /**
+   * Moves the selection to the next bin in the direction of an arrow key, and removes it with the escape key.
+   *
+   * @param {number} keyCode
+   * @private
+   */
+  moveSelection: function( keyCode ) {
+    const numberOfBins = this.model.numberOfBinsProperty.get();
+    const selectedBinIndex = this.selectedBinIndexProperty.get();
+    if ( keyCode === KeyboardUtils.KEY_ESCAPE ) {
+      this.selectedBinIndexProperty.set( null );
+    }
+    else if ( selectedBinIndex === null ) {
+      if ( KeyboardUtils.isArrowKey( keyCode ) ) {
+        this.selectedBinIndexProperty.set( Math.floor( numberOfBins / 2 ) );
+      }
+    }
+    else if ( keyCode === KeyboardUtils.KEY_LEFT_ARROW || keyCode === KeyboardUtils.KEY_DOWN_ARROW ) {
+      this.selectedBinIndexProperty.set( Math.max( selectedBinIndex - 1, 0 ) );
+    }
+    else if ( keyCode === KeyboardUtils.KEY_RIGHT_ARROW || keyCode === KeyboardUtils.KEY_UP_ARROW ) {
+      this.selectedBinIndexProperty.set( Math.min( selectedBinIndex + 1, numberOfBins - 1 ) );
+    }
+  }
+} );
+
+export default BinInspectorNode;
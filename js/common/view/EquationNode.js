@@ -11,6 +11,7 @@
 import Utils from '../../../../dot/js/Utils.js';
 import inherit from '../../../../phet-core/js/inherit.js';
 import merge from '../../../../phet-core/js/merge.js';
+import MathSymbols from '../../../../scenery-phet/js/MathSymbols.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import HStrut from '../../../../scenery/js/nodes/HStrut.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
@@ -89,11 +90,20 @@ inherit( Node, EquationNode, {
   /**
    * Update the value of the right side of the equation (a number)
    *
-   * @param {number} value
+   * @param {number|number[]|null} value - null or [] if there is no value, which is shown as a dash. Several values
+   *   are separated by commas.
    * @public
    */
   setRightHandSideOfEquation: function( value ) {
-    this.rightHandSideOfEquationText.text = this.roundNumber( value );
+    if ( value === null || ( Array.isArray( value ) && value.length === 0 ) ) {
+      this.rightHandSideOfEquationText.text = MathSymbols.MINUS;
+    }
+    else if ( Array.isArray( value ) ) {
+      this.rightHandSideOfEquationText.text = value.map( this.roundNumber.bind( this ) ).join( ', ' );
+    }
+    else {
+      this.rightHandSideOfEquationText.text = this.roundNumber( value );
+    }
   },
 
   /**
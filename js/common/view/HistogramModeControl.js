@@ -10,6 +10,7 @@
 import inherit from '../../../../phet-core/js/inherit.js';
 import merge from '../../../../phet-core/js/merge.js';
 import Image from '../../../../scenery/js/nodes/Image.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
 import RadioButtonGroup from '../../../../sun/js/buttons/RadioButtonGroup.js';
 import plinkoProbability from '../../plinkoProbability.js';
 
@@ -18,14 +19,13 @@ const ICON_WIDTH = 35;
 
 /**
  * @param {Property.<string>} histogramModeProperty - see PlinkoProbabilityCommonView
- * @param {string} topValue - value associated with top radio button
- * @param {HTMLImageElement} topImage - image used to create icon for top radio button
- * @param {string} bottomValue - value associated with bottom radio button
- * @param {HTMLImageElement} bottomImage - image used to create icon for bottom radio button
+ * @param {Object[]} items - the radio buttons, from top to bottom, each of the form
+ *   { value: {string}, icon: {HTMLImageElement|Node} }, where value is associated with the radio button,
+ *   and icon is the image or node used to create the icon of the radio button
  * @param {Object} [options]
  * @constructor
  */
-function HistogramModeControl( histogramModeProperty, topValue, topImage, bottomValue, bottomImage, options ) {
+function HistogramModeControl( histogramModeProperty, items, options ) {
 
   options = merge( {
     spacing: 5, // vertical separation of the buttons
@@ -39,19 +39,14 @@ function HistogramModeControl( histogramModeProperty, topValue, topImage, bottom
   }, options );
 
   // create the icons for the radio buttons
-  const topNode = new Image( topImage );
-  topNode.scale( ICON_WIDTH / topNode.width );
-
-  const bottomNode = new Image( bottomImage );
-  bottomNode.scale( ICON_WIDTH / bottomNode.width );
-
-  RadioButtonGroup.call( this, histogramModeProperty, [
-    { value: topValue, node: topNode },
-    { value: bottomValue, node: bottomNode }
-  ], options );
+  RadioButtonGroup.call( this, histogramModeProperty, items.map( function( item ) {
+    const iconNode = ( item.icon instanceof Node ) ? item.icon : new Image( item.icon );
+    iconNode.scale( ICON_WIDTH / iconNode.width );
+    return { value: item.value, node: iconNode };
+  } ), options );
 }
 
 plinkoProbability.register( 'HistogramModeControl', HistogramModeControl );
 
 inherit( RadioButtonGroup, HistogramModeControl );
-export default HistogramModeControl;
\ No newline at end of file
+export default HistogramModeControl;
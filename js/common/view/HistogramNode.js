@@ -15,17 +15,27 @@ import Line from '../../../../scenery/js/nodes/Line.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Path from '../../../../scenery/js/nodes/Path.js';
 import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import Color from '../../../../scenery/js/util/Color.js';
 import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
 import plinkoProbability from '../../plinkoProbability.js';
+import ProbabilityUtils from '../model/ProbabilityUtils.js';
 import PlinkoProbabilityConstants from '../PlinkoProbabilityConstants.js';
+import EquationNode from './EquationNode.js';
 
 //----------------------------------------------------------------------------------------
 // constants
 //----------------------------------------------------------------------------------------
 
-const MAX_NUMBER_BINS = PlinkoProbabilityConstants.ROWS_RANGE.max + 1; /// there is one more bin than rows;
+const MAX_NUMBER_BINS = PlinkoProbabilityConstants.MAX_NUMBER_OF_BINS;
+
+// narrow bins are grouped, and these are the numbers of bins in a group, times powers of 10
+const BIN_GROUP_MANTISSAS = [ 1, 2, 5 ];
+
+// minimum spaces between the labels of the x axis or of the banner, and between the separators of the banner
+const MIN_TICK_LABEL_SPACING = 2;
+const MIN_BANNER_GROUP_WIDTH = 5;
 
 // background of histogram
 const GRID_BACKGROUND_FILL = 'white';
@@ -55,37 +65,152 @@ const MAJOR_TICK_FONT = new PhetFont( { size: 16 } );
 
 const binString = plinkoProbabilityStrings.bin;
 const countString = plinkoProbabilityStrings.count;
+const cumulativeFractionString = plinkoProbabilityStrings.cumulativeFraction;
+const kolmogorovSmirnovDistanceString = plinkoProbabilityStrings.kolmogorovSmirnovDistance;
 const fractionString = plinkoProbabilityStrings.fraction;
+const residualString = plinkoProbabilityStrings.residual;
 
 // triangle (for average indicators)
 const TRIANGLE_HEIGHT = 20;
 const TRIANGLE_WIDTH = 20;
 
+// sizes of the triangles that point down at the median and the quartiles, from the top of the bars
+const MEDIAN_MARKER_SIZE = 14;
+const QUARTILE_MARKER_SIZE = 10;
+
 // model histogram bounds
 const HISTOGRAM_BOUNDS = PlinkoProbabilityConstants.HISTOGRAM_BOUNDS;
 
+// number of line segments per bin of the normal curve
+const NORMAL_CURVE_SEGMENTS_PER_BIN = 10;
+
+// the logarithmic scale spans at most this many decades, below which the bars are not drawn
+const MAX_LOG_SCALE_DECADES = 8;
+
+// decade ticks of the logarithmic scale
+const LOG_SCALE_TICK_LENGTH = 5;
+const LOG_SCALE_GRID_STROKE = 'rgb(220,220,220)';
+
+// residuals that are beyond 2 standard deviations of the expected number of balls are highlighted
+const UNUSUAL_RESIDUAL_FILL = 'rgb(255,200,0)';
+
 /**
  * Constructor for Histogram Node
  * @param {Property.<string>} histogramModeProperty - see PlinkoProbabilityCommonView
  * @param {PlinkoProbabilityCommonModel} model
  * @param {ModelViewTransform2} modelViewTransform
  * @param {Property.<boolean>} isTheoreticalHistogramVisibleProperty
+ * @param {Property.<boolean>} isNormalCurveVisibleProperty
+ * @param {Property.<boolean>} isPoissonVisibleProperty
+ * @param {Property.<boolean>} isDescriptiveStatisticsExpandedProperty - are the median and quartiles shown?
+ * @param {Property.<boolean>} isLogScaleProperty - are the bars drawn on a logarithmic scale?
  * @constructor
  */
-function HistogramNode( histogramModeProperty, model, modelViewTransform, isTheoreticalHistogramVisibleProperty ) {
+function HistogramNode( histogramModeProperty, model, modelViewTransform, isTheoreticalHistogramVisibleProperty,
+                        isNormalCurveVisibleProperty, isPoissonVisibleProperty, isDescriptiveStatisticsExpandedProperty,
+                        isLogScaleProperty ) {
+
+  // {Property.<{minExponent: number, maxExponent: number}|null>} decades spanned by the logarithmic scale, null when
+  // the bars are not drawn on a logarithmic scale. Set by HistogramBarNode, and shown by YAxisNode.
+  const logScaleRangeProperty = new Property( null );
+
   Node.call( this, {
     children: [
       new BackgroundNode( modelViewTransform ),
-      new XAxisNode( model.histogram, model.numberOfRowsProperty, modelViewTransform ),
-      new YAxisNode( model.histogram, histogramModeProperty, modelViewTransform ),
-      new XBannerNode( model.histogram, model.numberOfRowsProperty, histogramModeProperty, modelViewTransform ),
-      new HistogramBarNode( model.histogram, model, modelViewTransform, isTheoreticalHistogramVisibleProperty )
+      new XAxisNode( model.histogram, model.numberOfBinsProperty, modelViewTransform ),
+      new YAxisNode( model.histogram, histogramModeProperty, modelViewTransform, logScaleRangeProperty ),
+      new XBannerNode( model.histogram, model, histogramModeProperty, modelViewTransform ),
+      new HistogramBarNode( model.histogram, model, modelViewTransform, isTheoreticalHistogramVisibleProperty,
+        isNormalCurveVisibleProperty, isPoissonVisibleProperty, isDescriptiveStatisticsExpandedProperty,
+        histogramModeProperty, isLogScaleProperty, logScaleRangeProperty )
     ]
   } );
 }
 
 plinkoProbability.register( 'HistogramNode', HistogramNode );
 
+/**
+ * Are the bars of the histogram drawn in a histogram mode? They are not in cylinder mode, where the balls are shown
+ * in the cylinders, nor in cumulative mode, where the cumulative distributions are drawn instead.
+ *
+ * @param {string} histogramMode
+ * @returns {boolean}
+ */
+var isBarMode = function( histogramMode ) {
+  return ( histogramMode === 'counter' || histogramMode === 'fraction' );
+};
+
+/**
+ * Gets the values of the bars of the landed balls on the logarithmic scale: the numbers of balls in the bins in count
+ * mode, and their fractions in fraction mode.
+ *
+ * @param {Histogram} histogram
+ * @param {number} numberOfBins
+ * @param {string} histogramMode
+ * @returns {number[]}
+ */
+var getSampleLogScaleValues = function( histogram, numberOfBins, histogramMode ) {
+  return _.times( numberOfBins, function( binIndex ) {
+    return ( histogramMode === 'fraction' ) ? histogram.getFractionalBinCount( binIndex ) :
+           histogram.getBinCount( binIndex );
+  } );
+};
+
+/**
+ * Gets the factor of the probabilities of the ideal distribution on the logarithmic scale, so that they are at the
+ * scale of the bars of the landed balls: the number of landed balls in count mode, where they are the expected
+ * numbers of balls in the bins, and 1 in fraction mode. Before a ball has landed, they are expected for one ball.
+ *
+ * @param {Histogram} histogram
+ * @param {string} histogramMode
+ * @returns {number}
+ */
+var getTheoreticalLogScaleFactor = function( histogram, histogramMode ) {
+  return ( histogramMode === 'fraction' ) ? 1 : Math.max( 1, histogram.landedBallsNumber );
+};
+
+/**
+ * Gets the decades spanned by the logarithmic scale, from the decade of the largest value down to the decade below
+ * the smallest positive value, so that the smallest bar has a height, but no more than MAX_LOG_SCALE_DECADES.
+ *
+ * @param {number[]} values
+ * @returns {{minExponent: number, maxExponent: number}}
+ */
+var getLogScaleRange = function( values ) {
+  const positiveValues = values.filter( function( value ) { return value > 0; } );
+  if ( positiveValues.length === 0 ) {
+    return { minExponent: -1, maxExponent: 0 };
+  }
+  const maxExponent = Math.ceil( Math.log10( _.max( positiveValues ) ) );
+  const minExponent = Math.ceil( Math.log10( _.min( positiveValues ) ) ) - 1;
+  return {
+    minExponent: Math.max( minExponent, maxExponent - MAX_LOG_SCALE_DECADES ),
+    maxExponent: maxExponent
+  };
+};
+
+/**
+ * Gets the number of bins in a group, so that groups are at least some width. With hundreds of rows, the bins are
+ * narrower than a pixel, so only the edges of the groups are drawn, and only the first bin of each group is labeled.
+ * The number is 1, 2 or 5 times a power of 10, so that the labeled bins are round numbers.
+ *
+ * @param {number} numberOfBins
+ * @param {number} minGroupWidth - in view coordinates
+ * @param {ModelViewTransform2} modelViewTransform
+ * @returns {number}
+ */
+var getBinGroupSize = function( numberOfBins, minGroupWidth, modelViewTransform ) {
+  const binWidth = modelViewTransform.modelToViewDeltaX( HISTOGRAM_BOUNDS.width ) / numberOfBins;
+  for ( let powerOfTen = 1; ; powerOfTen *= 10 ) {
+    for ( let i = 0; i < BIN_GROUP_MANTISSAS.length; i++ ) {
+      const groupSize = BIN_GROUP_MANTISSAS[ i ] * powerOfTen;
+      if ( groupSize * binWidth >= minGroupWidth || groupSize >= numberOfBins ) {
+        return groupSize;
+      }
+    }
+  }
+};
+
 inherit( Node, HistogramNode );
 
 //----------------------------------------------------------------------------------------
@@ -96,11 +221,11 @@ inherit( Node, HistogramNode );
  * Scenery Node that create the labels at the tick marks and the X axis label.
  *
  * @param {Histogram} histogram
- * @param {Property.<number>} numberOfRowsProperty
+ * @param {Property.<number>} numberOfBinsProperty
  * @param {ModelViewTransform2} modelViewTransform
  * @constructor
  */
-function XAxisNode( histogram, numberOfRowsProperty, modelViewTransform ) {
+function XAxisNode( histogram, numberOfBinsProperty, modelViewTransform ) {
 
   Node.call( this );
 
@@ -140,11 +265,14 @@ function XAxisNode( histogram, numberOfRowsProperty, modelViewTransform ) {
 
   // no need to unlink present for the lifetime of the sim
   // update the visibility of the tick labels and their x positions
-  numberOfRowsProperty.link( function( numberOfRows ) {
-    const numberOfBins = numberOfRows + 1;
+  numberOfBinsProperty.link( function( numberOfBins ) {
+
+    // when there are many bins, they are grouped, and only the first bin of each group is labeled
+    const labelInterval = getBinGroupSize( numberOfBins,
+      tickLabels[ numberOfBins - 1 ].width + MIN_TICK_LABEL_SPACING, modelViewTransform );
     for ( binIndex = 0; binIndex < MAX_NUMBER_BINS; binIndex++ ) {
       // update the visibility of all the labels
-      tickLabels[ binIndex ].visible = ( binIndex < numberOfBins );
+      tickLabels[ binIndex ].visible = ( binIndex < numberOfBins ) && ( binIndex % labelInterval === 0 );
       // center the visible labels
       if ( tickLabels[ binIndex ].visible ) {
         tickLabels[ binIndex ].centerX = modelViewTransform.modelToViewX( histogram.getBinCenterX( binIndex, numberOfBins ) );
@@ -162,18 +290,20 @@ inherit( Node, XAxisNode );
 //----------------------------------------------------------------------------------------
 
 /**
- * Scenery Node that create a Y axis label
+ * Scenery Node that create a Y axis label, and the decade ticks of the logarithmic scale
  *
  * @param {Histogram} histogram
  * @param {Property.<string>} histogramModeProperty
  * @param {ModelViewTransform2} modelViewTransform
+ * @param {Property.<{minExponent: number, maxExponent: number}|null>} logScaleRangeProperty - see HistogramNode
  * @constructor
  */
-function YAxisNode( histogram, histogramModeProperty, modelViewTransform ) {
+function YAxisNode( histogram, histogramModeProperty, modelViewTransform, logScaleRangeProperty ) {
 
   Node.call( this );
 
   const axisLeft = modelViewTransform.modelToViewX( histogram.getMinX() );
+  const axisRight = modelViewTransform.modelToViewX( HISTOGRAM_BOUNDS.maxX );
 
   //Sets max width of y-axis label to histogram height.
   const histogramHeight = Math.abs( modelViewTransform.modelToViewDeltaY( HISTOGRAM_BOUNDS.height ) );
@@ -196,9 +326,15 @@ function YAxisNode( histogram, histogramModeProperty, modelViewTransform ) {
       case 'fraction':
         yLabelNode.text = fractionString;
         break;
+      case 'cumulative':
+        yLabelNode.text = cumulativeFractionString;
+        break;
       case 'counter':
         yLabelNode.text = countString;
         break;
+      case 'residuals':
+        yLabelNode.text = residualString;
+        break;
       case 'cylinder':
         // do nothing
         break;
@@ -207,6 +343,48 @@ function YAxisNode( histogram, histogramModeProperty, modelViewTransform ) {
     }
     yLabelNode.centerY = histogramCenterY; // center y-label text based on content
   } );
+
+  // the decades of the logarithmic scale, at the heights of the bars in HistogramBarNode, with grid lines across the
+  // histogram, behind the bars
+  const maxY = modelViewTransform.modelToViewY( HISTOGRAM_BOUNDS.minY );
+  const maxBarHeight = maxY - modelViewTransform.modelToViewY( HISTOGRAM_BOUNDS.maxY ) - BANNER_HEIGHT - 3;
+  const logScaleTicksNode = new Node();
+  this.addChild( logScaleTicksNode );
+
+  // no need to unlink present for the lifetime of the sim
+  logScaleRangeProperty.link( function( logScaleRange ) {
+    const children = [];
+    if ( logScaleRange ) {
+      const minExponent = logScaleRange.minExponent;
+      const maxExponent = logScaleRange.maxExponent;
+      for ( let exponent = minExponent; exponent <= maxExponent; exponent++ ) {
+        const y = maxY - maxBarHeight * ( exponent - minExponent ) / ( maxExponent - minExponent );
+        children.push( new Line( axisLeft, y, axisRight, y, {
+          stroke: LOG_SCALE_GRID_STROKE,
+          lineWidth: 0.5
+        } ) );
+        children.push( new Line( axisLeft - LOG_SCALE_TICK_LENGTH, y, axisLeft, y, {
+          stroke: MAJOR_TICK_COLOR,
+          lineWidth: 1
+        } ) );
+        children.push( new RichText( '10<sup>' + ( exponent < 0 ? '\u2212' : '' ) + Math.abs( exponent ) + '</sup>', {
+          font: SMALL_FONT,
+          fill: MAJOR_TICK_COLOR,
+          right: axisLeft - LOG_SCALE_TICK_LENGTH - 2,
+          centerY: y
+        } ) );
+      }
+    }
+    logScaleTicksNode.children = children;
+
+    // the label is moved to the left of the tick labels
+    if ( logScaleRange ) {
+      yLabelNode.right = logScaleTicksNode.left - 4;
+    }
+    else {
+      yLabelNode.left = axisLeft - 30; // empirically determined
+    }
+  } );
 }
 
 plinkoProbability.register( 'YAxisNode', YAxisNode );
@@ -239,15 +417,17 @@ inherit( Rectangle, BackgroundNode );
 
 /**
  * @param {Histogram} histogram
- * @param {Property.<number>} numberOfRowsProperty
+ * @param {PlinkoProbabilityCommonModel} model
  * @param {Property.<string>} histogramModeProperty
  * @param {ModelViewTransform2} modelViewTransform
  * @constructor
  */
-function XBannerNode( histogram, numberOfRowsProperty, histogramModeProperty, modelViewTransform ) {
+function XBannerNode( histogram, model, histogramModeProperty, modelViewTransform ) {
 
   Node.call( this );
 
+  const numberOfBinsProperty = model.numberOfBinsProperty;
+
   const minX = modelViewTransform.modelToViewX( HISTOGRAM_BOUNDS.minX );
   const minY = modelViewTransform.modelToViewY( HISTOGRAM_BOUNDS.maxY );
   const maxX = modelViewTransform.modelToViewX( HISTOGRAM_BOUNDS.maxX );
@@ -278,12 +458,26 @@ function XBannerNode( histogram, numberOfRowsProperty, histogramModeProperty, mo
   linesLayerNode.setChildren( verticalLinesArray );
   labelsLayerNode.setChildren( labelsTextArray );
 
+  // The values are shown only when the bins are wide enough for the widest value in the smallest font of the banner,
+  // see updateTextBanner. The fractions have at most 2 decimal places then, but the counts and the residuals grow
+  // with the number of balls, which is not bounded when balls are dropped all at once, so they are measured as they
+  // change.
+  const measuringText = new Text( '', { font: TINY_TINY_FONT } );
+  const getMaxLabeledBins = function( widestLabelText ) {
+    measuringText.text = widestLabelText;
+    return Math.floor( bannerWidth / ( measuringText.width + MIN_TICK_LABEL_SPACING ) );
+  };
+  const maxLabeledFractionBins = getMaxLabeledBins( Utils.toFixed( 1, 2 ) );
+
   /**
    * Function that update the position (and visibility) of the vertical lines in the banner at top of the histogram,
-   * @param {number} numberOfRows
+   * @param {number} numberOfBins
    */
-  function updateBanner( numberOfRows ) {
-    const numberOfBins = numberOfRows + 1;
+  function updateBanner( numberOfBins ) {
+
+    // when the bins are narrow, only the edges of groups of bins are drawn, see getBinGroupSize
+    const groupSize = getBinGroupSize( numberOfBins, MIN_BANNER_GROUP_WIDTH, modelViewTransform );
+
     // start on bin 1 rather than zero since the left side of the '0th' bin is the y-axis
     for ( var binIndex = 1; binIndex < numberOfBins; binIndex++ ) {
       const x = modelViewTransform.modelToViewX( histogram.getBinLeft( binIndex, numberOfBins ) );
@@ -295,26 +489,29 @@ function XBannerNode( histogram, numberOfRowsProperty, histogramModeProperty, mo
     }
     for ( binIndex = 0; binIndex < MAX_NUMBER_BINS; binIndex++ ) {
       // update the visibility of vertical line separator
-      verticalLinesArray[ binIndex ].visible = ( binIndex < numberOfBins );
+      verticalLinesArray[ binIndex ].visible = ( binIndex < numberOfBins ) && ( binIndex % groupSize === 0 );
     }
   }
 
   /**
    * Function that update the value of the text in the banner to reflect the actual value in the bin.,
-   * @param {number} numberOfRows
+   * @param {number} numberOfBins
    * @param {string} histogramMode
    */
-  function updateTextBanner( numberOfRows, histogramMode ) {
-
-    const numberOfBins = numberOfRows + 1;
+  function updateTextBanner( numberOfBins, histogramMode ) {
 
     let getHistogramBin;
     let font;
     let maxBinCount;
+    let residuals;
+    let maxLabeledBins;
 
     switch( histogramMode ) {
       case 'fraction':
-        getHistogramBin = histogram.getFractionalBinCount.bind( histogram );
+      case 'cumulative':
+        getHistogramBin = ( histogramMode === 'fraction' ) ?
+                          histogram.getFractionalBinCount.bind( histogram ) :
+                          histogram.getCumulativeFractionalBinCount.bind( histogram );
 
         // font is dependent on the number of bins
         if ( numberOfBins > 23 ) {font = TINY_TINY_FONT;}
@@ -322,6 +519,7 @@ function XBannerNode( histogram, numberOfRowsProperty, histogramModeProperty, mo
         else if ( numberOfBins > 16 ) {font = SMALL_FONT;}
         else if ( numberOfBins > 9 ) {font = NORMAL_FONT;}
         else {font = LARGE_FONT;}
+        maxLabeledBins = maxLabeledFractionBins;
 
         break;
       case 'counter':
@@ -338,6 +536,26 @@ function XBannerNode( histogram, numberOfRowsProperty, histogramModeProperty, mo
         else if ( maxBinCount > 9 && numberOfBins > 23 ) {font = SMALL_FONT;}
         else if ( maxBinCount > 9 && numberOfBins > 18 ) {font = NORMAL_FONT;}
         else {font = LARGE_FONT;}
+        maxLabeledBins = getMaxLabeledBins( maxBinCount );
+
+        break;
+      case 'residuals':
+        residuals = model.getResiduals();
+        getHistogramBin = function( binIndex ) {
+          return residuals[ binIndex ].residual;
+        };
+
+        // font is dependent on the number of bins, like the fractions
+        if ( numberOfBins > 23 ) {font = TINY_TINY_FONT;}
+        else if ( numberOfBins > 20 ) {font = TINY_FONT;}
+        else if ( numberOfBins > 16 ) {font = SMALL_FONT;}
+        else if ( numberOfBins > 9 ) {font = NORMAL_FONT;}
+        else {font = LARGE_FONT;}
+
+        // the widest residual has the largest magnitude, and no decimal places when the bins are narrow
+        maxLabeledBins = getMaxLabeledBins( Utils.toFixed( -_.max( _.map( residuals, function( binResidual ) {
+          return Math.abs( binResidual.residual );
+        } ) ), 0 ) );
 
         break;
       case 'cylinder':
@@ -350,16 +568,21 @@ function XBannerNode( histogram, numberOfRowsProperty, histogramModeProperty, mo
     // we loop over all the bins
     for ( binIndex = 0; binIndex < MAX_NUMBER_BINS; binIndex++ ) {
 
-      if ( binIndex < numberOfBins ) {
+      // the values do not fit in the banner when the bins are too narrow
+      if ( binIndex < numberOfBins && numberOfBins <= maxLabeledBins ) {
         labelsTextArray[ binIndex ].visible = true;
         const binCenterX = modelViewTransform.modelToViewX( histogram.getBinCenterX( binIndex, numberOfBins ) );
         let binValue = getHistogramBin( binIndex ); // a number
 
-        if ( histogramMode === 'fraction' ) {
+        if ( histogramMode === 'fraction' || histogramMode === 'cumulative' ) {
           // set the appropriate number of decimal places if in fraction mode,
           // if the number of bins is large, the width of the bin does not allow as many decimal places
           binValue = ( numberOfBins > 16 ) ? Utils.toFixed( binValue, 2 ) : Utils.toFixed( binValue, 3 );
         }
+        else if ( histogramMode === 'residuals' ) {
+          // the expected numbers of balls are not integers, so neither are the residuals
+          binValue = ( numberOfBins > 16 ) ? Utils.toFixed( binValue, 0 ) : Utils.toFixed( binValue, 1 );
+        }
 
         // update position, fontsize and text of the bins
         labelsTextArray[ binIndex ].text = binValue;
@@ -368,6 +591,7 @@ function XBannerNode( histogram, numberOfRowsProperty, histogramModeProperty, mo
       }
       else {
         // if binIndex>= numberOfbins, the bins are not visible. We choose not to update the text.
+        // Likewise if the bins are too narrow for their values.
         labelsTextArray[ binIndex ].visible = false;
       }
     }
@@ -376,16 +600,26 @@ function XBannerNode( histogram, numberOfRowsProperty, histogramModeProperty, mo
   // update the banner when a ball has been added to the histogram
   // no need to remove listener, present for the lifetime of the sim
   histogram.histogramUpdatedEmitter.addListener( function() {
-    updateTextBanner( numberOfRowsProperty.get(), histogramModeProperty.get() );
+    updateTextBanner( numberOfBinsProperty.get(), histogramModeProperty.get() );
   } );
 
   // no need to unlink, present for the lifetime of the sim
-  Property.multilink( [ numberOfRowsProperty, histogramModeProperty ], function( numberOfRows, histogramMode ) {
-    updateBanner( numberOfRows ); // update the placement of the vertical line separators
-    updateTextBanner( numberOfRows, histogramMode ); // update the text content of each bins
+  Property.multilink( [ numberOfBinsProperty, histogramModeProperty ], function( numberOfBins, histogramMode ) {
+    updateBanner( numberOfBins ); // update the placement of the vertical line separators
+    updateTextBanner( numberOfBins, histogramMode ); // update the text content of each bins
   } );
 
-  updateTextBanner( numberOfRowsProperty.get(), histogramModeProperty.get() );
+  // the residuals depend on the ideal distribution, which may change while the balls stay in the bins, see LabModel
+  // no need to unlink or remove listener, present for the lifetime of the sim
+  const updateResidualsBanner = function() {
+    if ( histogramModeProperty.get() === 'residuals' ) {
+      updateTextBanner( numberOfBinsProperty.get(), histogramModeProperty.get() );
+    }
+  };
+  model.probabilityProperty.lazyLink( updateResidualsBanner );
+  model.theoreticalDistributionChangedEmitter.addListener( updateResidualsBanner );
+
+  updateTextBanner( numberOfBinsProperty.get(), histogramModeProperty.get() );
 }
 
 plinkoProbability.register( 'XBannerNode', XBannerNode );
@@ -401,9 +635,18 @@ inherit( Node, XBannerNode );
  * @param {PlinkoProbabilityCommonModel} model
  * @param {ModelViewTransform2} modelViewTransform
  * @param {Property.<boolean>} isTheoreticalHistogramVisibleProperty
+ * @param {Property.<boolean>} isNormalCurveVisibleProperty
+ * @param {Property.<boolean>} isPoissonVisibleProperty
+ * @param {Property.<boolean>} isDescriptiveStatisticsExpandedProperty
+ * @param {Property.<string>} histogramModeProperty
+ * @param {Property.<boolean>} isLogScaleProperty
+ * @param {Property.<{minExponent: number, maxExponent: number}|null>} logScaleRangeProperty - see HistogramNode
  * @constructor
  */
-function HistogramBarNode( histogram, model, modelViewTransform, isTheoreticalHistogramVisibleProperty ) {
+function HistogramBarNode( histogram, model, modelViewTransform, isTheoreticalHistogramVisibleProperty,
+                           isNormalCurveVisibleProperty, isPoissonVisibleProperty,
+                           isDescriptiveStatisticsExpandedProperty, histogramModeProperty, isLogScaleProperty,
+                           logScaleRangeProperty ) {
 
   Node.call( this );
 
@@ -420,10 +663,12 @@ function HistogramBarNode( histogram, model, modelViewTransform, isTheoreticalHi
   const maxBarHeight = maxY - minY - BANNER_HEIGHT - 3; // in view coordinates, (-5) allows for small white space above bar so bar doesn't touch banner
   assert && assert( maxBarHeight > 0, 'the Height of the bar must be larger than zero' );
 
-  // create and add (on a separate layer) the two histograms
+  // create and add (on a separate layer) the two histograms, and the sample histogram stacked by species
   const sampleHistogramNode = new Node();
+  const speciesHistogramNode = new Node();
   const theoreticalHistogramNode = new Node();
   this.addChild( sampleHistogramNode );
+  this.addChild( speciesHistogramNode );
   this.addChild( theoreticalHistogramNode );
 
   // the rectangles that make up each histogram are stored in an array
@@ -453,6 +698,20 @@ function HistogramBarNode( histogram, model, modelViewTransform, isTheoreticalHi
   sampleHistogramNode.setChildren( sampleHistogramRectanglesArray );
   theoreticalHistogramNode.setChildren( theoreticalHistogramRectanglesArray );
 
+  // the rectangles of each species, in the color of the species, indexed by species index and bin index
+  const speciesHistogramRectanglesArrays = PlinkoProbabilityConstants.SPECIES_COLORS.map( function( color ) {
+    return _.times( MAX_NUMBER_BINS, function() {
+      const nominalSpeciesHistogramRectangle = new Rectangle( 0, 0, bannerWidth, 1, {
+        fill: color,
+        stroke: new Color( color ).darkerColor(),
+        lineWidth: 2,
+        visible: false
+      } );
+      speciesHistogramNode.addChild( nominalSpeciesHistogramRectangle );
+      return nominalSpeciesHistogramRectangle;
+    } );
+  } );
+
   // create triangle shape for the indicator of sample average and theoretical average
   const triangleShape = new Shape().moveTo( 0, maxY )
     .lineToRelative( -TRIANGLE_WIDTH / 2, TRIANGLE_HEIGHT )
@@ -473,30 +732,238 @@ function HistogramBarNode( histogram, model, modelViewTransform, isTheoreticalHi
   this.addChild( sampleAverageTrianglePath );
   this.addChild( theoreticalAverageTrianglePath );
 
+  // normal approximation of the ideal distribution, clipped since it may be taller than the tallest ideal bar
+  const normalCurvePath = new Path( null, {
+    stroke: PlinkoProbabilityConstants.NORMAL_CURVE_COLOR,
+    lineWidth: 2,
+    clipArea: Shape.rect( minX, maxY - maxBarHeight, bannerWidth, maxBarHeight )
+  } );
+  this.addChild( normalCurvePath );
+
+  // Poisson approximation of the ideal distribution, a dot at the top of each bin joined by dashed lines
+  const poissonLinesPath = new Path( null, {
+    stroke: PlinkoProbabilityConstants.POISSON_COLOR,
+    lineWidth: 1.5,
+    lineDash: [ 4, 3 ]
+  } );
+  const poissonDotsPath = new Path( null, {
+    fill: PlinkoProbabilityConstants.POISSON_COLOR
+  } );
+  const poissonNode = new Node( {
+    children: [ poissonLinesPath, poissonDotsPath ],
+    clipArea: normalCurvePath.clipArea
+  } );
+  this.addChild( poissonNode );
+
+  // triangles that point down at the median and quartiles, for the sample and theoretical histograms
+  const createMarkerShape = function( size ) {
+    return new Shape().moveTo( 0, maxY - maxBarHeight + size )
+      .lineToRelative( -size / 2, -size )
+      .lineToRelative( size, 0 )
+      .close();
+  };
+  const sampleMarkerOptions = {
+    fill: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_FILL,
+    stroke: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_STROKE,
+    lineWidth: 1.5
+  };
+  const theoreticalMarkerOptions = {
+    stroke: PlinkoProbabilityConstants.BINOMIAL_DISTRIBUTION_BAR_COLOR_STROKE,
+    fill: 'rgba(0,0,0,0)', // transparent
+    lineWidth: 1.5
+  };
+  const sampleMedianMarker = new Path( createMarkerShape( MEDIAN_MARKER_SIZE ), sampleMarkerOptions );
+  const sampleFirstQuartileMarker = new Path( createMarkerShape( QUARTILE_MARKER_SIZE ), sampleMarkerOptions );
+  const sampleThirdQuartileMarker = new Path( createMarkerShape( QUARTILE_MARKER_SIZE ), sampleMarkerOptions );
+  const theoreticalMedianMarker = new Path( createMarkerShape( MEDIAN_MARKER_SIZE ), theoreticalMarkerOptions );
+  const theoreticalFirstQuartileMarker = new Path( createMarkerShape( QUARTILE_MARKER_SIZE ), theoreticalMarkerOptions );
+  const theoreticalThirdQuartileMarker = new Path( createMarkerShape( QUARTILE_MARKER_SIZE ), theoreticalMarkerOptions );
+  const sampleMarkersNode = new Node( {
+    children: [ sampleFirstQuartileMarker, sampleThirdQuartileMarker, sampleMedianMarker ]
+  } );
+  const theoreticalMarkersNode = new Node( {
+    children: [ theoreticalFirstQuartileMarker, theoreticalThirdQuartileMarker, theoreticalMedianMarker ]
+  } );
+  this.addChild( sampleMarkersNode );
+  this.addChild( theoreticalMarkersNode );
+
+  // the cumulative distributions of the landed balls and of the ideal distribution, as step plots
+  const sampleCumulativePath = new Path( null, {
+    stroke: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_STROKE,
+    lineWidth: 2
+  } );
+  const theoreticalCumulativePath = new Path( null, {
+    stroke: PlinkoProbabilityConstants.BINOMIAL_DISTRIBUTION_BAR_COLOR_STROKE,
+    lineWidth: 2,
+    lineDash: [ 6, 4 ]
+  } );
+
+  // the Kolmogorov-Smirnov distance between the cumulative distributions, at the top left, where they are low
+  const kolmogorovSmirnovDistanceText = new EquationNode( kolmogorovSmirnovDistanceString, 0, {
+    leftHandSideFont: NORMAL_FONT,
+    rightHandSideFont: NORMAL_FONT,
+    leftHandSideFill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR,
+    rightHandSideFill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR
+  } );
+  kolmogorovSmirnovDistanceText.left = minX + 10;
+  kolmogorovSmirnovDistanceText.top = maxY - maxBarHeight + 5;
+  const cumulativeNode = new Node( {
+    children: [ sampleCumulativePath, theoreticalCumulativePath, kolmogorovSmirnovDistanceText ]
+  } );
+  this.addChild( cumulativeNode );
+
+  // the residuals, as bars above and below a zero axis in the middle of the histogram, with whiskers at +/- 2 standard
+  // deviations of the number of balls in each bin
+  const residualsZeroY = maxY - maxBarHeight / 2;
+  const residualBarsPath = new Path( null, {
+    fill: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_FILL,
+    stroke: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_STROKE,
+    lineWidth: 2
+  } );
+  const unusualResidualBarsPath = new Path( null, {
+    fill: UNUSUAL_RESIDUAL_FILL,
+    stroke: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_STROKE,
+    lineWidth: 2
+  } );
+  const residualWhiskersPath = new Path( null, {
+    stroke: PlinkoProbabilityConstants.BINOMIAL_DISTRIBUTION_BAR_COLOR_STROKE,
+    lineWidth: 1.5
+  } );
+  const residualsNode = new Node( {
+    children: [
+      residualBarsPath,
+      unusualResidualBarsPath,
+      new Line( minX, residualsZeroY, maxX, residualsZeroY, { stroke: 'black', lineWidth: 1 } ),
+      residualWhiskersPath
+    ]
+  } );
+  this.addChild( residualsNode );
+
+  // On the logarithmic scale, the bars of the landed balls and of the ideal distribution are at the same scale, see
+  // getTheoreticalLogScaleFactor, so that the tails of the distributions can be compared. The scale spans the values
+  // of the bars that are shown, and is updated before the bars, since they are drawn at its scale.
+  // no need to unlink or remove listener, present for the lifetime of the sim
+  const updateLogScaleRange = function() {
+    const histogramMode = histogramModeProperty.get();
+    let logScaleRange = null;
+    if ( isLogScaleProperty.get() && isBarMode( histogramMode ) ) {
+      let values = getSampleLogScaleValues( histogram, model.numberOfBinsProperty.get(), histogramMode );
+      if ( isTheoreticalHistogramVisibleProperty.get() ) {
+        values = values.concat( getTheoreticalLogScaleValues() );
+      }
+      logScaleRange = getLogScaleRange( values );
+    }
+    const oldLogScaleRange = logScaleRangeProperty.get();
+    if ( !logScaleRange || !oldLogScaleRange || logScaleRange.minExponent !== oldLogScaleRange.minExponent ||
+         logScaleRange.maxExponent !== oldLogScaleRange.maxExponent ) {
+      logScaleRangeProperty.set( logScaleRange );
+    }
+  };
+  Property.multilink( [ model.numberOfBinsProperty, model.probabilityProperty, isTheoreticalHistogramVisibleProperty,
+    histogramModeProperty, isLogScaleProperty ], updateLogScaleRange );
+  model.theoreticalDistributionChangedEmitter.addListener( updateLogScaleRange );
+  logScaleRangeProperty.lazyLink( function() {
+    updateHistogram( sampleHistogramRectanglesArray, getSampleBarHeights() );
+    updateTheoreticalHistogram();
+    updateNormalCurve();
+    updatePoisson();
+  } );
+
   // position the sample average triangle and set its visibility
   updateSampleAverageTriangle();
 
   // no need to unlink , present for the lifetime of the sim
-  Property.multilink( [ model.numberOfRowsProperty, model.probabilityProperty, isTheoreticalHistogramVisibleProperty ],
-    function( numberOfRows, probability, isTheoreticalHistogramVisible ) {
-      // update the sample histogram
-      updateHistogram( sampleHistogramRectanglesArray, model.histogram.getNormalizedSampleDistribution() );
+  Property.multilink( [ model.numberOfBinsProperty, model.probabilityProperty, isTheoreticalHistogramVisibleProperty,
+      model.numberOfSpeciesProperty, histogramModeProperty, isLogScaleProperty ],
+    function( numberOfBins, probability, isTheoreticalHistogramVisible, numberOfSpecies, histogramMode, isLogScale ) {
+      // the cumulative distributions, or the residuals, are drawn instead of the bars in those modes
+      const isPlotted = ( histogramMode === 'cumulative' || histogramMode === 'residuals' );
+      // update the sample histogram, stacked by species if there are several species, except on the logarithmic
+      // scale, where stacked bars would not add up
+      const isStacked = ( numberOfSpecies > 1 ) && !isLogScale;
+      sampleHistogramNode.visible = !isPlotted && !isStacked;
+      speciesHistogramNode.visible = !isPlotted && isStacked;
+      updateHistogram( sampleHistogramRectanglesArray, getSampleBarHeights() );
+      updateSpeciesHistogram();
       // set the appropriate visibility to the theoretical histogram and path
-      theoreticalHistogramNode.visible = isTheoreticalHistogramVisible;
+      theoreticalHistogramNode.visible = !isPlotted && isTheoreticalHistogramVisible;
       theoreticalAverageTrianglePath.visible = isTheoreticalHistogramVisible;
-      // only update the theoretical average, if isTheoreticalHistogramVisible is set to visible
-      if ( isTheoreticalHistogramVisible ) {
-        updateHistogram( theoreticalHistogramRectanglesArray, model.getNormalizedBinomialDistribution() );
-        updateTheoreticalAverageTriangle();
-      }
+      updateTheoreticalHistogram();
+    } );
+
+  // update the theoretical histogram when the distribution changes for other reasons, e.g. per-row probabilities
+  // no need to remove listener, present for the lifetime of the sim
+  model.theoreticalDistributionChangedEmitter.addListener( updateTheoreticalHistogram );
+
+  // the normal curve is drawn against the bars, which are neither in cylinder nor in cumulative mode
+  // no need to unlink, present for the lifetime of the sim
+  Property.multilink( [ model.numberOfBinsProperty, model.probabilityProperty, isNormalCurveVisibleProperty,
+      histogramModeProperty ],
+    function( numberOfBins, probability, isNormalCurveVisible, histogramMode ) {
+      normalCurvePath.visible = isNormalCurveVisible && isBarMode( histogramMode );
+      updateNormalCurve();
+    } );
+  model.theoreticalDistributionChangedEmitter.addListener( updateNormalCurve );
+
+  // no need to unlink, present for the lifetime of the sim
+  Property.multilink( [ model.numberOfBinsProperty, model.probabilityProperty, isPoissonVisibleProperty,
+      histogramModeProperty ],
+    function( numberOfBins, probability, isPoissonVisible, histogramMode ) {
+      poissonNode.visible = isPoissonVisible && isBarMode( histogramMode );
+      updatePoisson();
+    } );
+  model.theoreticalDistributionChangedEmitter.addListener( updatePoisson );
+
+  // the median and quartiles are shown with the other descriptive statistics, see StatisticsAccordionBox
+  // no need to unlink, present for the lifetime of the sim
+  Property.multilink( [ model.numberOfBinsProperty, model.probabilityProperty, isTheoreticalHistogramVisibleProperty,
+      isDescriptiveStatisticsExpandedProperty, histogramModeProperty ],
+    function( numberOfBins, probability, isTheoreticalHistogramVisible, isDescriptiveStatisticsExpanded,
+              histogramMode ) {
+      const isMarked = isDescriptiveStatisticsExpanded && ( histogramMode !== 'cylinder' );
+      sampleMarkersNode.visible = isMarked;
+      theoreticalMarkersNode.visible = isMarked && isTheoreticalHistogramVisible;
+      updateSampleQuartileMarkers();
+      updateTheoreticalQuartileMarkers();
+    } );
+  model.theoreticalDistributionChangedEmitter.addListener( updateTheoreticalQuartileMarkers );
+
+  // no need to unlink, present for the lifetime of the sim
+  Property.multilink( [ model.numberOfBinsProperty, model.probabilityProperty, isTheoreticalHistogramVisibleProperty,
+      histogramModeProperty ],
+    function( numberOfBins, probability, isTheoreticalHistogramVisible, histogramMode ) {
+      cumulativeNode.visible = ( histogramMode === 'cumulative' );
+      theoreticalCumulativePath.visible = isTheoreticalHistogramVisible;
+      updateCumulativeDistributions();
     } );
+  model.theoreticalDistributionChangedEmitter.addListener( updateCumulativeDistributions );
+
+  // no need to unlink, present for the lifetime of the sim
+  Property.multilink( [ model.numberOfBinsProperty, model.probabilityProperty, histogramModeProperty ],
+    function( numberOfBins, probability, histogramMode ) {
+      residualsNode.visible = ( histogramMode === 'residuals' );
+      updateResiduals();
+    } );
+  model.theoreticalDistributionChangedEmitter.addListener( updateResiduals );
 
   // update the histogram when a model ball has exited the galton board
   model.histogram.histogramUpdatedEmitter.addListener( function() {
+    updateLogScaleRange();
     // update the height of bins of histogram
-    updateHeightOfHistogram( sampleHistogramRectanglesArray, model.histogram.getNormalizedSampleDistribution() );
+    updateHeightOfHistogram( sampleHistogramRectanglesArray, getSampleBarHeights() );
+    updateSpeciesHistogram();
+
+    // in count mode, the ideal distribution is at the scale of the number of balls on the logarithmic scale
+    if ( logScaleRangeProperty.get() && histogramModeProperty.get() === 'counter' ) {
+      updateTheoreticalHistogram();
+      updateNormalCurve();
+      updatePoisson();
+    }
     // update the position of the indicator for sample average
     updateSampleAverageTriangle();
+    updateSampleQuartileMarkers();
+    updateCumulativeDistributions();
+    updateResiduals();
   } );
 
   /**
@@ -506,16 +973,258 @@ function HistogramBarNode( histogram, model, modelViewTransform, isTheoreticalHi
    * @param {number} average
    */
   function updateTrianglePosition( path, average ) {
-    const numberOfBins = model.numberOfRowsProperty.get() + 1;
+    const numberOfBins = model.numberOfBinsProperty.get();
     path.centerX = modelViewTransform.modelToViewX( histogram.getValuePosition( average, numberOfBins ) );
   }
 
+  /**
+   * Update the bars and the average indicator of the theoretical histogram,
+   * only if isTheoreticalHistogramVisibleProperty is set to visible
+   */
+  function updateTheoreticalHistogram() {
+    if ( isTheoreticalHistogramVisibleProperty.get() ) {
+      const logScaleRange = logScaleRangeProperty.get();
+      updateHistogram( theoreticalHistogramRectanglesArray, logScaleRange ?
+                                                            getLogScaleBarHeights( getTheoreticalLogScaleValues() ) :
+                                                            model.getNormalizedBinomialDistribution() );
+      updateTheoreticalAverageTriangle();
+    }
+  }
+
+  /**
+   * Gets the values of the bars of the ideal distribution on the logarithmic scale, see getTheoreticalLogScaleFactor.
+   *
+   * @returns {number[]}
+   */
+  function getTheoreticalLogScaleValues() {
+    const factor = getTheoreticalLogScaleFactor( histogram, histogramModeProperty.get() );
+    return model.getBinomialDistribution().map( function( probability ) {
+      return factor * probability;
+    } );
+  }
+
+  /**
+   * Gets the vertical position of a value on the logarithmic scale. Values below the scale are below the bars, where
+   * the curves are clipped.
+   *
+   * @param {number} value
+   * @returns {number}
+   */
+  function getLogScaleY( value ) {
+    const logScaleRange = logScaleRangeProperty.get();
+    const minExponent = logScaleRange.minExponent;
+    const exponent = ( value > 0 ) ? Math.max( Math.log10( value ), minExponent - 1 ) : minExponent - 1;
+    return maxY - maxBarHeight * ( exponent - minExponent ) / ( logScaleRange.maxExponent - minExponent );
+  }
+
+  /**
+   * Gets the heights of the bars on the logarithmic scale, as fractions of the maximum height.
+   *
+   * @param {number[]} values
+   * @returns {number[]}
+   */
+  function getLogScaleBarHeights( values ) {
+    return values.map( function( value ) {
+      return Utils.clamp( ( maxY - getLogScaleY( value ) ) / maxBarHeight, 0, 1 );
+    } );
+  }
+
+  /**
+   * Gets the heights of the bars of the landed balls, as fractions of the maximum height. On the linear scale, the
+   * tallest bar has the maximum height.
+   *
+   * @returns {number[]}
+   */
+  function getSampleBarHeights() {
+    if ( logScaleRangeProperty.get() ) {
+      return getLogScaleBarHeights( getSampleLogScaleValues( histogram, model.numberOfBinsProperty.get(),
+        histogramModeProperty.get() ) );
+    }
+    return histogram.getNormalizedSampleDistribution();
+  }
+
+  /**
+   * Draws the normal curve at the scale of the bars of the theoretical histogram: the probability density, integrated
+   * over the width of one bin, is scaled like the probabilities of the bins. Only if the curve is visible.
+   */
+  function updateNormalCurve() {
+    if ( !normalCurvePath.visible ) { return; }
+    const numberOfBins = model.numberOfBinsProperty.get();
+    const xSpacing = bannerWidth / numberOfBins;
+    const average = model.getTheoreticalAverage();
+    const standardDeviation = model.getTheoreticalStandardDeviation();
+
+    // there is no curve when all the balls land in the same bin
+    if ( standardDeviation === 0 ) {
+      normalCurvePath.shape = null;
+      return;
+    }
+    const maxProbability = _.max( model.getBinomialDistribution() );
+    const factor = getTheoreticalLogScaleFactor( histogram, histogramModeProperty.get() );
+    const shape = new Shape();
+    const numberOfSegments = numberOfBins * NORMAL_CURVE_SEGMENTS_PER_BIN;
+    for ( let i = 0; i <= numberOfSegments; i++ ) {
+
+      // the left of bin 0 is at -1/2 in the units of the bin values
+      const value = i / NORMAL_CURVE_SEGMENTS_PER_BIN - 0.5;
+      const probability = ProbabilityUtils.getNormalProbabilityDensity( ( value - average ) / standardDeviation ) /
+                          standardDeviation;
+      const x = minX + ( value + 0.5 ) * xSpacing;
+      const y = logScaleRangeProperty.get() ? getLogScaleY( factor * probability ) :
+                maxY - maxBarHeight * probability / maxProbability;
+      if ( i === 0 ) {
+        shape.moveTo( x, y );
+      }
+      else {
+        shape.lineTo( x, y );
+      }
+    }
+    normalCurvePath.shape = shape;
+  }
+
+  /**
+   * Draws the Poisson probabilities at the scale of the bars of the theoretical histogram, only if they are visible.
+   */
+  function updatePoisson() {
+    if ( !poissonNode.visible ) { return; }
+    const numberOfBins = model.numberOfBinsProperty.get();
+    const xSpacing = bannerWidth / numberOfBins;
+    const maxProbability = _.max( model.getBinomialDistribution() );
+    const factor = getTheoreticalLogScaleFactor( histogram, histogramModeProperty.get() );
+    const linesShape = new Shape();
+    const dotsShape = new Shape();
+    model.getPoissonDistribution().forEach( function( probability, binIndex ) {
+      const x = minX + ( binIndex + 0.5 ) * xSpacing;
+      const y = logScaleRangeProperty.get() ? getLogScaleY( factor * probability ) :
+                maxY - maxBarHeight * probability / maxProbability;
+      if ( binIndex === 0 ) {
+        linesShape.moveTo( x, y );
+      }
+      else {
+        linesShape.lineTo( x, y );
+      }
+      dotsShape.circle( x, y, 3 );
+    } );
+    poissonLinesPath.shape = linesShape;
+    poissonDotsPath.shape = dotsShape;
+  }
+
+  /**
+   * Creates the shape of a step plot of cumulative fractions, from the bottom left of the histogram.
+   *
+   * @param {number[]} cumulativeFractions - value of each bin, between 0 and 1
+   * @returns {Shape}
+   */
+  function createStepShape( cumulativeFractions ) {
+    const xSpacing = bannerWidth / cumulativeFractions.length;
+    const shape = new Shape().moveTo( minX, maxY );
+    cumulativeFractions.forEach( function( cumulativeFraction, binIndex ) {
+      const y = maxY - maxBarHeight * cumulativeFraction;
+      shape.lineTo( minX + binIndex * xSpacing, y ).lineTo( minX + ( binIndex + 1 ) * xSpacing, y );
+    } );
+    return shape;
+  }
+
+  /**
+   * Draws the cumulative distributions and updates their Kolmogorov-Smirnov distance, in cumulative mode.
+   */
+  function updateCumulativeDistributions() {
+    if ( !cumulativeNode.visible ) { return; }
+    const numberOfBins = model.numberOfBinsProperty.get();
+
+    // there is nothing to compare the ideal distribution to until a ball has landed
+    const hasLandedBalls = ( histogram.landedBallsNumber > 0 );
+    sampleCumulativePath.visible = hasLandedBalls;
+    if ( hasLandedBalls ) {
+      let cumulativeFraction = 0;
+      sampleCumulativePath.shape = createStepShape( _.times( numberOfBins, function( binIndex ) {
+        cumulativeFraction += histogram.getFractionalBinCount( binIndex );
+        return cumulativeFraction;
+      } ) );
+    }
+    if ( theoreticalCumulativePath.visible ) {
+      theoreticalCumulativePath.shape = createStepShape( model.getCumulativeDistribution() );
+    }
+    kolmogorovSmirnovDistanceText.setRightHandSideOfEquation(
+      hasLandedBalls ? model.getKolmogorovSmirnovDistance() : null );
+  }
+
+  /**
+   * Draws the residuals of the landed balls and their whiskers, in residuals mode. The scale is the same above and
+   * below the zero axis, and fits the largest residual or whisker. See LabModel.getResiduals.
+   */
+  function updateResiduals() {
+    if ( !residualsNode.visible ) { return; }
+    const numberOfBins = model.numberOfBinsProperty.get();
+    const xSpacing = bannerWidth / numberOfBins;
+    const residuals = model.getResiduals();
+    const maxResidual = Math.max( 1, _.max( residuals.map( function( residual ) {
+      return Math.max( Math.abs( residual.residual ), 2 * residual.standardDeviation );
+    } ) ) );
+    const toY = function( residual ) {
+      return residualsZeroY - ( maxBarHeight / 2 ) * residual / maxResidual;
+    };
+
+    const barsShape = new Shape();
+    const unusualBarsShape = new Shape();
+    const whiskersShape = new Shape();
+    residuals.forEach( function( residual, binIndex ) {
+      const left = minX + binIndex * xSpacing;
+      const whiskerLength = 2 * residual.standardDeviation;
+
+      // zero-height bars are not drawn, see #87
+      if ( residual.residual !== 0 ) {
+        const y = toY( residual.residual );
+        const shape = ( Math.abs( residual.residual ) > whiskerLength ) ? unusualBarsShape : barsShape;
+        shape.rect( left, Math.min( y, residualsZeroY ), xSpacing, Math.abs( y - residualsZeroY ) );
+      }
+
+      // a vertical line from -2 to +2 standard deviations, with caps a third of the bin wide
+      const centerX = left + xSpacing / 2;
+      const capHalfWidth = xSpacing / 6;
+      whiskersShape.moveTo( centerX, toY( -whiskerLength ) ).lineTo( centerX, toY( whiskerLength ) )
+        .moveTo( centerX - capHalfWidth, toY( whiskerLength ) ).lineTo( centerX + capHalfWidth, toY( whiskerLength ) )
+        .moveTo( centerX - capHalfWidth, toY( -whiskerLength ) ).lineTo( centerX + capHalfWidth, toY( -whiskerLength ) );
+    } );
+    residualBarsPath.shape = barsShape;
+    unusualResidualBarsPath.shape = unusualBarsShape;
+    residualWhiskersPath.shape = whiskersShape;
+  }
+
+  /**
+   * Positions the markers of the median and quartiles of the landed balls, if they are shown.
+   */
+  function updateSampleQuartileMarkers() {
+    if ( !sampleMarkersNode.visible ) { return; }
+
+    // the markers are not shown until a ball has landed, like the sample average triangle
+    const hasLandedBalls = ( histogram.landedBallsNumber > 0 );
+    sampleMarkersNode.children.forEach( function( marker ) {
+      marker.visible = hasLandedBalls;
+    } );
+    const statistics = histogram.getDescriptiveStatistics( model.numberOfBinsProperty.get() );
+    updateTrianglePosition( sampleMedianMarker, statistics.median );
+    updateTrianglePosition( sampleFirstQuartileMarker, statistics.firstQuartile );
+    updateTrianglePosition( sampleThirdQuartileMarker, statistics.thirdQuartile );
+  }
+
+  /**
+   * Positions the markers of the theoretical median and quartiles, if they are shown.
+   */
+  function updateTheoreticalQuartileMarkers() {
+    if ( !theoreticalMarkersNode.visible ) { return; }
+    const statistics = model.getTheoreticalDescriptiveStatistics();
+    updateTrianglePosition( theoreticalMedianMarker, statistics.median );
+    updateTrianglePosition( theoreticalFirstQuartileMarker, statistics.firstQuartile );
+    updateTrianglePosition( theoreticalThirdQuartileMarker, statistics.thirdQuartile );
+  }
+
   /**
    * Update the position of the theoretical average indicator (a triangle) based on
    * the theoretical average value
    */
   function updateTheoreticalAverageTriangle() {
-    const average = model.getTheoreticalAverage( model.numberOfRowsProperty.get(), model.probabilityProperty.get() );
+    const average = model.getTheoreticalAverage();
     theoreticalAverageTrianglePath.visible = isTheoreticalHistogramVisibleProperty.get();
     updateTrianglePosition( theoreticalAverageTrianglePath, average );
   }
@@ -540,7 +1249,7 @@ function HistogramBarNode( histogram, model, modelViewTransform, isTheoreticalHi
    */
   function updateHeightOfHistogram( rectanglesArray, binValues ) {
     let i;
-    const numberOfBins = model.numberOfRowsProperty.get() + 1;
+    const numberOfBins = model.numberOfBinsProperty.get();
     for ( i = 0; i < numberOfBins; i++ ) {
       const barHeight = maxBarHeight * binValues[ i ];
       rectanglesArray[ i ].visible = ( barHeight > 0 ); // zero-height bars are invisible, see #87
@@ -548,13 +1257,41 @@ function HistogramBarNode( histogram, model, modelViewTransform, isTheoreticalHi
     }
   }
 
+  /**
+   * Stacks the bars of the species in each bin, the first species at the bottom, if there are several species.
+   * The stacks have the heights of the bars of the sample histogram.
+   */
+  function updateSpeciesHistogram() {
+    if ( !speciesHistogramNode.visible ) { return; }
+    const numberOfBins = model.numberOfBinsProperty.get();
+    const numberOfSpecies = model.numberOfSpeciesProperty.get();
+    const xSpacing = bannerWidth / numberOfBins;
+
+    // we don't want to divide by zero, see Histogram.getNormalizedSampleDistribution
+    const divisionFactor = Math.max( histogram.getMaximumBinCount(), 1 );
+    for ( let i = 0; i < MAX_NUMBER_BINS; i++ ) {
+      let barBottom = maxY;
+      speciesHistogramRectanglesArrays.forEach( function( rectanglesArray, speciesIndex ) {
+        const barHeight = ( i < numberOfBins && speciesIndex < numberOfSpecies ) ?
+                          maxBarHeight * histogram.getSpeciesBinCount( i, speciesIndex ) / divisionFactor : 0;
+
+        // zero-height bars are invisible, see #87
+        rectanglesArray[ i ].visible = ( barHeight > 0 );
+        if ( barHeight > 0 ) {
+          rectanglesArray[ i ].setRect( minX + i * xSpacing, barBottom - barHeight, xSpacing, barHeight );
+          barBottom -= barHeight;
+        }
+      } );
+    }
+  }
+
   /**
    * @param {Array.<Rectangle>} rectanglesArray
    * @param {Array.<number>} binValues
    */
   function updateHistogram( rectanglesArray, binValues ) {
     let i;
-    const numberOfBins = model.numberOfRowsProperty.get() + 1;
+    const numberOfBins = model.numberOfBinsProperty.get();
     const xSpacing = bannerWidth / numberOfBins;
     // update ALL rectangles
     for ( i = 0; i < MAX_NUMBER_BINS; i++ ) {
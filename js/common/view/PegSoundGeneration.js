@@ -47,18 +47,19 @@ inherit( Object, PegSoundGeneration, {
   /**
    * Play sound that depends on the direction of the ball
    *
-   * @param {string} direction - acceptable values are 'left' and 'right'
+   * @param {string} direction - acceptable values are 'left', 'straight' and 'right'
    * @public
    */
   playBallHittingPegSound: function( direction ) {
 
-    assert && assert( direction === 'left' || direction === 'right', 'direction should be left or right' );
+    assert && assert( direction === 'left' || direction === 'straight' || direction === 'right',
+      'direction should be left, straight or right' );
 
     // play sound if the previous sound was played more than some elapsed time
     if ( this.isSoundEnabledProperty.get() && ( this.soundTimeElapsed > PlinkoProbabilityConstants.SOUND_TIME_INTERVAL ) ) {
 
-      // will play sound based on ball's motion, left or right
-      ( direction === 'left' ) ? this.bonk1Sound.play() : this.bonk2Sound.play();
+      // will play sound based on ball's motion, right or not. Passing straight through a peg sounds like going left.
+      ( direction === 'right' ) ? this.bonk2Sound.play() : this.bonk1Sound.play();
       this.soundTimeElapsed = 0; // reset the time elapsed since last sound to zero
     }
   }
@@ -1,17 +1,21 @@
 // Copyright 2002-2020, University of Colorado Boulder
 
 /**
- * Renders a triangular lattice of pegs for a Galton board.
+ * Renders a triangular lattice of pegs for a Galton board, binary or trinomial.
  * Implemented using CanvasNode as a performance optimization on iPad.
+ * With hundreds of rows, the pegs are only a few pixels apart, so instead of drawing each of them, the board is shaded
+ * with the density of the pegs, and the knocked out pegs leave holes in the shading.
  *
  * @author Martin Veillette (Berea College)
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import Property from '../../../../axon/js/Property.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import Shape from '../../../../kite/js/Shape.js';
 import inherit from '../../../../phet-core/js/inherit.js';
 import merge from '../../../../phet-core/js/merge.js';
+import KeyboardUtils from '../../../../scenery/js/accessibility/KeyboardUtils.js';
 import CanvasNode from '../../../../scenery/js/nodes/CanvasNode.js';
 import Circle from '../../../../scenery/js/nodes/Circle.js';
 import Path from '../../../../scenery/js/nodes/Path.js';
@@ -20,6 +24,14 @@ import plinkoProbability from '../../plinkoProbability.js';
 import GaltonBoard from '../model/GaltonBoard.js';
 import PlinkoProbabilityConstants from '../PlinkoProbabilityConstants.js';
 
+// constants
+const SELECTED_PEG_STROKE = 'black';
+const SELECTED_PEG_LINE_WIDTH = 2;
+const KNOCKED_OUT_PEG_OPACITY = 0.25; // opacity of the knocked out pegs, while they can be put back
+const MIN_PEG_VIEW_SPACING = 4; // pegs that are closer than this, in view coordinates, are drawn as a shading
+const PEG_DENSITY_OPACITY = 0.5; // opacity of the shading of the pegs
+const MIN_SELECTED_PEG_RADIUS = 4; // the circle around the selected peg remains visible when the pegs are tiny
+
 /**
  * @param {GaltonBoard} galtonBoard
  * @param {Property.<number>} numberOfRowsProperty - an integer
@@ -32,9 +44,29 @@ function PegsNode( galtonBoard, numberOfRowsProperty, probabilityProperty, model
 
   options = merge( {
     rotatePegs: true, // pegs have a flat surface whose orientation changes with probability
-    pegRadius: 50 // radius of peg when the number of rows is 1
+    pegRadius: 50, // radius of peg when the number of rows is 1
+    rowProbabilitiesProperty: null, // {Property.<number[]|null>|null} per-row probabilities, see LabModel
+    selectable: false, // can a peg be selected by clicking it, or with the arrow keys when this Node has focus?
+
+    // {Property.<boolean>|null} when true, clicking a peg knocks it out of the board, or puts it back, instead of
+    // selecting it. Requires selectable.
+    isKnockingOutPegsProperty: null,
+
+    // {Property.<boolean>|null} when true, the pegs are drawn as for probability 0.5, so that their orientation
+    // doesn't give away a hidden probability, see LabModel.isProbabilityHiddenProperty
+    isProbabilityHiddenProperty: null
   }, options );
 
+  if ( options.selectable ) {
+    options = merge( {
+      cursor: 'pointer',
+
+      // pdom
+      tagName: 'div',
+      focusable: true
+    }, options );
+  }
+
   const self = this;
 
   // NOTE: the pegs are scales inversely proportional to the numberOfBins
@@ -104,11 +136,65 @@ function PegsNode( galtonBoard, numberOfRowsProperty, probabilityProperty, model
     probabilityProperty.lazyLink( function() {
       self.invalidatePaint();
     } );
+    options.rowProbabilitiesProperty && options.rowProbabilitiesProperty.lazyLink( function() {
+      self.invalidatePaint();
+    } );
+    galtonBoard.pegProbabilitiesChangedEmitter.addListener( function() {
+      self.invalidatePaint();
+    } );
+    options.isProbabilityHiddenProperty && options.isProbabilityHiddenProperty.lazyLink( function() {
+      self.invalidatePaint();
+    } );
   }
 
-  // Update the number of pegs.
+  // @public {Property.<Object|null>} the selected peg, one of the visible galtonBoard.pegs
+  this.selectedPegProperty = new Property( null );
+
+  if ( options.selectable ) {
+
+    // No need to remove listeners since this instance is present for the lifetime of the simulation.
+    this.addInputListener( {
+
+      // select the peg that was clicked, or nothing if the click was not on a peg
+      down: function( event ) {
+        const viewPoint = self.globalToLocalPoint( event.pointer.point );
+        if ( self.isKnockingOutPegs() ) {
+          const peg = self.getPegAt( viewPoint, galtonBoard.getBoardPegs() );
+          peg && galtonBoard.setPegKnockedOut( peg, !peg.isKnockedOut );
+        }
+        else {
+          self.selectedPegProperty.set( self.getPegAt( viewPoint, _.filter( galtonBoard.pegs, 'isVisible' ) ) );
+        }
+      },
+
+      // move the selection with the arrow keys
+      keydown: function( event ) {
+        !self.isKnockingOutPegs() && self.moveSelection( event.domEvent.keyCode );
+      }
+    } );
+
+    this.selectedPegProperty.lazyLink( function() {
+      self.invalidatePaint();
+    } );
+
+    // pegs are not selected while knocking them out, and the knocked out pegs are shown so that they can be put back
+    options.isKnockingOutPegsProperty && options.isKnockingOutPegsProperty.lazyLink( function( isKnockingOutPegs ) {
+      isKnockingOutPegs && self.selectedPegProperty.set( null );
+      self.invalidatePaint();
+    } );
+  }
+
+  galtonBoard.knockedOutPegsChangedEmitter.addListener( function() {
+    self.invalidatePaint();
+  } );
+
+  // Update the number of pegs. Only the pegs of a binary board can be selected.
   // No need to unlink since this instance is present for the lifetime of the simulation.
-  numberOfRowsProperty.lazyLink( function() {
+  Property.lazyMultilink( [ numberOfRowsProperty, galtonBoard.boardTypeProperty ], function() {
+    const selectedPeg = self.selectedPegProperty.get();
+    if ( selectedPeg && !selectedPeg.isVisible ) {
+      self.selectedPegProperty.set( null );
+    }
     self.invalidatePaint();
   } );
 
@@ -137,8 +223,9 @@ inherit( CanvasNode, PegsNode, {
     // compute values that remain constant in for loop
 
     // scale peg radius to be inversely proportional to the number of bins
-    const pegScale = ( PlinkoProbabilityConstants.ROWS_RANGE.min + 1 ) /
-                     ( this.numberOfRowsProperty.get() + 1 );
+    const numberOfRows = this.numberOfRowsProperty.get();
+    const numberOfBins = ( this.galtonBoard.boardTypeProperty.get() === 'trinomial' ) ? 2 * numberOfRows + 1 : numberOfRows + 1;
+    const pegScale = ( PlinkoProbabilityConstants.ROWS_RANGE.min + 1 ) / numberOfBins;
 
     const pegWidth = pegScale * self.pegCanvase.width;
     const pegHeight = pegScale * self.pegCanvase.height;
@@ -146,32 +233,206 @@ inherit( CanvasNode, PegsNode, {
     const shadowHeight = pegScale * self.shadowImage.height;
 
     // probability 0.5 has the flat part of the peg facing up
-    const pegAngle = -( Math.PI / 4 ) + ( this.probabilityProperty.get() * Math.PI / 2 );
+    const rowProbabilities = this.options.rowProbabilitiesProperty && this.options.rowProbabilitiesProperty.get();
+    const isProbabilityHidden = !!this.options.isProbabilityHiddenProperty &&
+                                this.options.isProbabilityHiddenProperty.get();
+    const getPegAngle = function( peg ) {
+      if ( isProbabilityHidden ) {
+        return 0;
+      }
+      let probability = peg.probability;
+      if ( probability === null ) {
+        probability = rowProbabilities ? rowProbabilities[ peg.rowNumber ] : self.probabilityProperty.get();
+      }
+      return -( Math.PI / 4 ) + ( probability * Math.PI / 2 );
+    };
 
     // shadow offset, a bit below and to the right, determined empirically
     const pegSpacing = GaltonBoard.getPegSpacing( self.numberOfRowsProperty.get() );
     const shadowOffset = self.modelViewTransform.modelToViewDelta( new Vector2( pegSpacing * 0.08, -pegSpacing * 0.24 ) );
 
-    // galtonBoard.pegs contains all the model pegs (even pegs that that are currently invisible)
-    this.galtonBoard.pegs.forEach( function( peg ) {
-      if ( peg.isVisible ) {
+    const viewPegSpacing = self.modelViewTransform.modelToViewDeltaX( this.getPegSpacing() );
+    if ( viewPegSpacing < MIN_PEG_VIEW_SPACING ) {
+      this.paintPegDensity( context, viewPegSpacing );
+    }
+    else {
+
+      // the pegs of the current board include the knocked out pegs, which are drawn while they can be put back
+      const isKnockingOutPegs = this.isKnockingOutPegs();
+      this.galtonBoard.getBoardPegs().forEach( function( peg ) {
+        if ( peg.isVisible || isKnockingOutPegs ) {
+
+          // knocked out pegs are faded
+          context.globalAlpha = peg.isKnockedOut ? KNOCKED_OUT_PEG_OPACITY : 1;
+
+          const pegPosition = self.modelViewTransform.modelToViewPosition( peg.position );
+          const shadowPosition = pegPosition.plus( shadowOffset );
+
+          // shadow
+          context.drawImage( self.shadowImage,
+            shadowPosition.x - shadowWidth / 2, shadowPosition.y - shadowHeight / 2,
+            shadowWidth, shadowHeight );
+
+          // rotated peg
+          context.save();
+          context.translate( pegPosition.x, pegPosition.y );
+          context.rotate( getPegAngle( peg ) );
+          context.drawImage( self.pegCanvase, -pegWidth / 2, -pegHeight / 2, pegWidth, pegHeight );
+          context.restore();
+        }
+      } );
+    }
+    context.globalAlpha = 1;
+
+    // circle around the selected peg
+    const selectedPeg = this.selectedPegProperty.get();
+    if ( selectedPeg ) {
+      const selectedPegPosition = self.modelViewTransform.modelToViewPosition( selectedPeg.position );
+      context.beginPath();
+      context.arc( selectedPegPosition.x, selectedPegPosition.y, Math.max( 0.5 * pegWidth, MIN_SELECTED_PEG_RADIUS ),
+        0, 2 * Math.PI );
+      context.strokeStyle = SELECTED_PEG_STROKE;
+      context.lineWidth = SELECTED_PEG_LINE_WIDTH;
+      context.stroke();
+    }
+  },
+
+  /**
+   * Shades the board with the density of its pegs, when they are too close to be drawn one by one. Each peg shades a
+   * cell around it, one peg spacing wide and one row high, and the cells of each row are filled in runs of pegs that
+   * have the same opacity. The edges of the cells are on whole pixels, so that adjacent cells neither overlap nor
+   * leave seams.
+   *
+   * @param {CanvasRenderingContext2D} context
+   * @param {number} viewPegSpacing - horizontal spacing between two pegs on the same row, in view coordinates
+   * @private
+   */
+  paintPegDensity: function( context, viewPegSpacing ) {
+    const galtonBoard = this.galtonBoard;
+    const numberOfRows = this.numberOfRowsProperty.get();
+    const isTrinomial = ( galtonBoard.boardTypeProperty.get() === 'trinomial' );
+    const viewRowSpacing = Math.abs( this.modelViewTransform.modelToViewDeltaY( 1 / ( numberOfRows + 1 ) ) );
+
+    // knocked out pegs are faded while they can be put back, otherwise they leave a hole
+    const isKnockingOutPegs = this.isKnockingOutPegs();
+    const getOpacity = function( peg ) {
+      return peg.isVisible ? PEG_DENSITY_OPACITY :
+             isKnockingOutPegs ? KNOCKED_OUT_PEG_OPACITY * PEG_DENSITY_OPACITY :
+             0;
+    };
+
+    context.fillStyle = PlinkoProbabilityConstants.PEG_COLOR;
+    for ( let rowNumber = 0; rowNumber < numberOfRows; rowNumber++ ) {
+      const numberOfColumns = isTrinomial ? 2 * rowNumber + 1 : rowNumber + 1;
+      const rowViewY = this.modelViewTransform.modelToViewY( galtonBoard.getPeg( rowNumber, 0 ).position.y );
+      const top = Math.round( rowViewY - viewRowSpacing / 2 );
+      const bottom = Math.round( rowViewY + viewRowSpacing / 2 );
+
+      let runLeft = null; // left of the current run of pegs, in view coordinates
+      let runOpacity = null;
+      let cellRight = null; // right of the cell of the previous peg, in view coordinates
+      for ( let columnNumber = 0; columnNumber <= numberOfColumns; columnNumber++ ) {
+
+        // the run ends at a peg of another opacity, or at the end of the row
+        const peg = ( columnNumber < numberOfColumns ) ? galtonBoard.getPeg( rowNumber, columnNumber ) : null;
+        const opacity = peg ? getOpacity( peg ) : null;
+        if ( opacity !== runOpacity ) {
+          if ( runOpacity ) {
+            context.globalAlpha = runOpacity;
+            context.fillRect( runLeft, top, cellRight - runLeft, bottom - top );
+          }
+          runLeft = cellRight;
+          runOpacity = opacity;
+        }
+        if ( peg ) {
+          const pegViewX = this.modelViewTransform.modelToViewX( peg.position.x );
+          if ( columnNumber === 0 ) {
+            runLeft = Math.round( pegViewX - viewPegSpacing / 2 );
+          }
+          cellRight = Math.round( pegViewX + viewPegSpacing / 2 );
+        }
+      }
+    }
+    context.globalAlpha = 1;
+  },
 
-        const pegPosition = self.modelViewTransform.modelToViewPosition( peg.position );
-        const shadowPosition = pegPosition.plus( shadowOffset );
+  /**
+   * Are pegs being knocked out, rather than selected, by clicking them?
+   *
+   * @returns {boolean}
+   * @private
+   */
+  isKnockingOutPegs: function() {
+    return !!this.options.isKnockingOutPegsProperty && this.options.isKnockingOutPegsProperty.get();
+  },
 
-        // shadow
-        context.drawImage( self.shadowImage,
-          shadowPosition.x - shadowWidth / 2, shadowPosition.y - shadowHeight / 2,
-          shadowWidth, shadowHeight );
+  /**
+   * Gets the peg at a point, if any.
+   *
+   * @param {Vector2} viewPoint - in the coordinate frame of this Node
+   * @param {Object[]} pegs - the pegs that can be at viewPoint, see GaltonBoard
+   * @returns {Object|null} one of pegs, null if there is no peg at viewPoint
+   * @private
+   */
+  getPegAt: function( viewPoint, pegs ) {
+    const modelPoint = this.modelViewTransform.viewToModelPosition( viewPoint );
+    const pegSpacing = this.getPegSpacing();
+    const closestPeg = _.minBy( pegs, function( peg ) {
+      return peg.position.distance( modelPoint );
+    } );
+    return ( closestPeg && closestPeg.position.distance( modelPoint ) < pegSpacing / 2 ) ? closestPeg : null;
+  },
 
-        // rotated peg
-        context.save();
-        context.translate( pegPosition.x, pegPosition.y );
-        context.rotate( pegAngle );
-        context.drawImage( self.pegCanvase, -pegWidth / 2, -pegHeight / 2, pegWidth, pegHeight );
-        context.restore();
+  /**
+   * Gets the horizontal spacing between two pegs on the same row of the current board.
+   *
+   * @returns {number}
+   * @private
+   */
+  getPegSpacing: function() {
+    const numberOfRows = this.numberOfRowsProperty.get();
+    return ( this.galtonBoard.boardTypeProperty.get() === 'trinomial' ) ?
+           GaltonBoard.getPegSpacing( numberOfRows ) * ( numberOfRows + 1 ) / ( 2 * numberOfRows + 1 ) :
+           GaltonBoard.getPegSpacing( numberOfRows );
+  },
+
+  /**
+   * Moves the peg selection in response to an arrow key. If no peg is selected, selects the top peg.
+   *
+   * @param {number} keyCode
+   * @private
+   */
+  moveSelection: function( keyCode ) {
+    const selectedPeg = this.selectedPegProperty.get();
+    if ( !selectedPeg ) {
+      const topPeg = this.galtonBoard.getPeg( 0, 0 );
+      if ( KeyboardUtils.isArrowKey( keyCode ) && topPeg.isVisible ) {
+        this.selectedPegProperty.set( topPeg );
       }
-    } );
+      return;
+    }
+
+    let rowNumber = selectedPeg.rowNumber;
+    let columnNumber = selectedPeg.columnNumber;
+    if ( keyCode === KeyboardUtils.KEY_LEFT_ARROW ) {
+      columnNumber = Math.max( columnNumber - 1, 0 );
+    }
+    else if ( keyCode === KeyboardUtils.KEY_RIGHT_ARROW ) {
+      columnNumber = Math.min( columnNumber + 1, rowNumber );
+    }
+    else if ( keyCode === KeyboardUtils.KEY_UP_ARROW ) {
+      rowNumber = Math.max( rowNumber - 1, 0 );
+      columnNumber = Math.min( columnNumber, rowNumber );
+    }
+    else if ( keyCode === KeyboardUtils.KEY_DOWN_ARROW ) {
+      rowNumber = Math.min( rowNumber + 1, this.numberOfRowsProperty.get() - 1 );
+    }
+
+    // knocked out pegs are skipped
+    const peg = this.galtonBoard.getPeg( rowNumber, columnNumber );
+    if ( peg.isVisible ) {
+      this.selectedPegProperty.set( peg );
+    }
   }
 } );
 
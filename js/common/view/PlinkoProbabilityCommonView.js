@@ -17,14 +17,18 @@ import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransfo
 import EraserButton from '../../../../scenery-phet/js/buttons/EraserButton.js';
 import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
 import SoundToggleButton from '../../../../scenery-phet/js/buttons/SoundToggleButton.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
 import plinkoProbability from '../../plinkoProbability.js';
 import PlinkoProbabilityConstants from '../PlinkoProbabilityConstants.js';
 import BallsNode from './BallsNode.js';
+import BinInspectorNode from './BinInspectorNode.js';
 import Board from './Board.js';
 import HistogramNode from './HistogramNode.js';
 import Hopper from './Hopper.js';
 import PegSoundGeneration from './PegSoundGeneration.js';
 import PlinkoProbabilityViewProperties from './PlinkoProbabilityViewProperties.js';
+import ReplayControl from './ReplayControl.js';
+import SeedControl from './SeedControl.js';
 
 /**
  * @param {PlinkoProbabilityCommonModel} model
@@ -79,10 +83,17 @@ function PlinkoProbabilityCommonView( model, options ) {
     viewProperties.histogramModeProperty,
     model,
     modelViewTransform,
-    viewProperties.isTheoreticalHistogramVisibleProperty
+    viewProperties.isTheoreticalHistogramVisibleProperty,
+    viewProperties.isNormalCurveVisibleProperty,
+    viewProperties.isPoissonVisibleProperty,
+    viewProperties.isDescriptiveStatisticsExpandedProperty,
+    viewProperties.isLogScaleProperty
   );
   this.histogramNode = histogramNode;
 
+  // inspector of the bins of the histogram and of the cylinders, on top of them
+  const binInspectorNode = new BinInspectorNode( model, modelViewTransform );
+
   const eraserButton = new EraserButton( {
     iconWidth: 22,
     scale: 1.4,
@@ -112,19 +123,37 @@ function PlinkoProbabilityCommonView( model, options ) {
     xMargin: 8
   } );
 
+  // seed of the random source, to the left of the sound toggle button
+  const seedControl = new SeedControl( model.isSeededProperty, model.seedProperty, {
+    right: soundToggleButton.left - 20,
+    centerY: soundToggleButton.centerY
+  } );
+
+  // controls at top left, with the replay control at the top. Subtypes may add controls below it.
+  const topLeftControlsBox = new VBox( {
+    align: 'left',
+    spacing: PlinkoProbabilityConstants.PANEL_VERTICAL_SPACING,
+    children: [ new ReplayControl( model ) ],
+    left: this.layoutBounds.minX + 15,
+    top: 10
+  } );
+
   // add children to the scene graph
   this.addChild( board );
   this.addChild( ballsNode );
   this.addChild( eraserButton );
   this.addChild( histogramNode );
   this.addChild( hopper );
+  this.addChild( binInspectorNode );
+  this.addChild( topLeftControlsBox );
+  this.addChild( seedControl );
   this.addChild( soundToggleButton );
   this.addChild( resetAllButton );
 
-  // Hide BallsNode when the hopper mode is not 'ball'.
+  // Hide BallsNode when the hopper mode is not 'ball' or 'physics'.
   // unlink unnecessary since this instance exists for the lifetime of the sim.
   model.hopperModeProperty.link( function( hopperMode ) {
-    ballsNode.visible = ( hopperMode === 'ball' );
+    ballsNode.visible = ( hopperMode === 'ball' || hopperMode === 'physics' );
   } );
 
   // When switching to show bins, repaint the balls.
@@ -143,8 +172,11 @@ function PlinkoProbabilityCommonView( model, options ) {
 
   // @protected used by subtypes
   this.hopper = hopper;
+  this.binInspectorNode = binInspectorNode;
   this.ballsNode = ballsNode;
   this.eraserButton = eraserButton;
+  this.seedControl = seedControl;
+  this.topLeftControlsBox = topLeftControlsBox;
 }
 
 plinkoProbability.register( 'PlinkoProbabilityCommonView', PlinkoProbabilityCommonView );
@@ -171,6 +203,7 @@ inherit( ScreenView, PlinkoProbabilityCommonView, {
   reset: function() {
     this.viewProperties.reset();
     this.pegSoundGeneration.reset();
+    this.binInspectorNode.selectedBinIndexProperty.reset();
   }
 } );
 
@@ -13,7 +13,7 @@ import merge from '../../../../phet-core/js/merge.js';
 import plinkoProbability from '../../plinkoProbability.js';
 
 // constants
-const HISTOGRAM_MODE_VALUES = [ 'counter', 'cylinder', 'fraction' ]; // values for histogramModeProperty
+const HISTOGRAM_MODE_VALUES = [ 'counter', 'cylinder', 'fraction', 'cumulative', 'residuals' ]; // values for histogramModeProperty
 
 /**
  * @param {Object} [options]
@@ -31,7 +31,39 @@ function PlinkoProbabilityViewProperties( options ) {
   } );
   this.expandedAccordionBoxProperty = new BooleanProperty( true );
   this.isTheoreticalHistogramVisibleProperty = new BooleanProperty( false );
+
+  // @public is the normal approximation of the ideal distribution drawn over the histogram? Lab screen only
+  this.isNormalCurveVisibleProperty = new BooleanProperty( false );
+
+  // @public is the Poisson approximation of the ideal distribution drawn over the histogram? Lab screen only
+  this.isPoissonVisibleProperty = new BooleanProperty( false );
+
+  // @public are the bars of the histogram drawn on a logarithmic scale, in count and fraction modes? Lab screen only
+  this.isLogScaleProperty = new BooleanProperty( false );
+
+  // @public are the handles that select a range of bins of the histogram shown, with its probabilities? Lab screen only
+  this.isBinRangeVisibleProperty = new BooleanProperty( false );
+
+  // @public are the median, mode, quartiles, skewness and kurtosis shown? Lab screen only
+  this.isDescriptiveStatisticsExpandedProperty = new BooleanProperty( false );
+
+  // @public are the controls of the board, of the species of balls, and of the mystery probability mode expanded?
+  // Lab screen only
+  this.expandedBoardBoxProperty = new BooleanProperty( false );
+  this.expandedSpeciesBoxProperty = new BooleanProperty( false );
+  this.expandedMysteryBoxProperty = new BooleanProperty( false );
+
+  // @public is the plot of the convergence of the statistics expanded? Lab screen only
+  this.expandedConvergenceBoxProperty = new BooleanProperty( false );
+
+  // @public is the estimation of the binary probability expanded, and is the true probability shown with it?
+  // Lab screen only
+  this.expandedEstimationBoxProperty = new BooleanProperty( false );
+  this.isProbabilityRevealedProperty = new BooleanProperty( false );
   this.isSoundEnabledProperty = new BooleanProperty( false );
+
+  // @public does clicking a peg knock it out of the board, or put it back, rather than select it? Lab screen only
+  this.isKnockingOutPegsProperty = new BooleanProperty( false );
 }
 
 plinkoProbability.register( 'PlinkoProbabilityViewProperties', PlinkoProbabilityViewProperties );
@@ -43,7 +75,19 @@ inherit( Object, PlinkoProbabilityViewProperties, {
     this.histogramModeProperty.reset();
     this.expandedAccordionBoxProperty.reset();
     this.isTheoreticalHistogramVisibleProperty.reset();
+    this.isNormalCurveVisibleProperty.reset();
+    this.isPoissonVisibleProperty.reset();
+    this.isLogScaleProperty.reset();
+    this.isBinRangeVisibleProperty.reset();
+    this.isDescriptiveStatisticsExpandedProperty.reset();
+    this.expandedBoardBoxProperty.reset();
+    this.expandedSpeciesBoxProperty.reset();
+    this.expandedMysteryBoxProperty.reset();
+    this.expandedConvergenceBoxProperty.reset();
+    this.expandedEstimationBoxProperty.reset();
+    this.isProbabilityRevealedProperty.reset();
     this.isSoundEnabledProperty.reset();
+    this.isKnockingOutPegsProperty.reset();
   }
 } );
 
@@ -0,0 +1,157 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Control for replaying the recording of an experiment, see PlinkoProbabilityCommonModel.startReplay.
+ * It consists of a button that starts and stops the replay. While replaying, it also shows a play/pause button,
+ * a slider for scrubbing through the recording, and a control for the speed of the replay.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Range from '../../../../dot/js/Range.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import BooleanToggleNode from '../../../../sun/js/BooleanToggleNode.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import Panel from '../../../../sun/js/Panel.js';
+import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
+import plinkoProbability from '../../plinkoProbability.js';
+import PlinkoProbabilityConstants from '../PlinkoProbabilityConstants.js';
+import PauseButton from './PauseButton.js';
+import PlayButton from './PlayButton.js';
+
+const replayString = plinkoProbabilityStrings.replay;
+const replaySpeedString = plinkoProbabilityStrings.replaySpeed;
+const replaySpeedValueString = plinkoProbabilityStrings.replaySpeedValue;
+const stopString = plinkoProbabilityStrings.stop;
+
+// constants
+const SLIDER_TRACK_SIZE = new Dimension2( 140, 2 );
+const PLAY_PAUSE_BUTTON_RADIUS = 16;
+const TEXT_BUTTON_OPTIONS = {
+  font: PlinkoProbabilityConstants.PANEL_FONT,
+  maxTextWidth: 100,
+  baseColor: PlinkoProbabilityConstants.PANEL_BACKGROUND_COLOR
+};
+
+/**
+ * @param {PlinkoProbabilityCommonModel} model
+ * @param {Object} [options]
+ * @constructor
+ */
+function ReplayControl( model, options ) {
+
+  options = merge( {
+    align: 'left',
+    fill: 'white',
+    xMargin: 10,
+    yMargin: 8
+  }, options );
+
+  const replayButton = new TextPushButton( replayString, merge( {
+    listener: function() { model.startReplay(); }
+  }, TEXT_BUTTON_OPTIONS ) );
+
+  const stopButton = new TextPushButton( stopString, merge( {
+    listener: function() { model.stopReplay(); }
+  }, TEXT_BUTTON_OPTIONS ) );
+
+  const replayStopToggleNode = new BooleanToggleNode( stopButton, replayButton, model.isReplayingProperty );
+
+  const playPauseToggleNode = new BooleanToggleNode(
+    new PauseButton( {
+      radius: PLAY_PAUSE_BUTTON_RADIUS,
+      listener: function() { model.isReplayRunningProperty.set( false ); }
+    } ),
+    new PlayButton( {
+      radius: PLAY_PAUSE_BUTTON_RADIUS,
+      listener: function() { model.isReplayRunningProperty.set( true ); }
+    } ),
+    model.isReplayRunningProperty
+  );
+
+  // fraction of the recording that has been replayed
+  const replayFractionRange = new Range( 0, 1 );
+  const replayFractionProperty = new NumberProperty( 0, {
+    range: replayFractionRange
+  } );
+
+  // slider for scrubbing through the recording
+  const replaySlider = new HSlider( replayFractionProperty, replayFractionRange, {
+    trackSize: SLIDER_TRACK_SIZE,
+    thumbSize: new Dimension2( 15, 25 ),
+    keyboardStep: 0.05
+  } );
+
+  const replaySpeedControl = new NumberControl( replaySpeedString, model.replaySpeedProperty, PlinkoProbabilityConstants.REPLAY_SPEED_RANGE, {
+    layoutFunction: NumberControl.createLayoutFunction3(),
+    delta: 0.25,
+    titleNodeOptions: {
+      font: PlinkoProbabilityConstants.PANEL_FONT,
+      maxWidth: SLIDER_TRACK_SIZE.width
+    },
+    numberDisplayOptions: {
+      textOptions: {
+        font: PlinkoProbabilityConstants.PANEL_READOUT_FONT
+      },
+      decimalPlaces: 2,
+      valuePattern: replaySpeedValueString
+    },
+    sliderOptions: {
+      trackSize: SLIDER_TRACK_SIZE,
+      constrainValue: function( value ) {
+        return Math.round( value / 0.25 ) * 0.25;
+      }
+    }
+  } );
+
+  const buttonsBox = new HBox( {
+    spacing: 10
+  } );
+
+  const contentNode = new VBox( {
+    align: 'left',
+    spacing: 10
+  } );
+
+  Panel.call( this, contentNode, options );
+
+  // true while the slider is being updated to match the model, so that the update is not applied to the replay
+  let isUpdatingSlider = false;
+
+  // links are present for the lifetime of the sim, no need to dispose
+  model.replayTimeProperty.link( function( replayTime ) {
+    const duration = model.recording.getDuration();
+    isUpdatingSlider = true;
+    replayFractionProperty.set( ( duration > 0 ) ? Math.min( replayTime / duration, 1 ) : 1 );
+    isUpdatingSlider = false;
+  } );
+
+  replayFractionProperty.lazyLink( function( replayFraction ) {
+    if ( !isUpdatingSlider && model.isReplayingProperty.get() ) {
+      model.seekReplay( replayFraction * model.recording.getDuration() );
+    }
+  } );
+
+  // nothing to replay until a ball has been created
+  model.recording.numberOfBallsProperty.link( function( numberOfBalls ) {
+    replayButton.enabled = ( numberOfBalls > 0 );
+  } );
+
+  // the controls for the replay are shown only while replaying
+  model.isReplayingProperty.link( function( isReplaying ) {
+    buttonsBox.children = isReplaying ? [ replayStopToggleNode, playPauseToggleNode ] : [ replayStopToggleNode ];
+    contentNode.children = isReplaying ? [ buttonsBox, replaySlider, replaySpeedControl ] : [ buttonsBox ];
+  } );
+}
+
+plinkoProbability.register( 'ReplayControl', ReplayControl );
+
+inherit( Panel, ReplayControl );
+export default ReplayControl;
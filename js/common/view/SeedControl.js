@@ -0,0 +1,57 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Control for seeding the random source of the model, so that an experiment can be reproduced.
+ * It consists of a checkbox that makes the model seeded, and a picker for the seed.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import NumberPicker from '../../../../scenery-phet/js/NumberPicker.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
+import plinkoProbability from '../../plinkoProbability.js';
+import PlinkoProbabilityConstants from '../PlinkoProbabilityConstants.js';
+
+const seedString = plinkoProbabilityStrings.seed;
+
+/**
+ * @param {Property.<boolean>} isSeededProperty
+ * @param {Property.<number>} seedProperty
+ * @param {Object} [options]
+ * @constructor
+ */
+function SeedControl( isSeededProperty, seedProperty, options ) {
+
+  options = merge( {
+    spacing: 8,
+    align: 'center'
+  }, options );
+
+  const checkbox = new Checkbox( new Text( seedString, {
+    font: PlinkoProbabilityConstants.CHECKBOX_TEXT_FONT,
+    maxWidth: 80
+  } ), isSeededProperty, {
+    boxWidth: 16
+  } );
+
+  const seedPicker = new NumberPicker( seedProperty, new Property( PlinkoProbabilityConstants.SEED_RANGE ), {
+    font: PlinkoProbabilityConstants.CHECKBOX_TEXT_FONT,
+    enabledProperty: isSeededProperty
+  } );
+
+  assert && assert( !options.children, 'SeedControl sets children' );
+  options.children = [ checkbox, seedPicker ];
+
+  HBox.call( this, options );
+}
+
+plinkoProbability.register( 'SeedControl', SeedControl );
+
+inherit( HBox, SeedControl );
+export default SeedControl;
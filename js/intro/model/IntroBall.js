@@ -12,6 +12,7 @@
  */
 
 import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
 import Ball from '../../common/model/Ball.js';
 import plinkoProbability from '../../plinkoProbability.js';
 
@@ -20,11 +21,19 @@ import plinkoProbability from '../../plinkoProbability.js';
  * @param {number} numberOfRows - an integer
  * @param {Array.<Object>} bins
  * @param {Object} cylinderInfo - information about the cylinder: height, width, offset, ellipseHeight
+ * @param {Random} random - source of the random decisions at the pegs
+ * @param {Random} binOrientationRandom - source of the random orientations in the bins, separate from random so that
+ *   the paths of the balls are the same as in the Lab screen
+ * @param {Object} [options]
  * @constructor
  */
-function IntroBall( probability, numberOfRows, bins, cylinderInfo ) {
+function IntroBall( probability, numberOfRows, bins, cylinderInfo, random, binOrientationRandom, options ) {
 
-  Ball.call( this, probability, numberOfRows, bins );
+  options = merge( {
+    binOrientation: null // {number|null} orientation within the bin, -1 or 1, used to replay a recorded ball
+  }, options );
+
+  Ball.call( this, probability, numberOfRows, bins, random, options );
 
   // let's find the ball horizontal orientation of the top ball within a cylinder
   const lastBallBinOrientation = bins[ this.binIndex ].orientation;
@@ -41,7 +50,12 @@ function IntroBall( probability, numberOfRows, bins, cylinderInfo ) {
 
     // Ball makes probabilistic decision whether to end in left or right horizontal position in the bin
     case 1:
-      this.binOrientation = ( phet.joist.random.nextBoolean() ? 1 : -1 );
+      if ( options.binOrientation !== null ) {
+        this.binOrientation = options.binOrientation;
+      }
+      else {
+        this.binOrientation = ( binOrientationRandom.nextBoolean() ? 1 : -1 );
+      }
       break;
 
     // the ball must take the opposite orientation than the last ball
@@ -73,5 +87,19 @@ function IntroBall( probability, numberOfRows, bins, cylinderInfo ) {
 
 plinkoProbability.register( 'IntroBall', IntroBall );
 
-inherit( Ball, IntroBall );
+inherit( Ball, IntroBall, {
+
+  /**
+   * Adds the orientation within the bin, which is partly random.
+   *
+   * @returns {Object}
+   * @override
+   * @public
+   */
+  getRecord: function() {
+    const record = Ball.prototype.getRecord.call( this );
+    record.binOrientation = this.binOrientation;
+    return record;
+  }
+} );
 export default IntroBall;
\ No newline at end of file
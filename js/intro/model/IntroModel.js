@@ -6,6 +6,8 @@
  * @author Martin Veillette (Berea College)
  */
 
+import Random from '../../../../dot/js/Random.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
 import inherit from '../../../../phet-core/js/inherit.js';
 import PlinkoProbabilityCommonModel from '../../common/model/PlinkoProbabilityCommonModel.js';
 import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
@@ -24,7 +26,11 @@ function IntroModel() {
 
   const self = this;
 
-  PlinkoProbabilityCommonModel.call( this );
+  // the number of rows is fixed, so the Galton board has no pegs beyond them
+  const numberOfRows = PlinkoProbabilityConstants.ROWS_RANGE.defaultValue;
+  PlinkoProbabilityCommonModel.call( this, {
+    rowsRange: new RangeWithValue( numberOfRows, numberOfRows, numberOfRows )
+  } );
 
   const bounds = PlinkoProbabilityConstants.HISTOGRAM_BOUNDS;
   // the width of one bin is the total width divided by the number of columns
@@ -44,6 +50,10 @@ function IntroModel() {
   this.launchedBallsNumber = 0; // number of balls created
   this.ballsToCreateNumber = 0; // number of balls in the creation queue
 
+  // @private {Random} source of the random orientations of the balls in the bins, see IntroBall.
+  // Like this.random, it is recreated by erase.
+  this.binOrientationRandom = this.createBinOrientationRandom();
+
   // Stop dispensing balls when the ball mode is changed.
   this.ballModeProperty.lazyLink( function( ballMode ) {
     if ( self.ballsToCreateNumber > 0 ) {
@@ -65,20 +75,32 @@ inherit( PlinkoProbabilityCommonModel, IntroModel, {
    */
   step: function( dt ) {
 
-    // Keep track of the time elapsed since the last ball was created
-    this.ballCreationTimeElapsed += dt;
+    // factor by which the motion of the balls is scaled, which depends on the speed of the replay
+    let timeScale = 1;
+
+    if ( this.isReplayingProperty.get() ) {
 
-    // we only want to create a ball if:
-    // there are balls waiting in line &&
-    // the minimum time interval has passed 150 milliseconds &&
-    // the number of launched balls is less than the maximum number of balls
-    if ( this.ballsToCreateNumber > 0 && this.ballCreationTimeElapsed > 0.150 && this.launchedBallsNumber < MAX_BALLS ) {
-      this.addNewBall(); // add a new ball
+      // the balls are created by the replay
+      timeScale = this.stepReplay( dt );
+    }
+    else {
+      this.time += dt;
+
+      // Keep track of the time elapsed since the last ball was created
+      this.ballCreationTimeElapsed += dt;
+
+      // we only want to create a ball if:
+      // there are balls waiting in line &&
+      // the minimum time interval has passed 150 milliseconds &&
+      // the number of launched balls is less than the maximum number of balls
+      if ( this.ballsToCreateNumber > 0 && this.ballCreationTimeElapsed > 0.150 && this.launchedBallsNumber < MAX_BALLS ) {
+        this.addNewBall(); // add a new ball
+      }
     }
 
     // Move balls
     let ballsMoved = false;
-    const dtCapped = Math.min( 0.1, dt * 5 ); // Cap the dt so that the balls don't make a big jump
+    const dtCapped = Math.min( 0.1, dt * 5 ) * timeScale; // Cap the dt so that the balls don't make a big jump
     this.balls.forEach( function( ball ) {
       const ballMoved = ball.step( dtCapped );
       ballsMoved = ( ballMoved || ballsMoved );
@@ -96,6 +118,30 @@ inherit( PlinkoProbabilityCommonModel, IntroModel, {
    */
   erase: function() {
     PlinkoProbabilityCommonModel.prototype.erase.call( this );
+    this.binOrientationRandom = this.createBinOrientationRandom();
+  },
+
+  /**
+   * Creates the source of the orientations of the balls in the bins. When seeded, its seed differs from the seed of
+   * this.random, so that the orientations are independent of the paths rather than a replay of their numbers.
+   *
+   * @returns {Random}
+   * @private
+   */
+  createBinOrientationRandom: function() {
+    return new Random( {
+      seed: this.isSeededProperty.get() ? this.seedProperty.get() + 1 : null
+    } );
+  },
+
+  /**
+   * Empties the creation queue, along with the board.
+   *
+   * @override
+   * @protected
+   */
+  clearBoard: function() {
+    PlinkoProbabilityCommonModel.prototype.clearBoard.call( this );
     this.ballsToCreateNumber = 0;
     this.launchedBallsNumber = 0;
   },
@@ -138,13 +184,44 @@ inherit( PlinkoProbabilityCommonModel, IntroModel, {
 
     // create a new ball
     const addedBall = new IntroBall( this.probabilityProperty.get(), this.numberOfRowsProperty.get(),
-      this.histogram.bins, this.cylinderInfo );
+      this.histogram.bins, this.cylinderInfo, this.random, this.binOrientationRandom );
+    this.recordBall( addedBall );
 
-    this.launchedBallsNumber++; // increment the number of launched balls
     this.ballsToCreateNumber--; // decrease the number of balls in the queue
 
     this.ballCreationTimeElapsed = 0; //reset the time elapsed since the launched of the last ball
 
+    this.addBall( addedBall );
+  },
+
+  /**
+   * Adds a ball that follows the path of a recorded ball, and lands in the same position in its bin.
+   *
+   * @param {Object} record - see BallRecording
+   * @returns {Ball}
+   * @override
+   * @protected
+   */
+  addRecordedBall: function( record ) {
+    const addedBall = new IntroBall( this.probabilityProperty.get(), this.numberOfRowsProperty.get(),
+      this.histogram.bins, this.cylinderInfo, this.random, this.binOrientationRandom, {
+        directions: _.map( record.pegHistory, 'direction' ),
+        binOrientation: record.binOrientation
+      } );
+    this.addBall( addedBall );
+    return addedBall;
+  },
+
+  /**
+   * Adds a ball to the model and to the bins of the histogram.
+   *
+   * @param {IntroBall} addedBall
+   * @private
+   */
+  addBall: function( addedBall ) {
+
+    this.launchedBallsNumber++; // increment the number of launched balls
+
     // Disable the playButton when all the balls have been queued
     if ( this.launchedBallsNumber + this.ballsToCreateNumber >= MAX_BALLS ) {
       this.isBallCapReachedProperty.set( true );
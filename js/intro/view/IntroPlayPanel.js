@@ -6,6 +6,7 @@
  * @author Martin Veillette (Berea College)
  */
 
+import Property from '../../../../axon/js/Property.js';
 import inherit from '../../../../phet-core/js/inherit.js';
 import merge from '../../../../phet-core/js/merge.js';
 import MathSymbols from '../../../../scenery-phet/js/MathSymbols.js';
@@ -73,9 +74,9 @@ function IntroPlayPanel( model, options ) {
     enabled: true
   } );
 
-  // Disables play button if maximum amount of balls are dropped
-  model.isBallCapReachedProperty.lazyLink( function( isBallCapReached ) {
-    playButton.enabled = !isBallCapReached;
+  // Disables play button if maximum amount of balls are dropped, or while replaying
+  Property.multilink( [ model.isBallCapReachedProperty, model.isReplayingProperty ], function( isBallCapReached, isReplaying ) {
+    playButton.enabled = !isBallCapReached && !isReplaying;
   } );
 
   //Creation of play button panel box
@@ -47,7 +47,10 @@ function IntroScreenView( model ) {
   const cylindersFrontNode = new CylindersFrontNode( model.numberOfRowsProperty, this.modelViewTransform, model.cylinderInfo );
 
   // Histogram mode radio buttons, above the eraser button
-  const histogramModeControl = new HistogramModeControl( this.viewProperties.histogramModeProperty, 'counter', counterImage, 'cylinder', cylinderImage, {
+  const histogramModeControl = new HistogramModeControl( this.viewProperties.histogramModeProperty, [
+    { value: 'counter', icon: counterImage },
+    { value: 'cylinder', icon: cylinderImage }
+  ], {
     bottom: this.eraserButton.top - 16,
     left: this.eraserButton.left
   } );
@@ -74,6 +77,7 @@ function IntroScreenView( model ) {
   this.addChild( cylindersBackNode );
   this.moveChildToBack( cylindersBackNode );
   this.addChild( cylindersFrontNode );
+  this.binInspectorNode.moveToFront();
 
   // link the histogram radio buttons to toggle the visibility of the histogram and cylinders
   // link is present fot the lifetime of the sim
@@ -115,7 +119,8 @@ function IntroScreenView( model ) {
 
   // pdom
   // set tab order
-  this.pdomPlayAreaNode.accessibleOrder = [ playPanel, histogramModeControl, this.eraserButton ];
+  this.pdomPlayAreaNode.accessibleOrder = [ playPanel, this.topLeftControlsBox, histogramModeControl,
+    this.binInspectorNode, this.eraserButton, this.seedControl ];
 }
 
 plinkoProbability.register( 'IntroScreenView', IntroScreenView );
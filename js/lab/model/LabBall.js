@@ -14,14 +14,16 @@ import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.
 import plinkoProbability from '../../plinkoProbability.js';
 
 /**
- * @param {number} probability - number ranging from 0 to 1
+ * @param {number|function(number,number):number} probability - see Ball
  * @param {number} numberOfRows - an integer
  * @param {Object[]} bins
+ * @param {Random} random
+ * @param {Object} [options] - see Ball
  * @constructor
  */
-function LabBall( probability, numberOfRows, bins ) {
+function LabBall( probability, numberOfRows, bins, random, options ) {
 
-  Ball.call( this, probability, numberOfRows, bins );
+  Ball.call( this, probability, numberOfRows, bins, random, options );
 
   // @public Describes the final vertical offset (measured from the bottom of the galton board) of ball within a bin.
   // The value is a small distance below the top of the histogram.
@@ -7,16 +7,50 @@
  */
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Random from '../../../../dot/js/Random.js';
 import inherit from '../../../../phet-core/js/inherit.js';
 import BallPhase from '../../common/model/BallPhase.js';
 import PlinkoProbabilityCommonModel from '../../common/model/PlinkoProbabilityCommonModel.js';
+import ProbabilityUtils from '../../common/model/ProbabilityUtils.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
 import PlinkoProbabilityQueryParameters from '../../common/PlinkoProbabilityQueryParameters.js';
 import plinkoProbability from '../../plinkoProbability.js';
 import LabBall from './LabBall.js';
+import PhysicsBall from './PhysicsBall.js';
+import StatisticsHistory from './StatisticsHistory.js';
 
 // constants
 const MAX_BALLS = PlinkoProbabilityQueryParameters.maxBallsLab; // max number of balls *per bin*
 
+// max number of balls *per bin* when balls are dropped all at once, see dropBallsNow. The balls are not drawn one by
+// one, so the bins hold more of them than MAX_BALLS, yet few enough that the sums of the histogram stay exact integers
+// with every bin of the largest board full.
+const MAX_DROPPED_BALLS = PlinkoProbabilityConstants.DROP_NOW_RANGE.max;
+const NUMBER_OF_BOARD_ROWS = PlinkoProbabilityConstants.ROWS_RANGE.max + 1; // number of rows of pegs in GaltonBoard
+
+// default binary probabilities of the species other than the first one, whose probability is probabilityProperty
+const OTHER_SPECIES_PROBABILITIES = [ 0.2, 0.8 ];
+
+// the mystery probability is a multiple of 0.01 in this range, see newMystery
+const MIN_MYSTERY_PROBABILITY = 0.05;
+const MAX_MYSTERY_PROBABILITY = 0.95;
+
+// points of an estimate of the mystery probability, which decrease linearly with the error of the estimate
+const MAX_POINTS_PER_ESTIMATE = 10;
+const MAX_SCORED_ERROR = 0.1; // estimates that are farther from the probability score no points
+
+// quantile of the standard normal distribution for a 95% confidence interval
+const Z_95 = 1.96;
+
+// per-row probabilities specified via query parameter, padded to one value per row of the Galton board
+const QUERY_ROW_PROBABILITIES = PlinkoProbabilityQueryParameters.rowProbabilities;
+const INITIAL_ROW_PROBABILITIES = QUERY_ROW_PROBABILITIES && _.range( NUMBER_OF_BOARD_ROWS ).map( function( rowNumber ) {
+  return QUERY_ROW_PROBABILITIES[ Math.min( rowNumber, QUERY_ROW_PROBABILITIES.length - 1 ) ];
+} );
+
 /**
  * @constructor
  */
@@ -29,11 +63,178 @@ function LabModel() {
   // @public
   this.isPlayingProperty = new BooleanProperty( false );
 
+  // @public number of balls dropped all at once by dropBallsNow
+  this.numberOfBallsToDropProperty = new NumberProperty( PlinkoProbabilityConstants.DROP_NOW_RANGE.defaultValue, {
+    range: PlinkoProbabilityConstants.DROP_NOW_RANGE,
+    numberType: 'Integer'
+  } );
+
+  // @public (read-only) is a bin full of balls dropped all at once? See dropBallsNow.
+  this.isDropNowCapReachedProperty = new BooleanProperty( false );
+
+  // @public {boolean} is the direction of a ball at each peg decided when it reaches the peg, rather than when it
+  // leaves the hopper? With lazy paths, changing the probabilities affects the balls that are on the board, and the
+  // experiment continues with the balls that have already landed.
+  this.isLazyPathProperty = new BooleanProperty( false );
+
+  // @public {Property.<number[]|null>} binary probability of each row of the Galton board, indexed by row number.
+  // null means that every row uses probabilityProperty. When the rows have different probabilities, the number of
+  // 'right' bounces is a sum of non-identical Bernoulli trials, and follows a Poisson binomial distribution.
+  this.rowProbabilitiesProperty = new Property( INITIAL_ROW_PROBABILITIES, {
+    isValidValue: function( value ) {
+      return ( value === null ) || ( Array.isArray( value ) && value.length === NUMBER_OF_BOARD_ROWS );
+    }
+  } );
+
+  // @public {number} tendency of a ball to bounce in the same direction as at the previous peg, ranging from
+  // 0 (independent bounces) to 1 (every bounce is in the direction of the first one). With persistence,
+  // the path of a ball is a Markov chain, and the bounces are no longer independent trials, see getBounceProbability.
+  this.persistenceProperty = new NumberProperty( PlinkoProbabilityConstants.PERSISTENCE_RANGE.defaultValue, {
+    range: PlinkoProbabilityConstants.PERSISTENCE_RANGE
+  } );
+
+  // @public {number} probability that a ball passes straight through a peg of a trinomial board, see GaltonBoard.
+  // Otherwise, the ball goes right with the probability of the row.
+  this.straightProbabilityProperty = new NumberProperty( PlinkoProbabilityConstants.STRAIGHT_PROBABILITY_RANGE.defaultValue, {
+    range: PlinkoProbabilityConstants.STRAIGHT_PROBABILITY_RANGE
+  } );
+
+  // @public {number} restitution and friction of the collisions of the balls with the pegs in 'physics' hopper mode,
+  // see PhysicsBall
+  this.restitutionProperty = new NumberProperty( PlinkoProbabilityConstants.RESTITUTION_RANGE.defaultValue, {
+    range: PlinkoProbabilityConstants.RESTITUTION_RANGE
+  } );
+  this.frictionProperty = new NumberProperty( PlinkoProbabilityConstants.FRICTION_RANGE.defaultValue, {
+    range: PlinkoProbabilityConstants.FRICTION_RANGE
+  } );
+
+  // @public (read-only) {NumberProperty[]} binary probability of each species of balls, indexed by species index.
+  // The first species bounces with the probabilities of the rows and the pegs, so its probability is probabilityProperty.
+  // The other species bounce with their own probability at every peg.
+  this.speciesProbabilityProperties = [ this.probabilityProperty ].concat( OTHER_SPECIES_PROBABILITIES.map(
+    function( probability ) {
+      return new NumberProperty( probability, {
+        range: PlinkoProbabilityConstants.BINARY_PROBABILITY_RANGE
+      } );
+    } ) );
+
+  // @public {number} parameters a and b of the Beta(a,b) prior of the binary probability, see getPosterior
+  this.priorAlphaProperty = new NumberProperty( PlinkoProbabilityConstants.PRIOR_PARAMETER_RANGE.defaultValue, {
+    range: PlinkoProbabilityConstants.PRIOR_PARAMETER_RANGE
+  } );
+  this.priorBetaProperty = new NumberProperty( PlinkoProbabilityConstants.PRIOR_PARAMETER_RANGE.defaultValue, {
+    range: PlinkoProbabilityConstants.PRIOR_PARAMETER_RANGE
+  } );
+
+  // @private {number} species of the next ball dropped from the hopper, the species alternate
+  this.nextSpeciesIndex = 0;
+
+  // @public {boolean} is the binary probability a mystery? In mystery mode, probabilityProperty is set to a hidden
+  // random value, which the students estimate from the balls, see submitEstimate.
+  this.isMysteryProperty = new BooleanProperty( false );
+
+  // @public {number} estimate of the mystery probability, submitted by submitEstimate
+  this.estimateProperty = new NumberProperty( PlinkoProbabilityConstants.BINARY_PROBABILITY_RANGE.defaultValue, {
+    range: PlinkoProbabilityConstants.BINARY_PROBABILITY_RANGE
+  } );
+
+  // @public (read-only) {Object|null} result of the estimate of the mystery probability, see submitEstimate,
+  // null until the estimate is submitted
+  this.estimateResultProperty = new Property( null );
+
+  // @public (read-only) {boolean} is probabilityProperty hidden? It is in mystery mode, until the estimate is
+  // submitted.
+  this.isProbabilityHiddenProperty = new DerivedProperty( [ this.isMysteryProperty, this.estimateResultProperty ],
+    function( isMystery, estimateResult ) {
+      return isMystery && !estimateResult;
+    } );
+
+  // @public (read-only) {number} score of the estimates of the session, and their number
+  this.scoreProperty = new NumberProperty( 0 );
+  this.numberOfEstimatesProperty = new NumberProperty( 0 );
+
+  // @private {number} value of probabilityProperty before mystery mode, restored after it
+  this.probabilityBeforeMystery = this.probabilityProperty.get();
+
+  // @private {Random} source of the mystery probabilities. It is not the source of the paths of the balls, so that
+  // the mystery probability can't be predicted from the seed, and doesn't change the paths of a seeded experiment.
+  this.mysteryRandom = new Random();
+
+  // unlink is unnecessary, exists for the lifetime of the sim.
+  this.isMysteryProperty.lazyLink( function( isMystery ) {
+    if ( isMystery ) {
+      self.probabilityBeforeMystery = self.probabilityProperty.get();
+      self.newMystery();
+    }
+    else {
+      self.estimateResultProperty.set( null );
+      self.probabilityProperty.set( self.probabilityBeforeMystery );
+      self.erase();
+    }
+  } );
+
+  // Moving the probability slider sets the same probability for every row.
+  // unlink is unnecessary, exists for the lifetime of the sim.
+  this.probabilityProperty.lazyLink( function() {
+    self.rowProbabilitiesProperty.set( null );
+  } );
+
+  // @private {{key: string, distribution: number[]}|null} the ideal distribution, and the number of rows, board type
+  // and species probabilities that it was computed for, see getBinomialDistribution. null when it must be computed
+  // again for other reasons.
+  this.distributionCache = null;
+
+  // Changing the probability of a row or a peg, the persistence, or knocking out pegs, changes the probabilities
+  // that determine the paths of the balls.
+  const distributionChangedListener = function() {
+    self.distributionCache = null;
+    self.probabilitiesChanged();
+    self.theoreticalDistributionChangedEmitter.emit();
+  };
+
+  // unlink and removeListener are unnecessary, exist for the lifetime of the sim.
+  this.rowProbabilitiesProperty.lazyLink( distributionChangedListener );
+  this.persistenceProperty.lazyLink( distributionChangedListener );
+  this.straightProbabilityProperty.lazyLink( distributionChangedListener );
+  this.galtonBoard.pegProbabilitiesChangedEmitter.addListener( distributionChangedListener );
+  this.galtonBoard.knockedOutPegsChangedEmitter.addListener( distributionChangedListener );
+  _.tail( this.speciesProbabilityProperties ).forEach( function( speciesProbabilityProperty ) {
+    speciesProbabilityProperty.lazyLink( distributionChangedListener );
+  } );
+
+  // Changing the number of species starts a new experiment, whose ideal distribution is a mixture of the species.
+  this.numberOfSpeciesProperty.lazyLink( function() {
+    self.erase();
+    self.theoreticalDistributionChangedEmitter.emit();
+  } );
+
+  // Changing the board starts a new experiment. Physics balls only fall through a binary board.
+  this.boardTypeProperty.lazyLink( function( boardType ) {
+    if ( boardType === 'trinomial' && self.hopperModeProperty.get() === 'physics' ) {
+      self.hopperModeProperty.set( 'ball' );
+    }
+    self.erase();
+    self.theoreticalDistributionChangedEmitter.emit();
+  } );
+
+  // Changing how physics balls bounce changes where they land, so it starts a new experiment.
+  const physicsChangedListener = function() {
+    if ( self.hopperModeProperty.get() === 'physics' ) {
+      self.erase();
+    }
+  };
+  this.restitutionProperty.lazyLink( physicsChangedListener );
+  this.frictionProperty.lazyLink( physicsChangedListener );
+
   this.hopperModeProperty.link( function( hopperMode ) {
 
     // When balls get created, they add themselves to the histogram binCount.
     // So when we clear the balls, we need to remove them from the histogram.
     self.balls.forEach( function( ball ) {
+
+      // decide the rest of a lazy path, so that the ball is recorded and counted like the other balls
+      ball.completePath();
+
       // Don't remove balls if they have exited the board or landed in a bin
       if ( !( ball.phase === BallPhase.EXITED || ball.phase === BallPhase.COLLECTED ) ) {
         //remove the ball from the binCount
@@ -45,6 +246,24 @@ function LabModel() {
     self.balls.clear(); // clear the balls
   } );
 
+  // Physics balls don't land according to the probabilities, so switching to or from them starts a new experiment.
+  this.hopperModeProperty.lazyLink( function( hopperMode, oldHopperMode ) {
+    if ( hopperMode === 'physics' ) {
+      self.boardTypeProperty.set( 'binary' );
+    }
+    if ( hopperMode === 'physics' || oldHopperMode === 'physics' ) {
+      self.erase();
+      self.theoreticalDistributionChangedEmitter.emit();
+    }
+  } );
+
+  // @public (read-only) history of the sample average and standard deviation, for the convergence plot.
+  // It starts again when the histogram is emptied, and when the theoretical values change.
+  this.statisticsHistory = new StatisticsHistory( this.histogram );
+  const clearStatisticsHistory = this.statisticsHistory.clear.bind( this.statisticsHistory );
+  this.probabilityProperty.lazyLink( clearStatisticsHistory );
+  this.theoreticalDistributionChangedEmitter.addListener( clearStatisticsHistory );
+
   // @private time we want to pass before we created a new ball
   this.ballCreationTimeInterval = 0;
 }
@@ -55,8 +274,30 @@ inherit( PlinkoProbabilityCommonModel, LabModel, {
 
   // @public
   reset: function() {
+
+    // before the probability is reset, since leaving mystery mode restores the probability
+    this.isMysteryProperty.reset();
+    this.estimateProperty.reset();
+    this.estimateResultProperty.reset();
+    this.scoreProperty.reset();
+    this.numberOfEstimatesProperty.reset();
+
     PlinkoProbabilityCommonModel.prototype.reset.call( this );
     this.isPlayingProperty.reset();
+    this.numberOfBallsToDropProperty.reset();
+    this.isLazyPathProperty.reset();
+    this.rowProbabilitiesProperty.reset();
+    this.persistenceProperty.reset();
+    this.straightProbabilityProperty.reset();
+    this.restitutionProperty.reset();
+    this.frictionProperty.reset();
+    this.priorAlphaProperty.reset();
+    this.priorBetaProperty.reset();
+    _.tail( this.speciesProbabilityProperties ).forEach( function( speciesProbabilityProperty ) {
+      speciesProbabilityProperty.reset();
+    } );
+    this.galtonBoard.resetPegProbabilities();
+    this.galtonBoard.restorePegs();
   },
 
   /**
@@ -65,13 +306,25 @@ inherit( PlinkoProbabilityCommonModel, LabModel, {
    */
   step: function( dt ) {
 
-    // we don't want balls to drop too quickly so we keep track of the interval
-    this.ballCreationTimeElapsed += dt;
+    // factor by which the motion of the balls is scaled, which depends on the speed of the replay
+    let timeScale = 1;
+
+    if ( this.isReplayingProperty.get() ) {
 
-    // if the play button is pressed and the interval is greater than some interval...
-    if ( this.isPlayingProperty.get() && this.ballCreationTimeElapsed > this.ballCreationTimeInterval ) {
-      this.addNewBall(); // add a new ball
-      this.ballCreationTimeElapsed = 0; // reset the elapsed time
+      // the balls are created by the replay
+      timeScale = this.stepReplay( dt );
+    }
+    else {
+      this.time += dt;
+
+      // we don't want balls to drop too quickly so we keep track of the interval
+      this.ballCreationTimeElapsed += dt;
+
+      // if the play button is pressed and the interval is greater than some interval...
+      if ( this.isPlayingProperty.get() && this.ballCreationTimeElapsed > this.ballCreationTimeInterval ) {
+        this.addNewBall(); // add a new ball
+        this.ballCreationTimeElapsed = 0; // reset the elapsed time
+      }
     }
 
     switch( this.hopperModeProperty.get() ) {
@@ -80,7 +333,7 @@ inherit( PlinkoProbabilityCommonModel, LabModel, {
 
         // Move balls
         var ballsMoved = false;
-        var dtCapped = Math.min( 0.090, dt * 10 ); // Cap the dt so that the balls don't make a big jump
+        var dtCapped = Math.min( 0.090, dt * 10 ) * timeScale; // Cap the dt so that the balls don't make a big jump
         this.balls.forEach( function( ball ) {
           const ballMoved = ball.step( dtCapped );
           ballsMoved = ( ballMoved || ballsMoved );
@@ -94,6 +347,21 @@ inherit( PlinkoProbabilityCommonModel, LabModel, {
         this.ballCreationTimeInterval = 0.100; // 100 milliseconds if we are seeing balls
         break;
 
+      case 'physics':
+
+        // Move the balls, in seconds. Physics balls move in fixed small steps, see PhysicsBall.step, so a big dt
+        // doesn't make them jump through the pegs. It is still capped, so that a long frame isn't integrated at once.
+        var physicsBallsMoved = false;
+        var physicsDt = Math.min( 0.1, dt ) * timeScale;
+        this.balls.forEach( function( ball ) {
+          physicsBallsMoved = ball.step( physicsDt ) || physicsBallsMoved;
+        } );
+        if ( physicsBallsMoved ) {
+          this.ballsMovedEmitter.emit();
+        }
+        this.ballCreationTimeInterval = 0.100; // 100 milliseconds, as in 'ball' mode
+        break;
+
       case 'path':
         this.balls.forEach( function( ball ) {
           ball.updateStatisticsAndLand();
@@ -113,20 +381,249 @@ inherit( PlinkoProbabilityCommonModel, LabModel, {
     }
   },
 
+  /**
+   * Starts a new experiment with a ball of the first species.
+   *
+   * @override
+   * @public
+   */
+  erase: function() {
+    PlinkoProbabilityCommonModel.prototype.erase.call( this );
+    this.nextSpeciesIndex = 0;
+  },
+
+  /**
+   * @override
+   * @protected
+   */
+  clearBoard: function() {
+    PlinkoProbabilityCommonModel.prototype.clearBoard.call( this );
+    this.isDropNowCapReachedProperty.set( false );
+  },
+
+  /**
+   * Stops dispensing balls before replaying.
+   *
+   * @override
+   * @public
+   */
+  startReplay: function() {
+    this.isPlayingProperty.set( false );
+
+    // the balls on the board are recorded once their lazy paths are complete
+    this.balls.forEach( function( ball ) {
+      ball.completePath();
+    } );
+    PlinkoProbabilityCommonModel.prototype.startReplay.call( this );
+  },
+
+  /**
+   * With lazy paths, the experiment continues when the probabilities change, and the balls that are on the board
+   * follow the new probabilities at the pegs that they have not reached yet.
+   *
+   * @override
+   * @protected
+   */
+  probabilitiesChanged: function() {
+    if ( !this.isLazyPathInEffect() ) {
+      PlinkoProbabilityCommonModel.prototype.probabilitiesChanged.call( this );
+    }
+  },
+
+  /**
+   * Are the paths of the new balls decided peg by peg? They are only when the balls are shown falling through the
+   * pegs. In the other hopper modes, the paths are decided when the balls leave the hopper, whatever
+   * isLazyPathProperty.
+   *
+   * @returns {boolean}
+   * @private
+   */
+  isLazyPathInEffect: function() {
+    return this.isLazyPathProperty.get() && this.hopperModeProperty.get() === 'ball';
+  },
+
   /**
    * Add a new Ball to the model
    *
+   * @returns {LabBall|PhysicsBall} the added ball
    * @private
    */
   addNewBall: function() {
 
+    let addedBall;
+    if ( this.hopperModeProperty.get() === 'physics' ) {
+
+      // the bin of a physics ball comes from its collisions with the pegs
+      addedBall = new PhysicsBall( this.galtonBoard, this.numberOfRowsProperty.get(), this.random, {
+        restitution: this.restitutionProperty.get(),
+        friction: this.frictionProperty.get()
+      } );
+    }
+    else {
+      const self = this;
+
+      // the species alternate
+      const speciesIndex = this.nextSpeciesIndex;
+      this.nextSpeciesIndex = ( speciesIndex + 1 ) % this.getNumberOfSpecies();
+
+      // the bounces are persistent only on a binary board
+      const isTrinomial = ( this.boardTypeProperty.get() === 'trinomial' );
+      const probability = isTrinomial ?
+                          function( rowNumber ) {
+                            return self.getRowProbability( rowNumber, speciesIndex );
+                          } :
+                          function( rowNumber, columnNumber, previousDirection ) {
+                            return self.getBounceProbability( rowNumber, columnNumber, previousDirection, speciesIndex );
+                          };
+
+      addedBall = new LabBall( probability, this.numberOfRowsProperty.get(), this.histogram.bins, this.random, {
+        boardType: this.boardTypeProperty.get(),
+        straightProbability: this.straightProbabilityProperty.get(),
+        isPegPresent: this.galtonBoard.isPegPresent.bind( this.galtonBoard ),
+
+        lazyPath: this.isLazyPathInEffect(),
+        speciesIndex: speciesIndex
+      } );
+    }
+    this.recordBall( addedBall );
+    this.addBall( addedBall );
+    return addedBall;
+  },
+
+  /**
+   * Drops numberOfBallsToDropProperty balls all at once. Rather than following a path through the pegs, the balls of
+   * each species land in bins drawn from the ideal distribution of the species, see getSpeciesDistribution, which is
+   * how the balls that follow paths are distributed, whatever the probabilities of the pegs, the persistence, the
+   * knocked out pegs and the board. The numbers of balls in the bins are drawn all at once from the multinomial
+   * distribution, see ProbabilityUtils.getMultinomialSample, so the cost depends on the number of bins, not on the
+   * number of balls. There are no Ball instances: the numbers of balls are added to the histogram, and recorded,
+   * all at once. Physics balls can't be dropped this way, since they land where their collisions with the pegs take
+   * them.
+   *
+   * The drop stops when a bin is full, see MAX_DROPPED_BALLS. The balls are drawn in batches that are too small to fill
+   * a bin before their last ball, so the drop stops at the same ball. A bin may hold more balls than when dropping
+   * balls one by one, see MAX_BALLS, in which case the next ball dropped one by one raises isBallCapReachedProperty.
+   *
+   * @public
+   */
+  dropBallsNow: function() {
+    assert && assert( this.hopperModeProperty.get() !== 'physics', 'physics balls are dropped one by one' );
+    assert && assert( !this.isReplayingProperty.get(), 'balls are not dropped while replaying' );
+
+    const self = this;
+    const numberOfSpecies = this.getNumberOfSpecies();
+    const speciesDistributions = _.times( numberOfSpecies, this.getSpeciesDistribution.bind( this ) );
+    const speciesBinCounts = speciesDistributions.map( function( distribution ) {
+      return _.fill( new Array( distribution.length ), 0 );
+    } );
+
+    // numbers of balls that are in the bins, or on their way to them, see addBall
+    const binCounts = _.times( this.numberOfBinsProperty.get(), function( binIndex ) {
+      return self.histogram.bins[ binIndex ].binCount;
+    } );
+    let numberOfBallsWithIncompletePaths = 0;
+    this.balls.forEach( function( ball ) {
+      numberOfBallsWithIncompletePaths += ball.isPathComplete ? 0 : 1;
+    } );
+    const getFullestBinCount = function() {
+      return _.max( binCounts ) + numberOfBallsWithIncompletePaths;
+    };
+
+    let numberOfBallsToDrop = this.numberOfBallsToDropProperty.get();
+    let numberOfDroppedBalls = 0;
+    while ( numberOfBallsToDrop > 0 && getFullestBinCount() < MAX_DROPPED_BALLS ) {
+      const batchSize = Math.min( numberOfBallsToDrop, MAX_DROPPED_BALLS - getFullestBinCount() );
+
+      // the species alternate, as for the balls dropped one by one
+      for ( let i = 0; i < Math.min( numberOfSpecies, batchSize ); i++ ) {
+        const speciesIndex = ( this.nextSpeciesIndex + i ) % numberOfSpecies;
+        const numberOfSpeciesBalls = Math.ceil( ( batchSize - i ) / numberOfSpecies );
+        ProbabilityUtils.getMultinomialSample( numberOfSpeciesBalls, speciesDistributions[ speciesIndex ],
+          this.random ).forEach( function( count, binIndex ) {
+          speciesBinCounts[ speciesIndex ][ binIndex ] += count;
+          binCounts[ binIndex ] += count;
+        } );
+      }
+      this.nextSpeciesIndex = ( this.nextSpeciesIndex + batchSize ) % numberOfSpecies;
+      numberOfBallsToDrop -= batchSize;
+      numberOfDroppedBalls += batchSize;
+    }
+
+    if ( numberOfDroppedBalls > 0 ) {
+      this.histogram.addBinCountsToHistogram( speciesBinCounts );
+      this.recording.addBinCounts( speciesBinCounts, numberOfDroppedBalls, this.time );
+    }
+    if ( getFullestBinCount() >= MAX_DROPPED_BALLS ) {
+      this.isDropNowCapReachedProperty.set( true );
+    }
+  },
+
+  /**
+   * Adds a ball that follows the path of a recorded ball.
+   *
+   * @param {Object} record - see BallRecording
+   * @returns {LabBall|PhysicsBall|null} null for a record of several balls, which land all at once
+   * @override
+   * @protected
+   */
+  addRecordedBall: function( record ) {
+
+    // the balls that were dropped all at once, see dropBallsNow
+    if ( record.speciesBinCounts ) {
+      this.histogram.addBinCountsToHistogram( record.speciesBinCounts );
+      return null;
+    }
+
+    // a physics ball is recreated from its initial conditions, see PhysicsBall.getRecord
+    if ( record.initialOffsetX !== undefined ) {
+      const physicsBall = new PhysicsBall( this.galtonBoard, this.numberOfRowsProperty.get(), this.random, {
+        initialOffsetX: record.initialOffsetX,
+        restitution: record.restitution,
+        friction: record.friction
+      } );
+      this.addBall( physicsBall );
+      return physicsBall;
+    }
+
+    const addedBall = new LabBall( this.probabilityProperty.get(), this.numberOfRowsProperty.get(),
+      this.histogram.bins, this.random, {
+        directions: _.map( record.pegHistory, 'direction' ),
+        boardType: this.boardTypeProperty.get(),
+        isPegPresent: this.galtonBoard.isPegPresent.bind( this.galtonBoard ),
+        speciesIndex: record.speciesIndex
+      } );
+    this.addBall( addedBall );
+    return addedBall;
+  },
+
+  /**
+   * Adds a ball to the model and to the bin counts of the histogram.
+   *
+   * @param {LabBall|PhysicsBall} addedBall
+   * @private
+   */
+  addBall: function( addedBall ) {
+
     const self = this;
 
-    const addedBall = new LabBall( this.probabilityProperty.get(), this.numberOfRowsProperty.get(), this.histogram.bins );
-    this.histogram.bins[ addedBall.binIndex ].binCount++; //update the bin count of the bins
+    //update the bin count of the bins, once the bin of a ball with a lazy path is known
+    if ( addedBall.isPathComplete ) {
+      this.histogram.bins[ addedBall.binIndex ].binCount++;
+    }
+    else {
+      addedBall.pathCompletedEmitter.addListener( function pathCompletedListener() {
+        self.histogram.bins[ addedBall.binIndex ].binCount++;
+        addedBall.pathCompletedEmitter.removeListener( pathCompletedListener );
+      } );
+    }
     this.balls.push( addedBall ); // add the ball to the observable array
 
-    if ( self.histogram.getMaximumActualBinCount() >= MAX_BALLS ) {
+    // a ball whose bin is not known yet may land in the fullest bin
+    let numberOfBallsWithIncompletePaths = 0;
+    this.balls.forEach( function( ball ) {
+      numberOfBallsWithIncompletePaths += ball.isPathComplete ? 0 : 1;
+    } );
+    if ( self.histogram.getMaximumActualBinCount() + numberOfBallsWithIncompletePaths >= MAX_BALLS ) {
       self.isBallCapReachedProperty.set( true );
     }
 
@@ -148,72 +645,448 @@ inherit( PlinkoProbabilityCommonModel, LabModel, {
   },
 
   /**
-   * Function that returns the theoretical average of the binomial distribution
+   * Gets the binary probability of a row of pegs. The species other than the first one have the same probability
+   * for every row.
    *
-   * @param {number} numberOfRows - an integer
-   * @param {number} probability - ranges from 0 to 1
+   * @param {number} rowNumber - integer starting at zero
+   * @param {number} [speciesIndex] - the first species if not specified
    * @returns {number}
    * @public
    */
-  getTheoreticalAverage: function( numberOfRows, probability ) {
-    assert && assert( numberOfRows % 1 === 0, 'number of rows should be an integer' );
-    return numberOfRows * probability;
+  getRowProbability: function( rowNumber, speciesIndex ) {
+    if ( speciesIndex ) {
+      return this.speciesProbabilityProperties[ speciesIndex ].get();
+    }
+    const rowProbabilities = this.rowProbabilitiesProperty.get();
+    return rowProbabilities ? rowProbabilities[ rowNumber ] : this.probabilityProperty.get();
   },
 
   /**
-   * Function that calculates the theoretical standard deviation of the binomial distribution
+   * Gets the probability that a ball goes right when it hits a peg.
+   * This is the probability of the peg if it has one, otherwise the probability of its row.
    *
-   * @param {number} numberOfRows - an integer
-   * @param {number} probability - ranges from 0 to 1
+   * @param {number} rowNumber - integer starting at zero
+   * @param {number} columnNumber - integer starting at zero
    * @returns {number}
    * @public
    */
-  getTheoreticalStandardDeviation: function( numberOfRows, probability ) {
-    assert && assert( numberOfRows % 1 === 0, 'number of rows should be an integer' );
-    return Math.sqrt( numberOfRows * probability * ( 1 - probability ) );
+  getPegProbability: function( rowNumber, columnNumber ) {
+    const pegProbability = this.galtonBoard.getPeg( rowNumber, columnNumber ).probability;
+    return ( pegProbability === null ) ? this.getRowProbability( rowNumber ) : pegProbability;
   },
 
   /**
-   * Function that returns the binomial coefficient, equivalent to (in Latex) ${n\choose k}$
-   * usually expressed as "n choose k". It is the coefficient of the x^k term in the polynomial
-   * expansion of the binomial power (1 + x)^n. It is related to the Pascal triangle.
-   * See http://en.wikipedia.org/wiki/Binomial_coefficient
+   * Gets the probability that a ball goes right when it hits a peg, given its direction at the previous peg.
+   * With persistence r, the probability p of the peg becomes p + r * ( 1 - p ) after going right, and p * ( 1 - r )
+   * after going left. So a ball keeps its direction more often, while going right a fraction p of the time on average
+   * when every peg has the same probability.
    *
-   * @param {number} n - the number of rows
-   * @param {number} k - the bin number
-   * @returns {number}  "n choose k"= n!/( k! (n-k)!)
-   * @private
+   * @param {number} rowNumber - integer starting at zero
+   * @param {number} columnNumber - integer starting at zero
+   * @param {string|null} previousDirection - 'left', 'right', 'straight' after falling through a missing peg, or null
+   *   for the first peg
+   * @param {number} [speciesIndex] - the first species if not specified. The other species don't use the
+   *   probabilities of the pegs, see getRowProbability.
+   * @returns {number}
+   * @public
+   */
+  getBounceProbability: function( rowNumber, columnNumber, previousDirection, speciesIndex ) {
+    const pegProbability = speciesIndex ? this.getRowProbability( rowNumber, speciesIndex ) :
+                           this.getPegProbability( rowNumber, columnNumber );
+    const persistence = this.persistenceProperty.get();
+    if ( previousDirection === 'right' ) {
+      return pegProbability + persistence * ( 1 - pegProbability );
+    }
+    else if ( previousDirection === 'left' ) {
+      return pegProbability * ( 1 - persistence );
+    }
+    else {
+      return pegProbability;
+    }
+  },
+
+  /**
+   * Function that returns the theoretical average of the distribution of balls in the bins.
+   * For a binomial distribution this is n*p.
+   *
+   * @returns {number}
+   * @public
+   */
+  getTheoreticalAverage: function() {
+    return _.sum( this.getBinomialDistribution().map( function( probability, k ) {
+      return k * probability;
+    } ) );
+  },
+
+  /**
+   * Function that calculates the theoretical standard deviation of the distribution of balls in the bins.
+   * For a binomial distribution this is sqrt(n*p*(1-p)).
+   *
+   * @returns {number}
+   * @public
+   */
+  getTheoreticalStandardDeviation: function() {
+    const average = this.getTheoreticalAverage();
+    return Math.sqrt( _.sum( this.getBinomialDistribution().map( function( probability, k ) {
+      return ( k - average ) * ( k - average ) * probability;
+    } ) ) );
+  },
+
+  /**
+   * Gets the theoretical statistics of the shape of the distribution of balls in the bins, see
+   * ProbabilityUtils.getDescriptiveStatistics. For a binomial distribution, the skewness is (1-2p)/sqrt(np(1-p))
+   * and the excess kurtosis is (1-6p(1-p))/(np(1-p)).
+   *
+   * @returns {Object}
+   * @public
+   */
+  getTheoreticalDescriptiveStatistics: function() {
+    return ProbabilityUtils.getDescriptiveStatistics( this.getBinomialDistribution() );
+  },
+
+  /**
+   * Gets how far the distribution of the landed balls is from the ideal distribution, as the total variation
+   * distance: half the sum over the bins of the difference between the fraction of balls and the probability.
+   * It ranges from 0 (same distribution) to 1 (no bin in common). Physics balls don't land exactly according to the
+   * binomial distribution, while the other balls only differ from it by chance.
+   * See http://en.wikipedia.org/wiki/Total_variation_distance_of_probability_measures
+   *
+   * @returns {number|null} null while the probability is hidden, see isProbabilityHiddenProperty
+   * @public
+   */
+  getDistanceFromIdeal: function() {
+    if ( this.isProbabilityHiddenProperty.get() ) {
+      return null;
+    }
+    const self = this;
+    return _.sum( this.getBinomialDistribution().map( function( probability, binIndex ) {
+      return Math.abs( self.histogram.getFractionalBinCount( binIndex ) - probability );
+    } ) ) / 2;
+  },
+
+  /**
+   * Gets the normal approximation of the ideal distribution: the probability of each bin for a normal distribution
+   * with the theoretical average and standard deviation, with a continuity correction, i.e. the probability that the
+   * normal value is within 1/2 of the bin. For a binomial distribution, the normal distribution is N(np, np(1-p)).
+   *
+   * @returns {number[]}
+   * @public
+   */
+  getNormalDistribution: function() {
+    const average = this.getTheoreticalAverage();
+    const standardDeviation = this.getTheoreticalStandardDeviation();
+
+    // every ball lands in the same bin when the standard deviation is zero, the normal distribution is then exact
+    if ( standardDeviation === 0 ) {
+      return this.getBinomialDistribution().slice();
+    }
+    return this.getBinomialDistribution().map( function( probability, binIndex ) {
+      return ProbabilityUtils.getNormalCumulativeProbability( ( binIndex + 0.5 - average ) / standardDeviation ) -
+             ProbabilityUtils.getNormalCumulativeProbability( ( binIndex - 0.5 - average ) / standardDeviation );
+    } );
+  },
+
+  /**
+   * Gets how far the normal approximation is from the ideal distribution, as the maximum absolute difference between
+   * their probabilities in a bin. The normal approximation is usually considered valid when np and n(1-p) are both
+   * at least 5 or so.
+   *
+   * @returns {number}
+   * @public
+   */
+  getNormalApproximationError: function() {
+    const normalDistribution = this.getNormalDistribution();
+    return _.max( this.getBinomialDistribution().map( function( probability, binIndex ) {
+      return Math.abs( probability - normalDistribution[ binIndex ] );
+    } ) );
+  },
+
+  /**
+   * Gets the probabilities that a ball lands in a range of bins, from bin a to bin b included: the fraction of the
+   * landed balls in the range, the ideal probability P(a ≤ X ≤ b), and its normal approximation, without and with the
+   * continuity correction. Without it, the normal value is between a and b; with it, between a-1/2 and b+1/2, as
+   * for each bin of getNormalDistribution. The first and last bins hold every value beyond them, so the normal value
+   * is unbounded below when a is the first bin, and above when b is the last bin. The ideal probability and its
+   * approximations are null while the probability is hidden, see isProbabilityHiddenProperty.
+   *
+   * @param {number} minBinIndex - a
+   * @param {number} maxBinIndex - b, at least a
+   * @returns {{fraction: number, probability: number|null, normalProbability: number|null,
+   *   correctedNormalProbability: number|null}}
+   * @public
+   */
+  getBinRangeProbabilities: function( minBinIndex, maxBinIndex ) {
+    assert && assert( minBinIndex <= maxBinIndex, 'the range of bins must not be empty' );
+    const histogram = this.histogram;
+    const fraction = _.sum( _.range( minBinIndex, maxBinIndex + 1 ).map( function( binIndex ) {
+      return histogram.getFractionalBinCount( binIndex );
+    } ) );
+    if ( this.isProbabilityHiddenProperty.get() ) {
+      return {
+        fraction: fraction,
+        probability: null,
+        normalProbability: null,
+        correctedNormalProbability: null
+      };
+    }
+
+    const distribution = this.getBinomialDistribution();
+    const probability = _.sum( distribution.slice( minBinIndex, maxBinIndex + 1 ) );
+    const average = this.getTheoreticalAverage();
+    const standardDeviation = this.getTheoreticalStandardDeviation();
+
+    // every ball lands in the same bin when the standard deviation is zero, the normal distribution is then exact
+    if ( standardDeviation === 0 ) {
+      return {
+        fraction: fraction,
+        probability: probability,
+        normalProbability: probability,
+        correctedNormalProbability: probability
+      };
+    }
+    const isFirstBin = ( minBinIndex === 0 );
+    const isLastBin = ( maxBinIndex === distribution.length - 1 );
+    const getNormalProbability = function( minValue, maxValue ) {
+      return ProbabilityUtils.getNormalCumulativeProbability( ( maxValue - average ) / standardDeviation ) -
+             ProbabilityUtils.getNormalCumulativeProbability( ( minValue - average ) / standardDeviation );
+    };
+    return {
+      fraction: fraction,
+      probability: probability,
+      normalProbability: getNormalProbability( isFirstBin ? -Infinity : minBinIndex,
+        isLastBin ? Infinity : maxBinIndex ),
+      correctedNormalProbability: getNormalProbability( isFirstBin ? -Infinity : minBinIndex - 0.5,
+        isLastBin ? Infinity : maxBinIndex + 0.5 )
+    };
+  },
+
+  /**
+   * Gets the Poisson approximation of the ideal distribution, the probability of each bin for a Poisson distribution
+   * with the theoretical average, Poisson(np) for a binomial distribution. It is good when the balls land near
+   * the left bin, so when the average is closer to the right bin, the Poisson distribution is mirrored: it is the
+   * distribution of the distance to the right bin, Poisson(n(1-p)) for a binomial distribution. The probabilities of
+   * the values beyond the last bin are left out, so they may add up to a little less than 1.
+   *
+   * @returns {number[]}
+   * @public
+   */
+  getPoissonDistribution: function() {
+    const average = this.getTheoreticalAverage();
+    const lastBinIndex = this.numberOfBinsProperty.get() - 1;
+    const isMirrored = ( average > lastBinIndex / 2 );
+    return _.times( lastBinIndex + 1, function( binIndex ) {
+      return isMirrored ?
+             ProbabilityUtils.getPoissonProbability( lastBinIndex - binIndex, lastBinIndex - average ) :
+             ProbabilityUtils.getPoissonProbability( binIndex, average );
+    } );
+  },
+
+  /**
+   * Gets how far the Poisson approximation is from the ideal distribution, as the total variation distance, see
+   * getDistanceFromIdeal. The probability of the Poisson values beyond the last bin counts as a difference.
+   *
+   * @returns {number}
+   * @public
+   */
+  getPoissonDistance: function() {
+    const poissonDistribution = this.getPoissonDistribution();
+    const missingProbability = Math.max( 0, 1 - _.sum( poissonDistribution ) );
+    return ( _.sum( this.getBinomialDistribution().map( function( probability, binIndex ) {
+      return Math.abs( probability - poissonDistribution[ binIndex ] );
+    } ) ) + missingProbability ) / 2;
+  },
+
+  /**
+   * Gets the ideal cumulative distribution, the probability that a ball lands in each bin or in a bin to its left.
+   *
+   * @returns {number[]}
+   * @public
    */
-  getBinomialCoefficient: function( n, k ) {
+  getCumulativeDistribution: function() {
+    let cumulativeProbability = 0;
+    return this.getBinomialDistribution().map( function( probability ) {
+      cumulativeProbability += probability;
+      return cumulativeProbability;
+    } );
+  },
 
-    // (n)*(n-1)*(n-2)..(n-k+1) divided by (k)*(k-1)*(k-2)...*2*1
-    let coefficient = 1;
-    let i;
-    for ( i = n - k + 1; i <= n; i++ ) {
-      coefficient *= i;
+  /**
+   * Gets the Kolmogorov-Smirnov distance between the distribution of the landed balls and the ideal distribution,
+   * the largest difference over the bins between their cumulative distributions.
+   * See http://en.wikipedia.org/wiki/Kolmogorov%E2%80%93Smirnov_test
+   *
+   * @returns {number}
+   * @public
+   */
+  getKolmogorovSmirnovDistance: function() {
+    const self = this;
+    let cumulativeFraction = 0;
+    return _.max( this.getCumulativeDistribution().map( function( cumulativeProbability, binIndex ) {
+      cumulativeFraction += self.histogram.getFractionalBinCount( binIndex );
+      return Math.abs( cumulativeFraction - cumulativeProbability );
+    } ) );
+  },
+
+  /**
+   * Tests whether the landed balls fit the ideal distribution, with the chi-square test of ProbabilityUtils.
+   *
+   * @returns {{chiSquare: number, degreesOfFreedom: number, pValue: number}|null} null if there are too few balls
+   * @public
+   */
+  getChiSquareTest: function() {
+    const self = this;
+    const distribution = this.getBinomialDistribution();
+    const counts = distribution.map( function( probability, binIndex ) {
+      return self.histogram.bins[ binIndex ].visibleBinCount;
+    } );
+    return ProbabilityUtils.getChiSquareTest( counts, distribution );
+  },
+
+  /**
+   * Gets the posterior distribution of the binary probability p, given the landed balls. On a binary board, the bin
+   * of a ball is its number of 'right' bounces, so the landed balls made Σ k·count right bounces out of N·rows
+   * bounces. With a Beta(a,b) prior, the posterior is Beta(a + rights, b + lefts), whose 95% credible interval is
+   * between its 2.5% and 97.5% quantiles. The bounces are independent trials of the same p only with the same
+   * probability at every peg and a single species, but with other probabilities the posterior is still that of their
+   * average. There is no posterior when the bins are not numbers of right bounces, see getBounceCounts.
+   *
+   * @returns {{alpha: number, beta: number, mean: number, lowerBound: number, upperBound: number}|null} parameters,
+   *   mean and 95% credible interval of the posterior, null when the bins are not numbers of right bounces
+   * @public
+   */
+  getPosterior: function() {
+    const bounceCounts = this.getBounceCounts();
+    if ( !bounceCounts ) {
+      return null;
     }
-    for ( i = 1; i <= k; i++ ) {
-      coefficient /= i;
+    const alpha = this.priorAlphaProperty.get() + bounceCounts.numberOfRightBounces;
+    const beta = this.priorBetaProperty.get() + bounceCounts.numberOfBounces - bounceCounts.numberOfRightBounces;
+    return {
+      alpha: alpha,
+      beta: beta,
+      mean: alpha / ( alpha + beta ),
+      lowerBound: ProbabilityUtils.getBetaQuantile( 0.025, alpha, beta ),
+      upperBound: ProbabilityUtils.getBetaQuantile( 0.975, alpha, beta )
+    };
+  },
+
+  /**
+   * Gets the maximum-likelihood estimate of the binary probability p, given the landed balls, the fraction of their
+   * bounces that went right, see getPosterior. Its 95% confidence interval is the Wilson score interval, which,
+   * unlike the normal approximation p̂ ± 1.96√(p̂(1-p̂)/n), stays within [0,1] and doesn't vanish when p̂ is 0 or 1.
+   * See http://en.wikipedia.org/wiki/Binomial_proportion_confidence_interval
+   *
+   * @returns {{estimate: number, lowerBound: number, upperBound: number}|null} null before a ball has landed, and
+   *   when the bins are not numbers of right bounces
+   * @public
+   */
+  getMaximumLikelihoodEstimate: function() {
+    const bounceCounts = this.getBounceCounts();
+    if ( !bounceCounts || bounceCounts.numberOfBounces === 0 ) {
+      return null;
     }
-    return coefficient;
+    const n = bounceCounts.numberOfBounces;
+    const estimate = bounceCounts.numberOfRightBounces / n;
+    const zSquared = Z_95 * Z_95;
+    const center = ( estimate + zSquared / ( 2 * n ) ) / ( 1 + zSquared / n );
+    const halfWidth = Z_95 / ( 1 + zSquared / n ) *
+                      Math.sqrt( estimate * ( 1 - estimate ) / n + zSquared / ( 4 * n * n ) );
+    return {
+      estimate: estimate,
+      lowerBound: Math.max( 0, center - halfWidth ),
+      upperBound: Math.min( 1, center + halfWidth )
+    };
   },
 
   /**
-   * Function that returns the theoretical probability that a ball in in a galton box with 'n' rows (or layers)
-   * ends up in the bin number 'k' given the success  probability of every event is 'p'.
-   * See http://en.wikipedia.org/wiki/Binomial_distribution
+   * Gets the number of bounces of the landed balls, and how many of them went right. On a binary board, the bin of
+   * a ball is its number of right bounces. It isn't on a trinomial board, where balls also pass straight, nor when
+   * pegs have been knocked out, since a ball falls straight through a missing peg. With persistence, the bounces are
+   * not independent trials, so they can't be counted as such.
    *
-   * @param {number} n - the number of rows, must be an integer > 0
-   * @param {number} k - the bin number - an integer between 0 and n
-   * @param {number} p - the success (a.k.a binary) probability, a number between 0 and 1
-   * @returns {number} P(n,k,p)= ("n choose k") * p^k * p^(n-k)
+   * @returns {{numberOfRightBounces: number, numberOfBounces: number}|null} null when the bins are not numbers of
+   *   right bounces of independent trials
    * @private
    */
-  getBinomialProbability: function( n, k, p ) {
-    assert && assert( k <= n, 'the bin number, k, ranges from 0 to n' );
-    const binomialCoefficient = this.getBinomialCoefficient( n, k );
-    const statisticalWeight = Math.pow( p, k ) * Math.pow( 1 - p, n - k );
-    return binomialCoefficient * statisticalWeight;
+  getBounceCounts: function() {
+    if ( this.boardTypeProperty.get() === 'trinomial' || this.persistenceProperty.get() > 0 ||
+         this.galtonBoard.hasKnockedOutPegs() ) {
+      return null;
+    }
+    const histogram = this.histogram;
+    return {
+      numberOfRightBounces: _.sum( _.times( this.numberOfBinsProperty.get(), function( binIndex ) {
+        return binIndex * histogram.getBinCount( binIndex );
+      } ) ),
+      numberOfBounces: histogram.landedBallsNumber * this.numberOfRowsProperty.get()
+    };
+  },
+
+  /**
+   * Sets the binary probability to a new hidden random value, in mystery mode, and starts a new experiment. The
+   * probability is the same at every peg.
+   *
+   * @public
+   */
+  newMystery: function() {
+    assert && assert( this.isMysteryProperty.get(), 'there is a mystery probability only in mystery mode' );
+    const numberOfValues = Math.round( 100 * ( MAX_MYSTERY_PROBABILITY - MIN_MYSTERY_PROBABILITY ) ) + 1;
+    this.estimateResultProperty.set( null );
+    this.galtonBoard.resetPegProbabilities();
+    this.probabilityProperty.set( MIN_MYSTERY_PROBABILITY + this.mysteryRandom.nextInt( numberOfValues ) / 100 );
+    this.erase();
+  },
+
+  /**
+   * Submits estimateProperty as the estimate of the mystery probability, which reveals the probability, with its
+   * maximum-likelihood estimate from the landed balls, and scores the estimate.
+   *
+   * @public
+   */
+  submitEstimate: function() {
+    assert && assert( this.isProbabilityHiddenProperty.get(), 'the estimate is submitted once, in mystery mode' );
+    const estimate = this.estimateProperty.get();
+    const probability = this.probabilityProperty.get();
+    const points = Math.max( 0,
+      Math.round( MAX_POINTS_PER_ESTIMATE * ( 1 - Math.abs( estimate - probability ) / MAX_SCORED_ERROR ) ) );
+    this.scoreProperty.set( this.scoreProperty.get() + points );
+    this.numberOfEstimatesProperty.set( this.numberOfEstimatesProperty.get() + 1 );
+    this.estimateResultProperty.set( {
+      estimate: estimate,
+      probability: probability,
+      maximumLikelihoodEstimate: this.getMaximumLikelihoodEstimate(),
+      points: points
+    } );
+  },
+
+  /**
+   * Gets the residuals of the landed balls: in each bin, the number of balls minus the expected number N·P(k).
+   * The number of balls in a bin is binomially distributed, so its standard deviation is √(N·P(k)(1-P(k))).
+   *
+   * @returns {{residual: number, standardDeviation: number}[]} indexed by bin index
+   * @public
+   */
+  getResiduals: function() {
+    const self = this;
+    const numberOfBalls = this.histogram.landedBallsNumber;
+    return this.getBinomialDistribution().map( function( probability, binIndex ) {
+      return {
+        residual: self.histogram.getBinCount( binIndex ) - numberOfBalls * probability,
+        standardDeviation: Math.sqrt( numberOfBalls * probability * ( 1 - probability ) )
+      };
+    } );
+  },
+
+  /**
+   * Gets the ideal probability that a ball lands in a bin, see getBinomialDistribution.
+   *
+   * @param {number} binIndex
+   * @returns {number|null} null while the probability is hidden, see isProbabilityHiddenProperty
+   * @public
+   * @override
+   */
+  getBinProbability: function( binIndex ) {
+    return this.isProbabilityHiddenProperty.get() ? null : this.getBinomialDistribution()[ binIndex ];
   },
 
   /**
@@ -221,21 +1094,170 @@ inherit( PlinkoProbabilityCommonModel, LabModel, {
    *  i.e. P(n,k,p) of a binomial distribution in array form
    *  See http://en.wikipedia.org/wiki/Binomial_distribution
    *
+   *  If the rows or the pegs have different probabilities, the bounces are persistent, or pegs have been knocked
+   *  out, the distribution is not binomial, and is computed exactly by getPropagatedDistribution instead. The
+   *  distribution of a trinomial board is computed by getTrinomialDistribution.
+   *
+   *  With several species, the balls are drawn from the distribution of each species in turn, so the distribution
+   *  of all the balls is the mixture (the average) of the distributions of the species.
+   *  See http://en.wikipedia.org/wiki/Mixture_distribution
+   *
+   *  The statistics, the histogram and the plots need the distribution for every ball that lands, so it is cached
+   *  until the number of rows, the board type or the probabilities change. The cached array must not be modified.
+   *
    * @returns {Array.<number>}
    * @private
    */
   getBinomialDistribution: function() {
+    const numberOfSpecies = this.getNumberOfSpecies();
+
+    // The cache is checked against the values of the properties, rather than cleared by their listeners, because
+    // listeners registered by PlinkoProbabilityCommonModel erase the histogram, and update its views, first.
+    const key = [ this.numberOfRowsProperty.get(), this.boardTypeProperty.get() ].concat(
+      _.take( this.speciesProbabilityProperties, numberOfSpecies ).map( function( speciesProbabilityProperty ) {
+        return speciesProbabilityProperty.get();
+      } ) ).join( ' ' );
+    if ( !this.distributionCache || this.distributionCache.key !== key ) {
+      const speciesDistributions = _.times( numberOfSpecies, this.getSpeciesDistribution.bind( this ) );
+      this.distributionCache = {
+        key: key,
+        distribution: _.unzip( speciesDistributions ).map( function( probabilities ) {
+          return _.sum( probabilities ) / numberOfSpecies;
+        } )
+      };
+    }
+    return this.distributionCache.distribution;
+  },
+
+  /**
+   * Function that returns the theoretical probabilities of a ball of one species landing in each bin,
+   * see getBinomialDistribution.
+   *
+   * @param {number} speciesIndex
+   * @returns {number[]} indexed by bin number
+   * @private
+   */
+  getSpeciesDistribution: function( speciesIndex ) {
+    if ( this.boardTypeProperty.get() === 'trinomial' ) {
+      return this.getTrinomialDistribution( speciesIndex );
+    }
+
+    // only the first species bounces with the probabilities of the rows and the pegs
+    const hasRowOrPegProbabilities = ( speciesIndex === 0 ) &&
+                                     ( this.rowProbabilitiesProperty.get() || this.galtonBoard.hasPegProbabilities() );
+    if ( hasRowOrPegProbabilities || this.persistenceProperty.get() > 0 || this.galtonBoard.hasKnockedOutPegs() ) {
+      return this.getPropagatedDistribution( speciesIndex );
+    }
     const binomialCoefficientsArray = [];
     let k;
     const numberOfRows = this.numberOfRowsProperty.get();
     // let's not try to be clever and let's go forward with the brute force approach
     for ( k = 0; k < numberOfRows + 1; k++ ) {
       binomialCoefficientsArray.push(
-        this.getBinomialProbability( numberOfRows, k, this.probabilityProperty.get() ) );
+        this.getBinomialProbability( numberOfRows, k, this.speciesProbabilityProperties[ speciesIndex ].get() ) );
     }
     return binomialCoefficientsArray;
   },
 
+  /**
+   * Gets the number of species of the balls dropped from the hopper. Physics balls are all of the first species.
+   *
+   * @returns {number}
+   * @public
+   */
+  getNumberOfSpecies: function() {
+    return ( this.hopperModeProperty.get() === 'physics' ) ? 1 : this.numberOfSpeciesProperty.get();
+  },
+
+  /**
+   * Function that returns the probabilities of a ball landing in each bin, for any assignment of probabilities to
+   * the pegs, any persistence, and any knocked out pegs. This is a dynamic programming computation over
+   * (row, column, previous direction): the probability of reaching a peg after going in some direction is split
+   * between the two pegs below it, according to getBounceProbability. If the peg is missing, the ball falls straight
+   * to the peg two rows below, or lands on the divider between two bins and goes either way.
+   * When every peg of a row has the same probability and there is no persistence, this is the Poisson binomial
+   * distribution, see http://en.wikipedia.org/wiki/Poisson_binomial_distribution
+   *
+   * @param {number} speciesIndex
+   * @returns {number[]} indexed by bin number
+   * @private
+   */
+  getPropagatedDistribution: function( speciesIndex ) {
+    const numberOfRows = this.numberOfRowsProperty.get();
+
+    // Probabilities of reaching each peg, indexed by row number and column number, after going left or right, or
+    // after falling straight from the hopper or through a missing peg. The last row holds the bins.
+    const distributions = { left: [], right: [], straight: [] };
+    _.forEach( distributions, function( distribution ) {
+      for ( let rowNumber = 0; rowNumber <= numberOfRows; rowNumber++ ) {
+        distribution.push( _.fill( new Array( rowNumber + 1 ), 0 ) );
+      }
+    } );
+    distributions.straight[ 0 ][ 0 ] = 1;
+
+    for ( let rowNumber = 0; rowNumber < numberOfRows; rowNumber++ ) {
+      for ( let columnNumber = 0; columnNumber <= rowNumber; columnNumber++ ) {
+        for ( const previousDirection in distributions ) {
+          const probability = distributions[ previousDirection ][ rowNumber ][ columnNumber ];
+          if ( !this.galtonBoard.isPegPresent( rowNumber, columnNumber ) ) {
+            if ( rowNumber === numberOfRows - 1 ) {
+              distributions.left[ numberOfRows ][ columnNumber ] += probability / 2;
+              distributions.right[ numberOfRows ][ columnNumber + 1 ] += probability / 2;
+            }
+            else {
+              distributions.straight[ rowNumber + 2 ][ columnNumber + 1 ] += probability;
+            }
+          }
+          else {
+            const rightProbability = this.getBounceProbability( rowNumber, columnNumber, previousDirection, speciesIndex );
+            distributions.left[ rowNumber + 1 ][ columnNumber ] += probability * ( 1 - rightProbability );
+            distributions.right[ rowNumber + 1 ][ columnNumber + 1 ] += probability * rightProbability;
+          }
+        }
+      }
+    }
+
+    return distributions.left[ numberOfRows ].map( function( probability, binIndex ) {
+      return probability + distributions.right[ numberOfRows ][ binIndex ] + distributions.straight[ numberOfRows ][ binIndex ];
+    } );
+  },
+
+  /**
+   * Function that returns the probabilities of a ball landing in each bin of a trinomial board.
+   * A ball that goes through n rows lands in bin k (from 0 to 2n) when the number of times it went right minus
+   * the number of times it went left is k-n. At each peg, it goes straight with probability q, and otherwise goes
+   * right with the probability p of the row. So with the same p for every row, bin k has probability
+   * sum over j of n!/(j! (n-k+j)! (k-2j)!) ((1-q)p)^j ((1-q)(1-p))^(n-k+j) q^(k-2j), a trinomial distribution,
+   * see http://en.wikipedia.org/wiki/Trinomial_distribution. The probabilities are propagated row by row,
+   * which also handles different probabilities for the rows, and knocked out pegs, through which balls go straight.
+   *
+   * @param {number} speciesIndex
+   * @returns {number[]} indexed by bin number
+   * @private
+   */
+  getTrinomialDistribution: function( speciesIndex ) {
+    const self = this;
+    const straightProbability = this.straightProbabilityProperty.get();
+    let distribution = [ 1 ]; // probabilities of reaching each peg of the current row
+    for ( let rowNumber = 0; rowNumber < this.numberOfRowsProperty.get(); rowNumber++ ) {
+      const rightProbability = ( 1 - straightProbability ) * this.getRowProbability( rowNumber, speciesIndex );
+      const leftProbability = 1 - straightProbability - rightProbability;
+      const nextDistribution = _.fill( new Array( distribution.length + 2 ), 0 );
+      distribution.forEach( function( pegProbability, columnNumber ) {
+        if ( self.galtonBoard.isPegPresent( rowNumber, columnNumber ) ) {
+          nextDistribution[ columnNumber ] += pegProbability * leftProbability;
+          nextDistribution[ columnNumber + 1 ] += pegProbability * straightProbability;
+          nextDistribution[ columnNumber + 2 ] += pegProbability * rightProbability;
+        }
+        else {
+          nextDistribution[ columnNumber + 1 ] += pegProbability;
+        }
+      } );
+      distribution = nextDistribution;
+    }
+    return distribution;
+  },
+
   /**
    *  Function that returns the theoretical probabilities of the binomial distribution
    *  i.e. P(n,k,p) of a binomial distribution in array form
@@ -0,0 +1,344 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Ball for the 'physics' hopper mode of the Lab screen. Unlike Ball, whose path through the pegs is drawn at random,
+ * a PhysicsBall moves under gravity and collides with the pegs of the Galton board, and its bin is where it happens
+ * to leave the board. It has the same public interface as Ball, so that it can be handled like the other balls.
+ *
+ * Only the initial horizontal offset of the ball is random. The motion is integrated with a fixed time step,
+ * so a ball with the same initial offset, restitution and friction always lands in the same bin, which is how
+ * physics balls are replayed. Balls don't collide with each other.
+ *
+ * @author agent
+ */
+
+import Emitter from '../../../../axon/js/Emitter.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import BallPhase from '../../common/model/BallPhase.js';
+import GaltonBoard from '../../common/model/GaltonBoard.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+// constants
+// The Galton board is drawn twice as wide as it is tall, see Board, so the model is stretched vertically by a factor
+// of 2. The motion is computed with the vertical coordinate scaled back, so that the pegs and the balls are circles.
+const VERTICAL_SCALE = 0.5;
+const PEG_RADIUS_FRACTION = 1 / 6; // radius of a peg compared to the horizontal separation of the pegs, see PegsNode
+
+// The balls are drawn too big to fit between the pegs of two rows, so they collide as smaller circles.
+const COLLISION_RADIUS_FRACTION = 0.5; // radius of collision of a ball compared to its radius
+const GRAVITY = 60; // acceleration of gravity, in peg separations per second squared
+const TIME_STEP = 1 / 600; // time step of the integration of the motion, in seconds
+const MAX_TIME = 60; // time after which a ball that is stuck on the pegs is dropped, in seconds
+const INITIAL_OFFSET_FRACTION = 0.2; // maximum initial horizontal offset, compared to the separation of the pegs
+const MIN_IMPACT_SPEED = 3; // minimum speed of an impact, slowed by friction and making a sound, in peg separations per second
+
+/**
+ * @param {GaltonBoard} galtonBoard
+ * @param {number} numberOfRows - an integer
+ * @param {Random} random - source of the initial offset of the ball
+ * @param {Object} [options]
+ * @constructor
+ */
+function PhysicsBall( galtonBoard, numberOfRows, random, options ) {
+
+  options = merge( {
+    restitution: PlinkoProbabilityConstants.RESTITUTION_RANGE.defaultValue, // {number} see LabModel
+    friction: PlinkoProbabilityConstants.FRICTION_RANGE.defaultValue, // {number} see LabModel
+    initialOffsetX: null // {number|null} initial horizontal offset, used to replay a recorded ball
+  }, options );
+
+  this.galtonBoard = galtonBoard; // @private
+  this.numberOfRows = numberOfRows; // @private
+  this.restitution = options.restitution; // @private
+  this.friction = options.friction; // @private
+
+  this.pegSeparation = GaltonBoard.getPegSpacing( numberOfRows ); // @public (read-only)
+
+  // @public (read-only) physics balls don't depend on the probabilities, so they are all of the first species
+  this.speciesIndex = 0;
+  this.ballRadius = this.pegSeparation * PlinkoProbabilityConstants.BALL_SIZE_FRACTION; // @public (read-only)
+  this.pegRadius = this.pegSeparation * PEG_RADIUS_FRACTION; // @private
+
+  // @private distance between the centers of the ball and of a peg when they touch
+  this.contactDistance = COLLISION_RADIUS_FRACTION * this.ballRadius + this.pegRadius;
+
+  // @private (read-only) {number} initial horizontal offset with respect to the top peg
+  this.initialOffsetX = ( options.initialOffsetX === null ) ?
+                        INITIAL_OFFSET_FRACTION * this.pegSeparation * ( 2 * random.nextDouble() - 1 ) :
+                        options.initialOffsetX;
+
+  // The ball is dropped one row above its position when it touches the top peg, like a Ball.
+  const topPegPosition = getPhysicalPosition( galtonBoard.getPeg( 0, 0 ).position );
+
+  // @private position and velocity, with the vertical coordinate scaled by VERTICAL_SCALE
+  this.physicalPosition = new Vector2( topPegPosition.x + this.initialOffsetX,
+    topPegPosition.y + this.contactDistance + VERTICAL_SCALE * this.pegSeparation );
+  this.velocity = new Vector2( 0, 0 );
+
+  // @private vertical position below which the ball has left the pegs. This is where a Ball leaves the pegs,
+  // at the height of a ball touching a peg in the row below the last row of pegs.
+  this.exitY = VERTICAL_SCALE * ( -numberOfRows - 2 * PlinkoProbabilityConstants.PEG_HEIGHT_FRACTION_OFFSET ) / ( numberOfRows + 1 ) +
+               this.contactDistance;
+
+  // @private time that has not been integrated yet, less than TIME_STEP, and time spent on the pegs
+  this.remainingTime = 0;
+  this.elapsedTime = 0;
+
+  // position vector, in model coordinates
+  this.position = new Vector2( 0, 0 ); // @public (read-only)
+  this.updatePosition();
+
+  this.phase = BallPhase.INITIAL; // @public (read-only), see BallPhase
+
+  // @public
+  this.ballHittingPegEmitter = new Emitter( {
+    parameters: [ { validValues: [ 'left', 'right' ] } ]
+  } );
+  this.ballOutOfPegsEmitter = new Emitter();
+  this.ballCollectedEmitter = new Emitter();
+  this.pathCompletedEmitter = new Emitter(); // fires when the ball has left the pegs, so its bin is known
+
+  // @public (read-only) a physics ball has no path through the pegs, see Ball.pegHistory
+  this.pegHistory = [];
+
+  // @public (read-only) {number|null} bin position of the ball, null until the ball has left the pegs
+  this.binIndex = null;
+
+  // @public (read-only) has the ball left the pegs? Named like Ball.isPathComplete, the path being its motion
+  this.isPathComplete = false;
+
+  // @public Describes the final vertical offset (measured from the bottom of the galton board) of ball within a bin,
+  // a small distance below the top of the histogram, see LabBall.
+  this.finalBinVerticalOffset = PlinkoProbabilityConstants.HISTOGRAM_BOUNDS.maxY - 6 * this.ballRadius;
+}
+
+plinkoProbability.register( 'PhysicsBall', PhysicsBall );
+
+/**
+ * Gets the position of a point with the vertical coordinate scaled, so that distances are the same in all directions.
+ *
+ * @param {Vector2} position - in model coordinates
+ * @returns {Vector2}
+ */
+var getPhysicalPosition = function( position ) {
+  return new Vector2( position.x, VERTICAL_SCALE * position.y );
+};
+
+inherit( Object, PhysicsBall, {
+
+  /**
+   * @param {number} dt - time interval, in seconds
+   * @returns {boolean} true if the ball moved, false if it didn't move
+   * @public
+   */
+  step: function( dt ) {
+    if ( this.phase === BallPhase.COLLECTED ) {
+      return false;
+    }
+
+    this.remainingTime += dt;
+    while ( this.remainingTime >= TIME_STEP && this.phase !== BallPhase.COLLECTED ) {
+      this.remainingTime -= TIME_STEP;
+      this.integrate( TIME_STEP );
+    }
+    this.updatePosition();
+    return true;
+  },
+
+  /**
+   * Moves the ball until it has left the pegs, so that its bin is known.
+   *
+   * @public
+   */
+  completePath: function() {
+    while ( !this.isPathComplete ) {
+      this.integrate( TIME_STEP );
+    }
+    this.updatePosition();
+  },
+
+  /**
+   * Lands the ball in its bin immediately, see Ball.updateStatisticsAndLand.
+   *
+   * @public
+   */
+  updateStatisticsAndLand: function() {
+    if ( this.phase === BallPhase.INITIAL ) {
+      this.completePath();
+      this.physicalPosition.x = this.getBinCenterX();
+      this.land();
+      this.updatePosition();
+    }
+  },
+
+  /**
+   * Gets the information needed to recreate this ball when an experiment is replayed, see BallRecording.
+   *
+   * @returns {Object}
+   * @public
+   */
+  getRecord: function() {
+    assert && assert( this.binIndex !== null, 'the ball has not left the pegs yet' );
+    return {
+      pegHistory: [],
+      binIndex: this.binIndex,
+      initialOffsetX: this.initialOffsetX,
+      restitution: this.restitution,
+      friction: this.friction
+    };
+  },
+
+  /**
+   * Integrates the motion of the ball over one time step.
+   *
+   * @param {number} dt - time step, in seconds
+   * @private
+   */
+  integrate: function( dt ) {
+
+    // the ball falls from the hopper until it touches the top peg
+    if ( this.phase === BallPhase.INITIAL ) {
+      this.phase = BallPhase.FALLING;
+    }
+
+    this.velocity.addXY( 0, -GRAVITY * this.pegSeparation * dt );
+    this.physicalPosition.add( this.velocity.times( dt ) );
+
+    if ( this.phase === BallPhase.FALLING ) {
+      this.elapsedTime += dt;
+      this.collideWithPegs();
+      this.collideWithWalls();
+
+      if ( this.physicalPosition.y < this.exitY || this.elapsedTime > MAX_TIME ) {
+        this.leavePegs();
+      }
+    }
+    else if ( this.phase === BallPhase.EXITED ) {
+
+      // the ball falls straight down into its bin, while being steered to the center of the bin
+      this.physicalPosition.x += ( this.getBinCenterX() - this.physicalPosition.x ) * Math.min( 1, 10 * dt );
+      if ( this.physicalPosition.y / VERTICAL_SCALE < this.finalBinVerticalOffset ) {
+        this.land();
+      }
+    }
+  },
+
+  /**
+   * Bounces the ball off the pegs that it overlaps. The component of the velocity along the line between the centers
+   * is reversed and scaled by the restitution. On impact, the perpendicular component is also reduced by the friction
+   * times the change of the normal component. A ball that rolls on a peg is not slowed down, so it can't stop on a peg.
+   *
+   * @private
+   */
+  collideWithPegs: function() {
+    // only the rows of pegs next to the ball need to be checked
+    const rowNumber = Utils.roundSymmetric( -this.physicalPosition.y / ( VERTICAL_SCALE * this.pegSeparation ) -
+                                            2 * PlinkoProbabilityConstants.PEG_HEIGHT_FRACTION_OFFSET );
+    const minRowNumber = Math.max( rowNumber - 1, 0 );
+    const maxRowNumber = Math.min( rowNumber + 1, this.numberOfRows - 1 );
+
+    for ( let pegRowNumber = minRowNumber; pegRowNumber <= maxRowNumber; pegRowNumber++ ) {
+      for ( let columnNumber = 0; columnNumber <= pegRowNumber; columnNumber++ ) {
+        const peg = this.galtonBoard.getPeg( pegRowNumber, columnNumber );
+        if ( peg.isVisible ) {
+          const normal = this.physicalPosition.minus( getPhysicalPosition( peg.position ) );
+          const distance = normal.magnitude;
+          if ( distance < this.contactDistance && distance > 0 ) {
+            normal.divideScalar( distance );
+
+            // move the ball out of the peg
+            this.physicalPosition.add( normal.times( this.contactDistance - distance ) );
+
+            // bounce if the ball is moving into the peg
+            const normalSpeed = this.velocity.dot( normal );
+            if ( normalSpeed < 0 ) {
+              const normalVelocity = normal.times( normalSpeed );
+              const tangentVelocity = this.velocity.minus( normalVelocity );
+              const isImpact = ( -normalSpeed > MIN_IMPACT_SPEED * this.pegSeparation );
+              if ( isImpact ) {
+                const tangentSpeed = tangentVelocity.magnitude;
+                const frictionSpeed = Math.min( tangentSpeed, -this.friction * ( 1 + this.restitution ) * normalSpeed );
+                if ( tangentSpeed > 0 ) {
+                  tangentVelocity.multiplyScalar( 1 - frictionSpeed / tangentSpeed );
+                }
+              }
+              this.velocity = tangentVelocity.minus( normalVelocity.times( this.restitution ) );
+
+              // can play a sound when ball hits peg
+              if ( isImpact ) {
+                this.ballHittingPegEmitter.emit( ( this.velocity.x < 0 ) ? 'left' : 'right' );
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  /**
+   * Bounces the ball off the sides of the board.
+   *
+   * @private
+   */
+  collideWithWalls: function() {
+    const minX = PlinkoProbabilityConstants.GALTON_BOARD_BOUNDS.minX + this.ballRadius;
+    const maxX = PlinkoProbabilityConstants.GALTON_BOARD_BOUNDS.maxX - this.ballRadius;
+    if ( ( this.physicalPosition.x < minX && this.velocity.x < 0 ) || ( this.physicalPosition.x > maxX && this.velocity.x > 0 ) ) {
+      this.velocity.x = -this.restitution * this.velocity.x;
+    }
+    this.physicalPosition.x = Utils.clamp( this.physicalPosition.x, minX, maxX );
+  },
+
+  /**
+   * The ball has left the pegs, so its bin is the one below it.
+   *
+   * @private
+   */
+  leavePegs: function() {
+    const numberOfBins = this.numberOfRows + 1;
+    const binIndex = Utils.roundSymmetric( this.physicalPosition.x * numberOfBins + this.numberOfRows / 2 );
+    this.binIndex = Utils.clamp( binIndex, 0, this.numberOfRows );
+    this.isPathComplete = true;
+    this.phase = BallPhase.EXITED;
+    this.velocity.x = 0;
+    this.pathCompletedEmitter.emit();
+    this.ballOutOfPegsEmitter.emit();
+  },
+
+  /**
+   * The ball has landed in its bin.
+   *
+   * @private
+   */
+  land: function() {
+    this.physicalPosition.y = VERTICAL_SCALE * this.finalBinVerticalOffset;
+    this.velocity.setXY( 0, 0 );
+    this.phase = BallPhase.COLLECTED;
+    this.ballCollectedEmitter.emit();
+  },
+
+  /**
+   * Gets the horizontal position of the center of the bin of the ball.
+   *
+   * @returns {number}
+   * @private
+   */
+  getBinCenterX: function() {
+    return GaltonBoard.getPegPositionX( this.numberOfRows, this.binIndex, this.numberOfRows, 'binary' );
+  },
+
+  /**
+   * Updates the position of the ball, in model coordinates.
+   *
+   * @private
+   */
+  updatePosition: function() {
+    this.position.setXY( this.physicalPosition.x, this.physicalPosition.y / VERTICAL_SCALE );
+  }
+} );
+
+export default PhysicsBall;
@@ -0,0 +1,93 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * History of the sample average and standard deviation of the histogram, as the balls land in the bins, so that
+ * their convergence to the theoretical values can be plotted. Samples are taken every 'interval' balls, and when
+ * there are too many samples, every other sample is dropped and the interval is doubled, so that long experiments
+ * keep a bounded number of samples that span the whole experiment.
+ *
+ * @author agent
+ */
+
+import Emitter from '../../../../axon/js/Emitter.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+// constants
+const MAX_NUMBER_OF_SAMPLES = 1000;
+
+/**
+ * @param {Histogram} histogram
+ * @constructor
+ */
+function StatisticsHistory( histogram ) {
+
+  // @public (read-only) {Object[]} samples of the statistics, in the order in which they were taken, each of the form
+  // { numberOfBalls: {number}, average: {number}, standardDeviation: {number} }
+  this.samples = [];
+
+  // @private {number} number of balls between two samples
+  this.interval = 1;
+
+  // @public emits when samples are added or cleared
+  this.historyChangedEmitter = new Emitter();
+
+  // The history starts again when the histogram is emptied, e.g. by erase.
+  // removeListener is unnecessary, exists for the lifetime of the sim.
+  const self = this;
+  histogram.histogramUpdatedEmitter.addListener( function() {
+    if ( histogram.landedBallsNumber === 0 ) {
+      self.clear();
+    }
+    else {
+      self.addSample( histogram );
+    }
+  } );
+}
+
+plinkoProbability.register( 'StatisticsHistory', StatisticsHistory );
+
+inherit( Object, StatisticsHistory, {
+
+  /**
+   * Takes a sample of the statistics of the histogram, if it is time to take one.
+   *
+   * @param {Histogram} histogram
+   * @private
+   */
+  addSample: function( histogram ) {
+    const numberOfBalls = histogram.landedBallsNumber;
+    if ( numberOfBalls % this.interval !== 0 ) {
+      return;
+    }
+    this.samples.push( {
+      numberOfBalls: numberOfBalls,
+      average: histogram.average,
+      standardDeviation: histogram.standardDeviation
+    } );
+
+    // keep the samples that are on the doubled interval
+    if ( this.samples.length > MAX_NUMBER_OF_SAMPLES ) {
+      this.interval *= 2;
+      const interval = this.interval;
+      this.samples = this.samples.filter( function( sample ) {
+        return sample.numberOfBalls % interval === 0;
+      } );
+    }
+    this.historyChangedEmitter.emit();
+  },
+
+  /**
+   * Removes all the samples. Called when the histogram is emptied, or when the theoretical values change, since the
+   * statistics are then converging to other values.
+   *
+   * @public
+   */
+  clear: function() {
+    this.samples = [];
+    this.interval = 1;
+    this.historyChangedEmitter.emit();
+  }
+} );
+
+export default StatisticsHistory;
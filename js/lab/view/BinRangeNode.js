@@ -0,0 +1,254 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Selection of a range of bins of the histogram, from bin a to bin b, with two handles that are dragged along the
+ * x axis, or moved with the arrow keys. The bins of the range are shaded, and a panel at the top left of the histogram
+ * shows the probabilities of the range, see LabModel.getBinRangeProbabilities: the fraction of the landed balls in
+ * the range, the ideal probability P(a ≤ X ≤ b), and its normal approximation without and with the continuity
+ * correction. With a = 0, these are the probabilities of at most b successes.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import KeyboardUtils from '../../../../scenery/js/accessibility/KeyboardUtils.js';
+import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import Line from '../../../../scenery/js/nodes/Line.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import EquationNode from '../../common/view/EquationNode.js';
+import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+const binRangeBinomialString = plinkoProbabilityStrings.binRangeBinomial;
+const binRangeCorrectedNormalString = plinkoProbabilityStrings.binRangeCorrectedNormal;
+const binRangeFractionString = plinkoProbabilityStrings.binRangeFraction;
+const binRangeNormalString = plinkoProbabilityStrings.binRangeNormal;
+const binRangeTitleString = plinkoProbabilityStrings.binRangeTitle;
+
+// constants
+const BANNER_HEIGHT = 20; // height of the banner at the top of the histogram, see HistogramNode
+const RANGE_FILL = 'rgba(0,140,0,0.15)';
+const HANDLE_COLOR = 'rgb(0,140,0)';
+const HANDLE_LINE_WIDTH = 2;
+const GRIP_WIDTH = 10;
+const GRIP_HEIGHT = 24;
+const PANEL_MARGIN = 5; // between the panel and the sides of the histogram
+const MAX_TEXT_WIDTH = 170;
+
+// options of the probabilities in the panel
+const EQUATION_OPTIONS = {
+  positionOfEqualSign: 110,
+  leftHandSideMaxWidth: 110,
+  maxDecimalPlaces: 4
+};
+const SAMPLE_OPTIONS = merge( {
+  leftHandSideFont: PlinkoProbabilityConstants.TEXT_FONT,
+  leftHandSideFill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR,
+  rightHandSideFont: PlinkoProbabilityConstants.TEXT_FONT,
+  rightHandSideFill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR
+}, EQUATION_OPTIONS );
+const THEORETICAL_OPTIONS = merge( {
+  leftHandSideFont: PlinkoProbabilityConstants.TEXT_FONT,
+  leftHandSideFill: PlinkoProbabilityConstants.THEORETICAL_FONT_COLOR,
+  rightHandSideFont: PlinkoProbabilityConstants.TEXT_FONT,
+  rightHandSideFill: PlinkoProbabilityConstants.THEORETICAL_FONT_COLOR
+}, EQUATION_OPTIONS );
+
+/**
+ * @param {LabModel} model
+ * @param {ModelViewTransform2} modelViewTransform
+ * @param {Object} [options]
+ * @constructor
+ */
+function BinRangeNode( model, modelViewTransform, options ) {
+
+  const self = this;
+
+  // @private
+  this.model = model;
+  this.modelViewTransform = modelViewTransform;
+  this.viewBounds = modelViewTransform.modelToViewBounds( PlinkoProbabilityConstants.HISTOGRAM_BOUNDS );
+
+  // @public {NumberProperty} the first and last bins of the range, a and b. Initially, the bins up to the middle one.
+  this.minBinIndexProperty = new NumberProperty( 0 );
+  this.maxBinIndexProperty = new NumberProperty( Math.floor( ( model.numberOfBinsProperty.get() - 1 ) / 2 ) );
+
+  // @private shading of the bins of the range
+  this.rangeRectangle = new Rectangle( 0, 0, 1, 1, {
+    fill: RANGE_FILL,
+    pickable: false
+  } );
+
+  // @private handles at the left of bin a and at the right of bin b
+  this.minHandle = this.createHandle( this.minBinIndexProperty, function( binEdgeIndex ) {
+    return Utils.clamp( binEdgeIndex, 0, self.maxBinIndexProperty.get() );
+  } );
+  this.maxHandle = this.createHandle( this.maxBinIndexProperty, function( binEdgeIndex ) {
+    return Utils.clamp( binEdgeIndex - 1, self.minBinIndexProperty.get(), model.numberOfBinsProperty.get() - 1 );
+  } );
+
+  // @private probabilities of the range
+  this.titleText = new Text( '', {
+    font: PlinkoProbabilityConstants.TEXT_FONT_BOLD,
+    maxWidth: MAX_TEXT_WIDTH
+  } );
+  this.fractionText = new EquationNode( binRangeFractionString, 0, SAMPLE_OPTIONS );
+  this.probabilityText = new EquationNode( binRangeBinomialString, 0, THEORETICAL_OPTIONS );
+  this.normalProbabilityText = new EquationNode( binRangeNormalString, 0, THEORETICAL_OPTIONS );
+  this.correctedNormalProbabilityText = new EquationNode( binRangeCorrectedNormalString, 0, THEORETICAL_OPTIONS );
+  const panel = new Panel( new VBox( {
+    align: 'left',
+    spacing: 3,
+    children: [ this.titleText, this.fractionText, this.probabilityText, this.normalProbabilityText,
+      this.correctedNormalProbabilityText ]
+  } ), {
+    fill: 'white',
+    stroke: HANDLE_COLOR,
+    cornerRadius: 5,
+    xMargin: 8,
+    yMargin: 5,
+    pickable: false,
+    left: this.viewBounds.minX + PANEL_MARGIN,
+    top: this.viewBounds.minY + BANNER_HEIGHT + PANEL_MARGIN
+  } );
+
+  options = merge( {
+    children: [ this.rangeRectangle, this.minHandle, this.maxHandle, panel ]
+  }, options );
+
+  Node.call( this, options );
+
+  // links and listeners are present for the lifetime of the sim, no need to dispose
+  model.numberOfBinsProperty.lazyLink( function( numberOfBins ) {
+    self.maxBinIndexProperty.set( Math.min( self.maxBinIndexProperty.get(), numberOfBins - 1 ) );
+    self.minBinIndexProperty.set( Math.min( self.minBinIndexProperty.get(), self.maxBinIndexProperty.get() ) );
+  } );
+  const update = function() {
+    self.update();
+  };
+  Property.multilink( [ this.minBinIndexProperty, this.maxBinIndexProperty, model.numberOfBinsProperty,
+    model.probabilityProperty, model.isProbabilityHiddenProperty ], update );
+  model.histogram.histogramUpdatedEmitter.addListener( update );
+  model.theoreticalDistributionChangedEmitter.addListener( update );
+}
+
+plinkoProbability.register( 'BinRangeNode', BinRangeNode );
+
+inherit( Node, BinRangeNode, {
+
+  /**
+   * Updates the positions of the handles, the shading of the range, and its probabilities.
+   *
+   * @public
+   */
+  update: function() {
+    const histogram = this.model.histogram;
+    const numberOfBins = this.model.numberOfBinsProperty.get();
+
+    // while the range is clamped to fewer bins, one of its ends may still be beyond the last bin
+    const maxBinIndex = Math.min( this.maxBinIndexProperty.get(), numberOfBins - 1 );
+    const minBinIndex = Math.min( this.minBinIndexProperty.get(), maxBinIndex );
+
+    // the right of bin b is as far from its center as its left
+    const minX = this.modelViewTransform.modelToViewX( histogram.getBinLeft( minBinIndex, numberOfBins ) );
+    const maxX = this.modelViewTransform.modelToViewX( 2 * histogram.getBinCenterX( maxBinIndex, numberOfBins ) -
+                                                       histogram.getBinLeft( maxBinIndex, numberOfBins ) );
+    this.minHandle.x = minX;
+    this.maxHandle.x = maxX;
+    this.rangeRectangle.setRect( minX, this.viewBounds.minY + BANNER_HEIGHT, maxX - minX,
+      this.viewBounds.height - BANNER_HEIGHT );
+
+    const binRangeProbabilities = this.model.getBinRangeProbabilities( minBinIndex, maxBinIndex );
+    this.titleText.text = StringUtils.fillIn( binRangeTitleString, {
+      min: minBinIndex,
+      max: maxBinIndex
+    } );
+    this.fractionText.setRightHandSideOfEquation( binRangeProbabilities.fraction );
+    this.probabilityText.setRightHandSideOfEquation( binRangeProbabilities.probability );
+    this.normalProbabilityText.setRightHandSideOfEquation( binRangeProbabilities.normalProbability );
+    this.correctedNormalProbabilityText.setRightHandSideOfEquation(
+      binRangeProbabilities.correctedNormalProbability );
+  },
+
+  /**
+   * Restores the initial range of bins.
+   *
+   * @public
+   */
+  reset: function() {
+    this.minBinIndexProperty.reset();
+    this.maxBinIndexProperty.reset();
+  },
+
+  /**
+   * Creates a handle, a line across the histogram with a grip above the x axis. The handle is at an edge between two
+   * bins: edge i is the left of bin i.
+   *
+   * @param {NumberProperty} binIndexProperty - the bin of the range at the handle
+   * @param {function(number):number} getBinIndex - gets the bin of the range for the edge of the handle
+   * @returns {Node}
+   * @private
+   */
+  createHandle: function( binIndexProperty, getBinIndex ) {
+    const self = this;
+    const viewBounds = this.viewBounds;
+
+    const handle = new Node( {
+      cursor: 'ew-resize',
+      children: [
+        new Line( 0, viewBounds.minY + BANNER_HEIGHT, 0, viewBounds.maxY, {
+          stroke: HANDLE_COLOR,
+          lineWidth: HANDLE_LINE_WIDTH,
+          pickable: false
+        } ),
+        new Rectangle( -GRIP_WIDTH / 2, viewBounds.maxY - GRIP_HEIGHT, GRIP_WIDTH, GRIP_HEIGHT, 3, 3, {
+          fill: HANDLE_COLOR,
+          touchArea: new Bounds2( -GRIP_WIDTH, viewBounds.maxY - GRIP_HEIGHT, GRIP_WIDTH, viewBounds.maxY ).dilated( 5 )
+        } )
+      ],
+
+      // pdom
+      tagName: 'div',
+      focusable: true
+    } );
+
+    // the handle goes to the edge between two bins that is nearest the pointer
+    handle.addInputListener( new DragListener( {
+      drag: function( event ) {
+        const x = self.globalToLocalPoint( event.pointer.point ).x;
+        const numberOfBins = self.model.numberOfBinsProperty.get();
+        const binEdgeIndex = Utils.roundSymmetric( numberOfBins * ( x - viewBounds.minX ) / viewBounds.width );
+        binIndexProperty.set( getBinIndex( binEdgeIndex ) );
+      }
+    } ) );
+
+    // the arrow keys move the handle to the next edge
+    handle.addInputListener( {
+      keydown: function( event ) {
+        const keyCode = event.domEvent.keyCode;
+        const binEdgeIndex = binIndexProperty.get() + ( binIndexProperty === self.maxBinIndexProperty ? 1 : 0 );
+        if ( keyCode === KeyboardUtils.KEY_LEFT_ARROW || keyCode === KeyboardUtils.KEY_DOWN_ARROW ) {
+          binIndexProperty.set( getBinIndex( binEdgeIndex - 1 ) );
+        }
+        else if ( keyCode === KeyboardUtils.KEY_RIGHT_ARROW || keyCode === KeyboardUtils.KEY_UP_ARROW ) {
+          binIndexProperty.set( getBinIndex( binEdgeIndex + 1 ) );
+        }
+      }
+    } );
+
+    return handle;
+  }
+} );
+
+export default BinRangeNode;
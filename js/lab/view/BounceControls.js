@@ -0,0 +1,120 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Controls for how the balls bounce off the pegs: when the bounces are decided, the type of board, and either the
+ * persistence of the bounces (binary board) or the probability of passing straight through a peg (trinomial board).
+ * Physics balls have the restitution and friction of their collisions with the pegs instead.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import VerticalAquaRadioButtonGroup from '../../../../sun/js/VerticalAquaRadioButtonGroup.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+const decideAtPegsString = plinkoProbabilityStrings.decideAtPegs;
+const frictionString = plinkoProbabilityStrings.friction;
+const persistenceString = plinkoProbabilityStrings.persistence;
+const restitutionString = plinkoProbabilityStrings.restitution;
+const straightProbabilityString = plinkoProbabilityStrings.straightProbability;
+const threeWayPegsString = plinkoProbabilityStrings.threeWayPegs;
+const twoWayPegsString = plinkoProbabilityStrings.twoWayPegs;
+
+// constants
+const SLIDER_TRACK_SIZE = new Dimension2( 140, 2 );
+const LABEL_OPTIONS = { font: PlinkoProbabilityConstants.PANEL_FONT, maxWidth: SLIDER_TRACK_SIZE.width };
+
+/**
+ * @param {LabModel} model
+ * @param {Object} [options]
+ * @constructor
+ */
+function BounceControls( model, options ) {
+
+  options = merge( {
+    align: 'center',
+    fill: 'white',
+    xMargin: 10,
+    yMargin: 8
+  }, options );
+
+  // the bounces of a ball are decided when it reaches each peg, see LabModel.isLazyPathProperty
+  const lazyPathCheckbox = new Checkbox( new Text( decideAtPegsString, LABEL_OPTIONS ), model.isLazyPathProperty );
+
+  const boardTypeRadioButtons = new VerticalAquaRadioButtonGroup( model.boardTypeProperty, [
+    { node: new Text( twoWayPegsString, LABEL_OPTIONS ), value: 'binary' },
+    { node: new Text( threeWayPegsString, LABEL_OPTIONS ), value: 'trinomial' }
+  ], {
+    radioButtonOptions: { radius: 8 },
+    spacing: 8,
+    touchAreaXDilation: 5
+  } );
+
+  const numberControlOptions = {
+    layoutFunction: NumberControl.createLayoutFunction3(),
+    delta: 0.01,
+    titleNodeOptions: {
+      font: PlinkoProbabilityConstants.PANEL_FONT,
+      maxWidth: SLIDER_TRACK_SIZE.width
+    },
+    numberDisplayOptions: {
+      textOptions: {
+        font: PlinkoProbabilityConstants.PANEL_READOUT_FONT
+      },
+      decimalPlaces: 2
+    },
+    sliderOptions: {
+      trackSize: SLIDER_TRACK_SIZE
+    }
+  };
+
+  const persistenceControl = new NumberControl( persistenceString, model.persistenceProperty,
+    PlinkoProbabilityConstants.PERSISTENCE_RANGE, numberControlOptions );
+
+  const straightProbabilityControl = new NumberControl( straightProbabilityString, model.straightProbabilityProperty,
+    PlinkoProbabilityConstants.STRAIGHT_PROBABILITY_RANGE, numberControlOptions );
+
+  const restitutionControl = new NumberControl( restitutionString, model.restitutionProperty,
+    PlinkoProbabilityConstants.RESTITUTION_RANGE, numberControlOptions );
+
+  const frictionControl = new NumberControl( frictionString, model.frictionProperty,
+    PlinkoProbabilityConstants.FRICTION_RANGE, numberControlOptions );
+
+  const contentNode = new VBox( {
+    align: 'left',
+    spacing: 10
+  } );
+
+  Panel.call( this, contentNode, options );
+
+  // the bounces are persistent only on a binary board, and pass straight only on a trinomial board.
+  // Physics balls fall through a binary board, and bounce according to their collisions.
+  // multilink is present for the lifetime of the sim, no need to dispose
+  Property.multilink( [ model.boardTypeProperty, model.hopperModeProperty ], function( boardType, hopperMode ) {
+    if ( hopperMode === 'physics' ) {
+      contentNode.children = [ restitutionControl, frictionControl ];
+    }
+    else {
+      contentNode.children = [
+        lazyPathCheckbox,
+        boardTypeRadioButtons,
+        ( boardType === 'trinomial' ) ? straightProbabilityControl : persistenceControl
+      ];
+    }
+  } );
+}
+
+plinkoProbability.register( 'BounceControls', BounceControls );
+
+inherit( Panel, BounceControls );
+export default BounceControls;
@@ -0,0 +1,65 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Accordion box for a group of controls at the top left of the Lab screen, with the look of the Estimation and
+ * Convergence accordion boxes. The controls are collapsed by default, so that they fit above the histogram.
+ *
+ * @author agent
+ */
+
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+// constants
+const TITLE_MAX_WIDTH = 140;
+
+/**
+ * @param {string} titleString
+ * @param {Node} contentNode - the controls, without a panel of their own
+ * @param {Property.<boolean>} expandedProperty
+ * @param {Object} [options]
+ * @constructor
+ */
+function ControlsAccordionBox( titleString, contentNode, expandedProperty, options ) {
+
+  options = merge( {
+
+    fill: PlinkoProbabilityConstants.PANEL_BACKGROUND_COLOR,
+    cornerRadius: 10,
+
+    // title
+    titleNode: new Text( titleString, {
+      font: PlinkoProbabilityConstants.PANEL_FONT,
+      maxWidth: TITLE_MAX_WIDTH
+    } ),
+    titleAlignX: 'left',
+    titleXMargin: 5,
+
+    // expand/collapse button
+    expandedProperty: expandedProperty,
+    buttonAlign: 'right',
+    buttonXMargin: 10,
+    buttonYMargin: 8,
+    expandCollapseButtonOptions: {
+      sideLength: 20,
+      touchAreaXDilation: 10,
+      touchAreaYDilation: 10
+    },
+
+    // content
+    contentXMargin: 8,
+    contentYMargin: 8
+
+  }, options );
+
+  AccordionBox.call( this, contentNode, options );
+}
+
+plinkoProbability.register( 'ControlsAccordionBox', ControlsAccordionBox );
+
+inherit( AccordionBox, ControlsAccordionBox );
+export default ControlsAccordionBox;
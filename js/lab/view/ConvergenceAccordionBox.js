@@ -0,0 +1,284 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Accordion box that plots the running sample average and standard deviation against the number of landed balls,
+ * with the theoretical values as reference lines, so that students can watch them converge (law of large numbers).
+ * The average is shown with a shaded band of +/- 2 standard deviations of the mean, 2σ/√N, around the theoretical
+ * average, where the sample average is expected to be about 95% of the time.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Shape from '../../../../kite/js/Shape.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Line from '../../../../scenery/js/nodes/Line.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+const convergenceString = plinkoProbabilityStrings.convergence;
+const muString = plinkoProbabilityStrings.mu;
+const nString = plinkoProbabilityStrings.n;
+const sigmaString = plinkoProbabilityStrings.sigma;
+const sString = plinkoProbabilityStrings.s;
+const xBarString = plinkoProbabilityStrings.xBar;
+
+// constants
+const PLOT_WIDTH = 180;
+const PLOT_HEIGHT = 70;
+const LABEL_FONT = new PhetFont( 14 );
+const TICK_FONT = new PhetFont( 12 );
+const BAND_FILL = 'rgba(0,0,255,0.15)';
+const NUMBER_OF_BAND_POINTS = 100; // points on each side of the band
+const MIN_NUMBER_OF_BALLS_RANGE = 10; // the horizontal axis shows at least this many balls
+
+/**
+ * @param {LabModel} model
+ * @param {Property.<boolean>} expandedProperty
+ * @param {Object} [options]
+ * @constructor
+ */
+function ConvergenceAccordionBox( model, expandedProperty, options ) {
+
+  options = merge( {
+
+    fill: PlinkoProbabilityConstants.PANEL_BACKGROUND_COLOR,
+    cornerRadius: 10,
+
+    // title
+    titleNode: new Text( convergenceString, {
+      font: PlinkoProbabilityConstants.PANEL_FONT,
+      maxWidth: PLOT_WIDTH
+    } ),
+    titleAlignX: 'left',
+    titleXMargin: 5,
+
+    // expand/collapse button
+    expandedProperty: expandedProperty,
+    buttonAlign: 'right',
+    buttonXMargin: 10,
+    buttonYMargin: 8,
+    expandCollapseButtonOptions: {
+      sideLength: 20,
+      touchAreaXDilation: 10,
+      touchAreaYDilation: 10
+    },
+
+    // content
+    contentXMargin: 8,
+    contentYMargin: 8
+
+  }, options );
+
+  const averagePlot = new ConvergencePlot( xBarString, muString );
+  const standardDeviationPlot = new ConvergencePlot( sString, sigmaString );
+
+  const contentNode = new VBox( {
+    align: 'left',
+    spacing: 10,
+    children: [ averagePlot, standardDeviationPlot ]
+  } );
+
+  AccordionBox.call( this, contentNode, options );
+
+  // the plots are drawn only when they are shown
+  const updatePlots = function() {
+    if ( !expandedProperty.get() ) { return; }
+    const samples = model.statisticsHistory.samples;
+    const numberOfBallsRange = getNumberOfBallsRange( samples.length ? _.last( samples ).numberOfBalls : 0 );
+    const average = model.getTheoreticalAverage();
+    const standardDeviation = model.getTheoreticalStandardDeviation();
+
+    // when the balls all land in the same bin, the plots show a range of 1 around the theoretical value
+    const range = ( standardDeviation > 0 ) ? 2 * standardDeviation : 1;
+    averagePlot.update( _.map( samples, 'numberOfBalls' ), _.map( samples, 'average' ), numberOfBallsRange,
+      average, average - range, average + range, function( numberOfBalls ) {
+        return 2 * standardDeviation / Math.sqrt( numberOfBalls );
+      } );
+    standardDeviationPlot.update( _.map( samples, 'numberOfBalls' ), _.map( samples, 'standardDeviation' ),
+      numberOfBallsRange, standardDeviation, 0, range, null );
+  };
+
+  // links and listeners are present for the lifetime of the sim, no need to dispose
+  model.statisticsHistory.historyChangedEmitter.addListener( updatePlots );
+  model.theoreticalDistributionChangedEmitter.addListener( updatePlots );
+  Property.multilink( [ model.numberOfRowsProperty, model.probabilityProperty, expandedProperty ], updatePlots );
+}
+
+plinkoProbability.register( 'ConvergenceAccordionBox', ConvergenceAccordionBox );
+
+/**
+ * Gets the number of balls at the right end of the horizontal axis, a number of the form 1, 2 or 5 times a power
+ * of 10, so that the axis doesn't change at every ball.
+ *
+ * @param {number} numberOfBalls
+ * @returns {number}
+ */
+var getNumberOfBallsRange = function( numberOfBalls ) {
+  let range = MIN_NUMBER_OF_BALLS_RANGE;
+  for ( let i = 0; range < numberOfBalls; i++ ) {
+    range *= ( i % 3 === 1 ) ? 2.5 : 2; // 10, 20, 50, 100, 200, 500...
+  }
+  return range;
+};
+
+inherit( AccordionBox, ConvergenceAccordionBox, {
+
+  // @public
+  reset: function() {
+    this.expandedProperty.reset();
+  }
+} );
+
+//----------------------------------------------------------------------------------------
+// plot of a statistic against the number of balls
+//----------------------------------------------------------------------------------------
+
+/**
+ * @param {string} sampleLabel - label of the sample statistic, which is plotted
+ * @param {string} theoreticalLabel - label of the theoretical value of the statistic, the reference line
+ * @constructor
+ */
+function ConvergencePlot( sampleLabel, theoreticalLabel ) {
+
+  const backgroundNode = new Rectangle( 0, 0, PLOT_WIDTH, PLOT_HEIGHT, {
+    fill: 'white',
+    stroke: 'gray',
+    lineWidth: 0.5
+  } );
+
+  // @private
+  this.bandPath = new Path( null, { fill: BAND_FILL } );
+  this.referenceLine = new Line( 0, 0, PLOT_WIDTH, 0, {
+    stroke: PlinkoProbabilityConstants.BINOMIAL_DISTRIBUTION_BAR_COLOR_STROKE,
+    lineWidth: 1.5,
+    lineDash: [ 4, 3 ]
+  } );
+  this.samplesPath = new Path( null, {
+    stroke: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_STROKE,
+    lineWidth: 1.5
+  } );
+  this.numberOfBallsRangeText = new Text( '', { font: TICK_FONT, top: PLOT_HEIGHT + 2 } );
+
+  const sampleLabelNode = new RichText( sampleLabel, {
+    font: LABEL_FONT,
+    fill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR,
+    left: 4,
+    top: 2
+  } );
+
+  // @private
+  this.theoreticalLabelNode = new RichText( theoreticalLabel, {
+    font: LABEL_FONT,
+    fill: PlinkoProbabilityConstants.THEORETICAL_FONT_COLOR,
+    right: PLOT_WIDTH - 4
+  } );
+
+  const numberOfBallsLabelNode = new Text( nString, {
+    font: TICK_FONT,
+    centerX: PLOT_WIDTH / 2,
+    top: PLOT_HEIGHT + 2
+  } );
+
+  Node.call( this, {
+    children: [
+      backgroundNode,
+      new Node( {
+        children: [ this.bandPath, this.referenceLine, this.samplesPath ],
+        clipArea: Shape.rect( 0, 0, PLOT_WIDTH, PLOT_HEIGHT )
+      } ),
+      sampleLabelNode,
+      this.theoreticalLabelNode,
+      new Text( 0, { font: TICK_FONT, left: 0, top: PLOT_HEIGHT + 2 } ),
+      numberOfBallsLabelNode,
+      this.numberOfBallsRangeText
+    ]
+  } );
+}
+
+plinkoProbability.register( 'ConvergencePlot', ConvergencePlot );
+
+inherit( Node, ConvergencePlot, {
+
+  /**
+   * Redraws the plot.
+   *
+   * @param {number[]} numberOfBallsValues - number of balls of each sample
+   * @param {number[]} values - value of the statistic at each sample
+   * @param {number} numberOfBallsRange - number of balls at the right end of the plot
+   * @param {number} reference - theoretical value of the statistic
+   * @param {number} minValue - value at the bottom of the plot
+   * @param {number} maxValue - value at the top of the plot
+   * @param {function(number):number|null} getBandHalfWidth - half width of the band around the reference, as a
+   *   function of the number of balls, null if there is no band
+   * @public
+   */
+  update: function( numberOfBallsValues, values, numberOfBallsRange, reference, minValue, maxValue,
+                    getBandHalfWidth ) {
+
+    const toX = function( numberOfBalls ) {
+      return PLOT_WIDTH * numberOfBalls / numberOfBallsRange;
+    };
+    const toY = function( value ) {
+      return PLOT_HEIGHT * ( maxValue - value ) / ( maxValue - minValue );
+    };
+
+    // the band, sampled at numbers of balls that are evenly spaced on a log scale, since it narrows quickly at first
+    if ( getBandHalfWidth ) {
+      const bandNumbersOfBalls = _.times( NUMBER_OF_BAND_POINTS + 1, function( i ) {
+        return Math.pow( numberOfBallsRange, i / NUMBER_OF_BAND_POINTS );
+      } );
+      const bandShape = new Shape();
+      bandNumbersOfBalls.forEach( function( numberOfBalls, i ) {
+        const y = toY( reference + getBandHalfWidth( numberOfBalls ) );
+        if ( i === 0 ) {
+          bandShape.moveTo( toX( numberOfBalls ), y );
+        }
+        else {
+          bandShape.lineTo( toX( numberOfBalls ), y );
+        }
+      } );
+      bandNumbersOfBalls.reverse().forEach( function( numberOfBalls ) {
+        bandShape.lineTo( toX( numberOfBalls ), toY( reference - getBandHalfWidth( numberOfBalls ) ) );
+      } );
+      this.bandPath.shape = bandShape.close();
+    }
+
+    const referenceY = toY( reference );
+    this.referenceLine.setLine( 0, referenceY, PLOT_WIDTH, referenceY );
+
+    // the label of the reference line is on the side of the line with more room
+    if ( referenceY > PLOT_HEIGHT / 2 ) {
+      this.theoreticalLabelNode.bottom = referenceY - 2;
+    }
+    else {
+      this.theoreticalLabelNode.top = referenceY + 2;
+    }
+
+    const samplesShape = new Shape();
+    values.forEach( function( value, i ) {
+      if ( i === 0 ) {
+        samplesShape.moveTo( toX( numberOfBallsValues[ i ] ), toY( value ) );
+      }
+      else {
+        samplesShape.lineTo( toX( numberOfBallsValues[ i ] ), toY( value ) );
+      }
+    } );
+    this.samplesPath.shape = samplesShape;
+
+    this.numberOfBallsRangeText.text = numberOfBallsRange;
+    this.numberOfBallsRangeText.right = PLOT_WIDTH;
+  }
+} );
+
+export default ConvergenceAccordionBox;
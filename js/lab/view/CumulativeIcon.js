@@ -0,0 +1,49 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A Scenery node that depicts a cumulative distribution, as a step plot above a horizontal axis.
+ * It is the icon of the 'cumulative' histogram mode.
+ *
+ * @author agent
+ */
+
+import Shape from '../../../../kite/js/Shape.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Line from '../../../../scenery/js/nodes/Line.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+/**
+ * @param {Object} [options]
+ * @constructor
+ */
+function CumulativeIcon( options ) {
+
+  options = merge( {
+    stepHeights: [ 0.05, 0.2, 0.5, 0.8, 0.95, 1 ], // cumulative fractions, as in the steps of the plot
+    stepWidth: 6,
+    maxHeight: 28,
+    stroke: 'rgb(46,49,146)', // same as the text of the fraction icon
+    lineWidth: 2.5
+  }, options );
+
+  const shape = new Shape().moveTo( 0, 0 );
+  options.stepHeights.forEach( function( stepHeight, i ) {
+    shape.lineTo( i * options.stepWidth, -stepHeight * options.maxHeight )
+      .lineTo( ( i + 1 ) * options.stepWidth, -stepHeight * options.maxHeight );
+  } );
+
+  Node.call( this, {
+    children: [
+      new Line( 0, 0, options.stepHeights.length * options.stepWidth, 0, { stroke: 'black', lineWidth: 1 } ),
+      new Path( shape, { stroke: options.stroke, lineWidth: options.lineWidth, lineJoin: 'round' } )
+    ]
+  } );
+}
+
+plinkoProbability.register( 'CumulativeIcon', CumulativeIcon );
+
+inherit( Node, CumulativeIcon );
+export default CumulativeIcon;
@@ -0,0 +1,277 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Accordion box that estimates the binary probability p from the landed balls, by Bayesian inference. It plots the
+ * Beta posterior of p for a Beta prior chosen by the user, with its mean and its 95% credible interval, see
+ * LabModel.getPosterior. The true value of p can be revealed, to compare it with the estimate. When the bins are not
+ * numbers of right bounces, e.g. on a trinomial board, a warning replaces the posterior.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Line from '../../../../scenery/js/nodes/Line.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import ProbabilityUtils from '../../common/model/ProbabilityUtils.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import EquationNode from '../../common/view/EquationNode.js';
+import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+const credibleIntervalString = plinkoProbabilityStrings.credibleInterval;
+const estimationString = plinkoProbabilityStrings.estimation;
+const estimationUnavailableString = plinkoProbabilityStrings.estimationUnavailable;
+const posteriorMeanString = plinkoProbabilityStrings.posteriorMean;
+const priorAlphaString = plinkoProbabilityStrings.priorAlpha;
+const priorBetaString = plinkoProbabilityStrings.priorBeta;
+const showProbabilityString = plinkoProbabilityStrings.showProbability;
+
+// constants
+const PLOT_WIDTH = 180;
+const PLOT_HEIGHT = 70;
+const TICK_FONT = new PhetFont( 12 );
+const INTERVAL_FILL = 'rgba(255,0,0,0.15)';
+const NUMBER_OF_CURVE_SEGMENTS = 100;
+const DECIMAL_PLACES = 3;
+const MIN_PLOT_HALF_RANGE = 0.05; // the plot spans at least this much on each side of the posterior mean
+const PLOT_STANDARD_DEVIATIONS = 5; // and at least this many standard deviations of the posterior
+const SLIDER_TRACK_SIZE = new Dimension2( 140, 2 );
+
+/**
+ * @param {LabModel} model
+ * @param {Property.<boolean>} expandedProperty
+ * @param {Property.<boolean>} isProbabilityRevealedProperty - is the true probability shown?
+ * @param {Object} [options]
+ * @constructor
+ */
+function EstimationAccordionBox( model, expandedProperty, isProbabilityRevealedProperty, options ) {
+
+  options = merge( {
+
+    fill: PlinkoProbabilityConstants.PANEL_BACKGROUND_COLOR,
+    cornerRadius: 10,
+
+    // title
+    titleNode: new Text( estimationString, {
+      font: PlinkoProbabilityConstants.PANEL_FONT,
+      maxWidth: PLOT_WIDTH
+    } ),
+    titleAlignX: 'left',
+    titleXMargin: 5,
+
+    // expand/collapse button
+    expandedProperty: expandedProperty,
+    buttonAlign: 'right',
+    buttonXMargin: 10,
+    buttonYMargin: 8,
+    expandCollapseButtonOptions: {
+      sideLength: 20,
+      touchAreaXDilation: 10,
+      touchAreaYDilation: 10
+    },
+
+    // content
+    contentXMargin: 8,
+    contentYMargin: 8
+
+  }, options );
+
+  const backgroundNode = new Rectangle( 0, 0, PLOT_WIDTH, PLOT_HEIGHT, {
+    fill: 'white',
+    stroke: 'gray',
+    lineWidth: 0.5
+  } );
+
+  // the credible interval is shaded under the curve of the posterior
+  const intervalPath = new Path( null, { fill: INTERVAL_FILL } );
+  const posteriorPath = new Path( null, {
+    stroke: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_STROKE,
+    lineWidth: 1.5
+  } );
+  const meanLine = new Line( 0, 0, 0, PLOT_HEIGHT, {
+    stroke: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_STROKE,
+    lineWidth: 1.5
+  } );
+  const probabilityLine = new Line( 0, 0, 0, PLOT_HEIGHT, {
+    stroke: PlinkoProbabilityConstants.BINOMIAL_DISTRIBUTION_BAR_COLOR_STROKE,
+    lineWidth: 1.5,
+    lineDash: [ 4, 3 ]
+  } );
+  const minProbabilityText = new Text( '', { font: TICK_FONT, left: 0, top: PLOT_HEIGHT + 2 } );
+  const maxProbabilityText = new Text( '', { font: TICK_FONT, top: PLOT_HEIGHT + 2 } );
+
+  const plotNode = new Node( {
+    children: [
+      backgroundNode,
+      new Node( {
+        children: [ intervalPath, posteriorPath, meanLine, probabilityLine ],
+        clipArea: Shape.rect( 0, 0, PLOT_WIDTH, PLOT_HEIGHT )
+      } ),
+      minProbabilityText,
+      maxProbabilityText
+    ]
+  } );
+
+  const posteriorMeanText = new EquationNode( posteriorMeanString, 0, {
+    leftHandSideFont: PlinkoProbabilityConstants.TEXT_FONT,
+    leftHandSideFill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR,
+    rightHandSideFont: PlinkoProbabilityConstants.TEXT_FONT,
+    rightHandSideFill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR
+  } );
+  const credibleIntervalText = new Text( '', {
+    font: PlinkoProbabilityConstants.TEXT_FONT,
+    fill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR,
+    maxWidth: PLOT_WIDTH
+  } );
+
+  const numberControlOptions = {
+    layoutFunction: NumberControl.createLayoutFunction3(),
+    delta: 0.5,
+    titleNodeOptions: {
+      font: PlinkoProbabilityConstants.PANEL_FONT,
+      maxWidth: SLIDER_TRACK_SIZE.width
+    },
+    numberDisplayOptions: {
+      textOptions: {
+        font: PlinkoProbabilityConstants.PANEL_READOUT_FONT
+      },
+      decimalPlaces: 1
+    },
+    sliderOptions: {
+      trackSize: SLIDER_TRACK_SIZE
+    }
+  };
+  const priorAlphaControl = new NumberControl( priorAlphaString, model.priorAlphaProperty,
+    PlinkoProbabilityConstants.PRIOR_PARAMETER_RANGE, numberControlOptions );
+  const priorBetaControl = new NumberControl( priorBetaString, model.priorBetaProperty,
+    PlinkoProbabilityConstants.PRIOR_PARAMETER_RANGE, numberControlOptions );
+
+  // shown instead of the posterior, which is then meaningless
+  const unavailableText = new RichText( estimationUnavailableString, {
+    font: PlinkoProbabilityConstants.PANEL_FONT,
+    fill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR,
+    maxWidth: PLOT_WIDTH
+  } );
+
+  const showProbabilityCheckbox = new Checkbox( new Text( showProbabilityString, {
+    font: PlinkoProbabilityConstants.PANEL_FONT,
+    fill: PlinkoProbabilityConstants.THEORETICAL_FONT_COLOR,
+    maxWidth: PLOT_WIDTH
+  } ), isProbabilityRevealedProperty );
+
+  const contentNode = new VBox( {
+    align: 'left',
+    spacing: 10,
+    children: [ plotNode, unavailableText, posteriorMeanText, credibleIntervalText, priorAlphaControl,
+      priorBetaControl, showProbabilityCheckbox ]
+  } );
+
+  AccordionBox.call( this, contentNode, options );
+
+  // the plot is drawn only when it is shown
+  const updatePlot = function() {
+    if ( !expandedProperty.get() ) { return; }
+    const posterior = model.getPosterior();
+
+    // there is no estimate when the bins are not numbers of right bounces, see LabModel.getBounceCounts
+    plotNode.visible = !!posterior;
+    unavailableText.visible = !posterior;
+    posteriorMeanText.setRightHandSideOfEquation( posterior && posterior.mean );
+    credibleIntervalText.text = posterior ? StringUtils.fillIn( credibleIntervalString, {
+      lowerBound: Utils.toFixed( posterior.lowerBound, DECIMAL_PLACES ),
+      upperBound: Utils.toFixed( posterior.upperBound, DECIMAL_PLACES )
+    } ) : '';
+    if ( !posterior ) { return; }
+
+    // the plot zooms in on the posterior as it narrows, within the range of the probabilities
+    const alpha = posterior.alpha;
+    const beta = posterior.beta;
+    const standardDeviation = Math.sqrt( alpha * beta / ( ( alpha + beta ) * ( alpha + beta ) * ( alpha + beta + 1 ) ) );
+    const halfRange = Math.min( 0.5, Math.max( MIN_PLOT_HALF_RANGE, PLOT_STANDARD_DEVIATIONS * standardDeviation ) );
+    const minProbability = Utils.clamp( posterior.mean - halfRange, 0, 1 - 2 * halfRange );
+    const maxProbability = minProbability + 2 * halfRange;
+    const toX = function( probability ) {
+      return PLOT_WIDTH * ( probability - minProbability ) / ( maxProbability - minProbability );
+    };
+
+    // the density is sampled at the middle of the segments, since it may be infinite at 0 and 1
+    const samples = _.times( NUMBER_OF_CURVE_SEGMENTS, function( i ) {
+      const probability = minProbability + ( maxProbability - minProbability ) * ( i + 0.5 ) / NUMBER_OF_CURVE_SEGMENTS;
+      return {
+        probability: probability,
+        density: ProbabilityUtils.getBetaProbabilityDensity( probability, alpha, beta )
+      };
+    } );
+    const maxDensity = _.max( _.map( samples, 'density' ) );
+    const toY = function( density ) {
+      return PLOT_HEIGHT * ( 1 - 0.9 * density / maxDensity );
+    };
+
+    const posteriorShape = new Shape();
+    const intervalShape = new Shape();
+    samples.forEach( function( sample, i ) {
+      const x = toX( sample.probability );
+      const y = toY( sample.density );
+      if ( i === 0 ) {
+        posteriorShape.moveTo( x, y );
+      }
+      else {
+        posteriorShape.lineTo( x, y );
+      }
+      if ( sample.probability >= posterior.lowerBound && sample.probability <= posterior.upperBound ) {
+        intervalShape.rect( x - PLOT_WIDTH / NUMBER_OF_CURVE_SEGMENTS / 2, y, PLOT_WIDTH / NUMBER_OF_CURVE_SEGMENTS,
+          PLOT_HEIGHT - y );
+      }
+    } );
+    posteriorPath.shape = posteriorShape;
+    intervalPath.shape = intervalShape;
+
+    meanLine.setLine( toX( posterior.mean ), 0, toX( posterior.mean ), PLOT_HEIGHT );
+    const probabilityX = toX( model.probabilityProperty.get() );
+    probabilityLine.setLine( probabilityX, 0, probabilityX, PLOT_HEIGHT );
+
+    minProbabilityText.text = Utils.toFixed( minProbability, 2 );
+    maxProbabilityText.text = Utils.toFixed( maxProbability, 2 );
+    maxProbabilityText.right = PLOT_WIDTH;
+  };
+
+  // links and listeners are present for the lifetime of the sim, no need to dispose
+  model.histogram.histogramUpdatedEmitter.addListener( updatePlot );
+  model.theoreticalDistributionChangedEmitter.addListener( updatePlot );
+  Property.multilink( [ model.numberOfRowsProperty, model.boardTypeProperty, model.probabilityProperty,
+    model.priorAlphaProperty, model.priorBetaProperty, expandedProperty ], updatePlot );
+
+  // a hidden probability is not shown before the estimate of the students is submitted, see MysteryPanel
+  Property.multilink( [ isProbabilityRevealedProperty, model.isProbabilityHiddenProperty ],
+    function( isProbabilityRevealed, isProbabilityHidden ) {
+      probabilityLine.visible = isProbabilityRevealed && !isProbabilityHidden;
+      showProbabilityCheckbox.visible = !isProbabilityHidden;
+    } );
+}
+
+plinkoProbability.register( 'EstimationAccordionBox', EstimationAccordionBox );
+
+inherit( AccordionBox, EstimationAccordionBox, {
+
+  // @public
+  reset: function() {
+    this.expandedProperty.reset();
+  }
+} );
+
+export default EstimationAccordionBox;
@@ -1,7 +1,7 @@
 // Copyright 2015-2020, University of Colorado Boulder
 
 /**
- * Scenery Node that displays three Radio Buttons that control the flow of Balls
+ * Scenery Node that displays four Radio Buttons that control the flow of Balls
  *
  * @author Martin Veillette (Berea College)
  */
@@ -18,6 +18,7 @@ import plinkoProbability from '../../plinkoProbability.js';
 const ballString = plinkoProbabilityStrings.ball;
 const noneString = plinkoProbabilityStrings.none;
 const pathString = plinkoProbabilityStrings.path;
+const physicsString = plinkoProbabilityStrings.physics;
 
 // constants
 const LABEL_OPTIONS = { font: new PhetFont( 20 ), maxWidth: 175 };
@@ -41,7 +42,8 @@ function HopperModeControl( hopperModeProperty, options ) {
   const showRadioButtons = new VerticalAquaRadioButtonGroup( hopperModeProperty, [
     { node: new Text( ballString, LABEL_OPTIONS ), value: 'ball' },
     { node: new Text( pathString, LABEL_OPTIONS ), value: 'path' },
-    { node: new Text( noneString, LABEL_OPTIONS ), value: 'none' }
+    { node: new Text( noneString, LABEL_OPTIONS ), value: 'none' },
+    { node: new Text( physicsString, LABEL_OPTIONS ), value: 'physics' }
   ], options );
 
   this.addChild( showRadioButtons );
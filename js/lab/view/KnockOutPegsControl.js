@@ -0,0 +1,75 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Control for knocking pegs out of the Galton board. While the checkbox is checked, clicking a peg knocks it out,
+ * or puts it back, see PegsNode. The button puts all the knocked out pegs back.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+const knockOutPegsString = plinkoProbabilityStrings.knockOutPegs;
+const restorePegsString = plinkoProbabilityStrings.restorePegs;
+
+/**
+ * @param {LabModel} model
+ * @param {Property.<boolean>} isKnockingOutPegsProperty - see PlinkoProbabilityViewProperties
+ * @param {Object} [options]
+ * @constructor
+ */
+function KnockOutPegsControl( model, isKnockingOutPegsProperty, options ) {
+
+  options = merge( {
+    align: 'center',
+    fill: 'white',
+    xMargin: 10,
+    yMargin: 8
+  }, options );
+
+  const knockOutPegsCheckbox = new Checkbox( new Text( knockOutPegsString, {
+    font: PlinkoProbabilityConstants.PANEL_FONT,
+    maxWidth: 140
+  } ), isKnockingOutPegsProperty );
+
+  const restorePegsButton = new TextPushButton( restorePegsString, {
+    font: PlinkoProbabilityConstants.PANEL_FONT,
+    maxTextWidth: 140,
+    baseColor: PlinkoProbabilityConstants.PANEL_BACKGROUND_COLOR,
+    listener: function() {
+      model.galtonBoard.restorePegs();
+    }
+  } );
+
+  const contentNode = new VBox( {
+    align: 'left',
+    spacing: 10,
+    children: [ knockOutPegsCheckbox, restorePegsButton ]
+  } );
+
+  Panel.call( this, contentNode, options );
+
+  // the button is enabled only when there are pegs to put back on the current board
+  const updateRestorePegsButton = function() {
+    restorePegsButton.enabled = model.galtonBoard.hasKnockedOutPegs();
+  };
+
+  // links and listeners are present for the lifetime of the sim, no need to dispose
+  Property.multilink( [ model.numberOfRowsProperty, model.boardTypeProperty ], updateRestorePegsButton );
+  model.galtonBoard.knockedOutPegsChangedEmitter.addListener( updateRestorePegsButton );
+}
+
+plinkoProbability.register( 'KnockOutPegsControl', KnockOutPegsControl );
+
+inherit( Panel, KnockOutPegsControl );
+export default KnockOutPegsControl;
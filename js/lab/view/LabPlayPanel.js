@@ -2,27 +2,37 @@
 
 /**
  * Scenery Node that represents a Panel with a Play/Pause and two radio buttons .
+ * Below them, a button drops many balls all at once, see LabModel.dropBallsNow.
  *
  * @author Martin Veillette (Berea College)
  */
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Range from '../../../../dot/js/Range.js';
 import inherit from '../../../../phet-core/js/inherit.js';
 import merge from '../../../../phet-core/js/merge.js';
 import Circle from '../../../../scenery/js/nodes/Circle.js';
 import HBox from '../../../../scenery/js/nodes/HBox.js';
 import HStrut from '../../../../scenery/js/nodes/HStrut.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
 import BooleanToggleNode from '../../../../sun/js/BooleanToggleNode.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import NumberSpinner from '../../../../sun/js/NumberSpinner.js';
 import Panel from '../../../../sun/js/Panel.js';
 import VerticalAquaRadioButtonGroup from '../../../../sun/js/VerticalAquaRadioButtonGroup.js';
 import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
 import BallNode from '../../common/view/BallNode.js';
 import PauseButton from '../../common/view/PauseButton.js';
 import PlayButton from '../../common/view/PlayButton.js';
+import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
 import plinkoProbability from '../../plinkoProbability.js';
 
+const dropNowString = plinkoProbabilityStrings.dropNow;
+
 // constants
 const BALL_RADIUS = PlinkoProbabilityConstants.BALL_RADIUS;
+const DROP_NOW_RANGE = PlinkoProbabilityConstants.DROP_NOW_RANGE;
 
 /**
  * @param {LabModel} model
@@ -131,11 +141,58 @@ function LabPlayPanel( model, options ) {
     ]
   } );
 
-  Panel.call( this, startVBox, options );
+  // the number of balls dropped all at once is a power of 10
+  const numberOfBallsToDropSpinner = new NumberSpinner( model.numberOfBallsToDropProperty,
+    new Property( new Range( DROP_NOW_RANGE.min, DROP_NOW_RANGE.max ) ), {
+      incrementFunction: function( value ) { return value * 10; },
+      decrementFunction: function( value ) { return value / 10; },
+      arrowsPosition: 'leftRight',
+      numberDisplayOptions: {
+        textOptions: {
+          font: PlinkoProbabilityConstants.PANEL_READOUT_FONT
+        }
+      }
+    } );
+
+  const dropNowButton = new TextPushButton( dropNowString, {
+    font: PlinkoProbabilityConstants.PANEL_FONT,
+    maxTextWidth: 80,
+    baseColor: PlinkoProbabilityConstants.PANEL_BACKGROUND_COLOR,
+    listener: function() {
+      model.dropBallsNow();
+    }
+  } );
+
+  const contentNode = new VBox( {
+    spacing: 10,
+    children: [
+      startVBox,
+      new HBox( {
+        spacing: 8,
+        children: [ numberOfBallsToDropSpinner, dropNowButton ]
+      } )
+    ]
+  } );
+
+  Panel.call( this, contentNode, options );
 
-  // Disables play button if maximum amount of balls are dropped
-  model.isBallCapReachedProperty.lazyLink( function( isBallCapReached ) {
-    playButton.enabled = !isBallCapReached;
+  // physics balls are dropped one by one, no balls are dropped while replaying, and none are dropped when a bin is
+  // full of balls dropped all at once, see LabModel.dropBallsNow
+  Property.multilink( [ model.hopperModeProperty, model.isReplayingProperty, model.isDropNowCapReachedProperty ],
+    function( hopperMode, isReplaying, isDropNowCapReached ) {
+      dropNowButton.enabled = ( hopperMode !== 'physics' ) && !isReplaying && !isDropNowCapReached;
+    } );
+
+  // Disables play button if maximum amount of balls are dropped, or while replaying
+  Property.multilink( [ model.isBallCapReachedProperty, model.isReplayingProperty ], function( isBallCapReached, isReplaying ) {
+    playButton.enabled = !isBallCapReached && !isReplaying;
+  } );
+
+  // the model stops dispensing balls when a replay starts
+  model.isReplayingProperty.link( function( isReplaying ) {
+    if ( isReplaying ) {
+      self.playButtonVisibleProperty.set( true );
+    }
   } );
 }
 
@@ -11,6 +11,9 @@
 
 import inherit from '../../../../phet-core/js/inherit.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
 import counterImage from '../../../images/counter_png.js';
 import fractionImage from '../../../images/fraction_png.js';
 import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
@@ -18,17 +21,39 @@ import PlinkoProbabilityQueryParameters from '../../common/PlinkoProbabilityQuer
 import HistogramModeControl from '../../common/view/HistogramModeControl.js';
 import PegsNode from '../../common/view/PegsNode.js';
 import PlinkoProbabilityCommonView from '../../common/view/PlinkoProbabilityCommonView.js';
+import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
 import plinkoProbability from '../../plinkoProbability.js';
+import BinRangeNode from './BinRangeNode.js';
+import BounceControls from './BounceControls.js';
+import ControlsAccordionBox from './ControlsAccordionBox.js';
+import ConvergenceAccordionBox from './ConvergenceAccordionBox.js';
+import CumulativeIcon from './CumulativeIcon.js';
+import EstimationAccordionBox from './EstimationAccordionBox.js';
 import HopperModeControl from './HopperModeControl.js';
+import KnockOutPegsControl from './KnockOutPegsControl.js';
 import LabPlayPanel from './LabPlayPanel.js';
+import MysteryPanel from './MysteryPanel.js';
 import OutOfBallsDialog from './OutOfBallsDialog.js';
 import PegControls from './PegControls.js';
+import PegProbabilityControl from './PegProbabilityControl.js';
+import ResidualsIcon from './ResidualsIcon.js';
+import SpeciesControl from './SpeciesControl.js';
 import StatisticsAccordionBox from './StatisticsAccordionBox.js';
 import TrajectoryPath from './TrajectoryPath.js';
 
+const ballSpeciesString = plinkoProbabilityStrings.ballSpecies;
+const binRangeString = plinkoProbabilityStrings.binRange;
+const boardString = plinkoProbabilityStrings.board;
+const logScaleString = plinkoProbabilityStrings.logScale;
+const mysteryProbabilityString = plinkoProbabilityStrings.mysteryProbability;
+
 // constants
 const PANEL_FIXED_WIDTH = 220; // determined empirically
 
+// options of the panels of controls that are in an accordion box, which draws the background instead
+const NESTED_PANEL_OPTIONS = { fill: null, stroke: null, xMargin: 0, yMargin: 0 };
+const DISABLED_OPACITY = 0.5; // opacity of the histogram mode radio buttons while they are locked
+
 /**
  * @param {LabModel} model
  * @constructor
@@ -43,24 +68,110 @@ function LabScreenView( model ) {
 
   // pegs on the Galton board
   const pegsNode = new PegsNode( model.galtonBoard, model.numberOfRowsProperty, model.probabilityProperty, this.modelViewTransform, {
+    rowProbabilitiesProperty: model.rowProbabilitiesProperty,
+    selectable: true,
+    isKnockingOutPegsProperty: this.viewProperties.isKnockingOutPegsProperty,
+    isProbabilityHiddenProperty: model.isProbabilityHiddenProperty,
     canvasBounds: this.viewTriangularBoardBounds
   } );
 
+  // Controls at top left, below the replay control, in accordion boxes: the board (the bounces of the balls, knocking
+  // out pegs, and the probability of the selected peg), the species of balls, the mystery probability mode, the
+  // estimation of the probability, and the convergence of the statistics.
+  const viewProperties = this.viewProperties;
+  const pegProbabilityControl = new PegProbabilityControl( model, pegsNode.selectedPegProperty, NESTED_PANEL_OPTIONS );
+  const boardControlsNode = new VBox( {
+    align: 'left',
+    spacing: PlinkoProbabilityConstants.PANEL_VERTICAL_SPACING,
+    children: [
+      new BounceControls( model, NESTED_PANEL_OPTIONS ),
+      new KnockOutPegsControl( model, viewProperties.isKnockingOutPegsProperty, NESTED_PANEL_OPTIONS ),
+      pegProbabilityControl
+    ]
+  } );
+  const convergenceAccordionBox = new ConvergenceAccordionBox( model, viewProperties.expandedConvergenceBoxProperty );
+  this.topLeftControlsBox.addChild( new ControlsAccordionBox( boardString, boardControlsNode,
+    viewProperties.expandedBoardBoxProperty ) );
+  this.topLeftControlsBox.addChild( new ControlsAccordionBox( ballSpeciesString,
+    new SpeciesControl( model, NESTED_PANEL_OPTIONS ), viewProperties.expandedSpeciesBoxProperty ) );
+  this.topLeftControlsBox.addChild( new ControlsAccordionBox( mysteryProbabilityString,
+    new MysteryPanel( model, NESTED_PANEL_OPTIONS ), viewProperties.expandedMysteryBoxProperty ) );
+  this.topLeftControlsBox.addChild( new EstimationAccordionBox( model,
+    viewProperties.expandedEstimationBoxProperty, viewProperties.isProbabilityRevealedProperty ) );
+  this.topLeftControlsBox.addChild( convergenceAccordionBox );
+
+  // At most one of the accordion boxes at top left is expanded, so that they fit above the histogram controls.
+  // links are present for the lifetime of the sim, no need to dispose
+  const expandedProperties = [ viewProperties.expandedBoardBoxProperty, viewProperties.expandedSpeciesBoxProperty,
+    viewProperties.expandedMysteryBoxProperty, viewProperties.expandedEstimationBoxProperty,
+    viewProperties.expandedConvergenceBoxProperty ];
+  expandedProperties.forEach( function( expandedProperty ) {
+    expandedProperty.link( function( expanded ) {
+      if ( expanded ) {
+        _.without( expandedProperties, expandedProperty ).forEach( function( otherExpandedProperty ) {
+          otherExpandedProperty.set( false );
+        } );
+      }
+    } );
+  } );
+
+  // selecting a peg shows its probability, in the board controls
+  pegsNode.selectedPegProperty.lazyLink( function( selectedPeg ) {
+    if ( selectedPeg ) {
+      viewProperties.expandedBoardBoxProperty.set( true );
+    }
+  } );
+
   // radio buttons to right of the hopper
   const hopperModeControl = new HopperModeControl( model.hopperModeProperty, {
     left: this.hopper.right + 47,
     top: this.hopper.top
   } );
 
-  // radio buttons that can toggle between 'fraction and 'counter' mode
-  const histogramModeControl = new HistogramModeControl( this.viewProperties.histogramModeProperty, 'counter', counterImage, 'fraction', fractionImage, {
+  // range of bins of the histogram, with its probabilities, above the eraser button
+  const binRangeNode = new BinRangeNode( model, this.modelViewTransform );
+  const binRangeCheckbox = new Checkbox( new Text( binRangeString, {
+    font: PlinkoProbabilityConstants.CHECKBOX_TEXT_FONT,
+    maxWidth: 100
+  } ), this.viewProperties.isBinRangeVisibleProperty, {
     bottom: this.eraserButton.top - 16,
     left: this.eraserButton.left
   } );
 
+  // link is present for the lifetime of the sim, no need to dispose
+  this.viewProperties.isBinRangeVisibleProperty.link( function( isBinRangeVisible ) {
+    binRangeNode.visible = isBinRangeVisible;
+  } );
+
+  // logarithmic scale of the bars of the histogram, below the histogram mode radio buttons
+  const logScaleCheckbox = new Checkbox( new Text( logScaleString, {
+    font: PlinkoProbabilityConstants.CHECKBOX_TEXT_FONT,
+    maxWidth: 100
+  } ), this.viewProperties.isLogScaleProperty, {
+    bottom: binRangeCheckbox.top - 8,
+    left: this.eraserButton.left
+  } );
+
+  // radio buttons that can toggle between 'counter', 'fraction', 'cumulative' and 'residuals' mode
+  const histogramModeControl = new HistogramModeControl( this.viewProperties.histogramModeProperty, [
+    { value: 'counter', icon: counterImage },
+    { value: 'fraction', icon: fractionImage },
+    { value: 'cumulative', icon: new CumulativeIcon() },
+    { value: 'residuals', icon: new ResidualsIcon() }
+  ], {
+    bottom: logScaleCheckbox.top - 10,
+    left: this.eraserButton.left
+  } );
+
+  // the logarithmic scale applies to the bars, which are drawn only in count and fraction modes
+  // link is present for the lifetime of the sim, no need to dispose
+  this.viewProperties.histogramModeProperty.link( function( histogramMode ) {
+    logScaleCheckbox.enabled = ( histogramMode === 'counter' || histogramMode === 'fraction' );
+  } );
+
   // we call pre populate here because the histogram would be created by now
   if ( PlinkoProbabilityQueryParameters.histogramBallsLab > 0 ) {
-    model.histogram.prepopulate( PlinkoProbabilityQueryParameters.histogramBallsLab );
+    model.histogram.prepopulate( PlinkoProbabilityQueryParameters.histogramBallsLab, model.random );
   }
 
   // Play panel, at top right
@@ -73,6 +184,7 @@ function LabScreenView( model ) {
 
   // controls that modify the pegs in the galton board, below the Play panel
   const pegControls = new PegControls( model.numberOfRowsProperty, model.probabilityProperty, {
+    isProbabilityHiddenProperty: model.isProbabilityHiddenProperty,
     minWidth: PANEL_FIXED_WIDTH,
     maxWidth: PANEL_FIXED_WIDTH,
     top: playPanel.bottom + PlinkoProbabilityConstants.PANEL_VERTICAL_SPACING,
@@ -82,6 +194,9 @@ function LabScreenView( model ) {
   // statistics panel, below peg controls
   const statisticsAccordionBox = new StatisticsAccordionBox( model,
     this.viewProperties.isTheoreticalHistogramVisibleProperty,
+    this.viewProperties.isNormalCurveVisibleProperty,
+    this.viewProperties.isPoissonVisibleProperty,
+    this.viewProperties.isDescriptiveStatisticsExpandedProperty,
     this.viewProperties.expandedAccordionBoxProperty, {
       minWidth: PANEL_FIXED_WIDTH,
       maxWidth: PANEL_FIXED_WIDTH,
@@ -89,23 +204,54 @@ function LabScreenView( model ) {
       right: playPanel.right
     } );
 
+  // The controls at top left are scaled down if they are ever too tall for the space above the histogram controls,
+  // e.g. while replaying, with the most species, or with the result of a mystery estimate.
+  this.topLeftControlsBox.maxHeight = histogramModeControl.top - PlinkoProbabilityConstants.PANEL_VERTICAL_SPACING -
+                                      this.topLeftControlsBox.top;
+
+  // While the probability is hidden, everything that would give it away is hidden: the ideal distribution and its
+  // approximations, the histogram modes that compare the balls with it, the convergence plots, and the probability
+  // of the selected peg, see LabModel.isProbabilityHiddenProperty.
+  // link is present for the lifetime of the sim, no need to dispose
+  model.isProbabilityHiddenProperty.link( function( isProbabilityHidden ) {
+    if ( isProbabilityHidden ) {
+      self.viewProperties.isTheoreticalHistogramVisibleProperty.set( false );
+      self.viewProperties.isNormalCurveVisibleProperty.set( false );
+      self.viewProperties.isPoissonVisibleProperty.set( false );
+      self.viewProperties.isProbabilityRevealedProperty.set( false );
+      const histogramMode = self.viewProperties.histogramModeProperty.get();
+      if ( histogramMode === 'cumulative' || histogramMode === 'residuals' ) {
+        self.viewProperties.histogramModeProperty.set( 'counter' );
+      }
+    }
+    histogramModeControl.pickable = !isProbabilityHidden;
+    histogramModeControl.opacity = isProbabilityHidden ? DISABLED_OPACITY : 1;
+    convergenceAccordionBox.visible = !isProbabilityHidden;
+    pegProbabilityControl.visible = !isProbabilityHidden;
+    self.binInspectorNode.update();
+  } );
+
   // create pathsLayer to keep all the TrajectoryPath
   const pathsLayer = new Node( { layerSplit: true } );
 
   // rendering order
   this.addChild( histogramModeControl );
+  this.addChild( logScaleCheckbox );
+  this.addChild( binRangeCheckbox );
   this.addChild( hopperModeControl );
   this.addChild( playPanel );
   this.addChild( pegControls );
   this.addChild( statisticsAccordionBox );
   this.addChild( pegsNode );
   this.addChild( pathsLayer );
+  this.addChild( binRangeNode );
 
   // handle the coming and going of the balls in the model.
   model.balls.addItemAddedListener( function( addedBall ) {
     switch( model.hopperModeProperty.get() ) {
 
       case 'ball':
+      case 'physics':
         // initiates sound to play when ball hits a peg
         var ballHittingPegListener = function( direction ) {
           self.pegSoundGeneration.playBallHittingPegSound( direction );
@@ -162,10 +308,26 @@ function LabScreenView( model ) {
   } );
 
   // pdom
-  this.pdomPlayAreaNode.accessibleOrder = [ playPanel, pegControls, statisticsAccordionBox, hopperModeControl, histogramModeControl, this.eraserButton ];
+  this.pdomPlayAreaNode.accessibleOrder = [ playPanel, pegControls, statisticsAccordionBox, hopperModeControl,
+    pegsNode, this.topLeftControlsBox, this.binInspectorNode, binRangeNode,
+    histogramModeControl, logScaleCheckbox, binRangeCheckbox, this.eraserButton, this.seedControl ];
+
+  // @private
+  this.binRangeNode = binRangeNode;
 }
 
 plinkoProbability.register( 'LabScreenView', LabScreenView );
 
-inherit( PlinkoProbabilityCommonView, LabScreenView );
+inherit( PlinkoProbabilityCommonView, LabScreenView, {
+
+  /**
+   * @public
+   * @override
+   */
+  reset: function() {
+    PlinkoProbabilityCommonView.prototype.reset.call( this );
+    this.binRangeNode.reset();
+  }
+} );
+
 export default LabScreenView;
\ No newline at end of file
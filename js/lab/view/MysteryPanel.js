@@ -0,0 +1,188 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Panel of the mystery probability mode, where the binary probability is hidden and the students estimate it from
+ * the balls. Once their estimate is submitted, the panel reveals the probability, with its maximum-likelihood
+ * estimate and 95% confidence interval from the landed balls, and the points of the estimate, see
+ * LabModel.submitEstimate.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import EquationNode from '../../common/view/EquationNode.js';
+import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+const confidenceIntervalString = plinkoProbabilityStrings.confidenceInterval;
+const maximumLikelihoodEstimateString = plinkoProbabilityStrings.maximumLikelihoodEstimate;
+const mysteryString = plinkoProbabilityStrings.mystery;
+const newMysteryString = plinkoProbabilityStrings.newMystery;
+const pointsString = plinkoProbabilityStrings.points;
+const probabilityString = plinkoProbabilityStrings.probability;
+const scoreString = plinkoProbabilityStrings.score;
+const submitString = plinkoProbabilityStrings.submit;
+const yourEstimateString = plinkoProbabilityStrings.yourEstimate;
+
+// constants
+const MAX_TEXT_WIDTH = 160;
+const SLIDER_TRACK_SIZE = new Dimension2( 140, 2 );
+const DECIMAL_PLACES = 3;
+
+/**
+ * @param {LabModel} model
+ * @param {Object} [options]
+ * @constructor
+ */
+function MysteryPanel( model, options ) {
+
+  options = merge( {
+    align: 'center',
+    fill: 'white',
+    xMargin: 10,
+    yMargin: 8
+  }, options );
+
+  const mysteryCheckbox = new Checkbox( new Text( mysteryString, {
+    font: PlinkoProbabilityConstants.PANEL_FONT,
+    maxWidth: MAX_TEXT_WIDTH
+  } ), model.isMysteryProperty );
+
+  // the estimate of the students, until it is submitted
+  const estimateControl = new NumberControl( yourEstimateString, model.estimateProperty,
+    PlinkoProbabilityConstants.BINARY_PROBABILITY_RANGE, {
+      layoutFunction: NumberControl.createLayoutFunction3(),
+      delta: 0.01,
+      titleNodeOptions: {
+        font: PlinkoProbabilityConstants.PANEL_FONT,
+        maxWidth: SLIDER_TRACK_SIZE.width
+      },
+      numberDisplayOptions: {
+        textOptions: {
+          font: PlinkoProbabilityConstants.PANEL_READOUT_FONT
+        },
+        decimalPlaces: 2
+      },
+      sliderOptions: {
+        trackSize: SLIDER_TRACK_SIZE
+      }
+    } );
+
+  const submitButton = new TextPushButton( submitString, {
+    font: PlinkoProbabilityConstants.PANEL_FONT,
+    maxTextWidth: MAX_TEXT_WIDTH,
+    baseColor: PlinkoProbabilityConstants.PANEL_BACKGROUND_COLOR,
+    listener: function() {
+      model.submitEstimate();
+    }
+  } );
+
+  // the result of the estimate, once it is submitted
+  const probabilityText = new EquationNode( probabilityString, 0, {
+    leftHandSideFont: PlinkoProbabilityConstants.TEXT_FONT,
+    leftHandSideFill: PlinkoProbabilityConstants.THEORETICAL_FONT_COLOR,
+    rightHandSideFont: PlinkoProbabilityConstants.TEXT_FONT,
+    rightHandSideFill: PlinkoProbabilityConstants.THEORETICAL_FONT_COLOR
+  } );
+  const maximumLikelihoodEstimateText = new EquationNode( maximumLikelihoodEstimateString, 0, {
+    leftHandSideFont: PlinkoProbabilityConstants.TEXT_FONT,
+    leftHandSideFill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR,
+    rightHandSideFont: PlinkoProbabilityConstants.TEXT_FONT,
+    rightHandSideFill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR
+  } );
+  const confidenceIntervalText = new Text( '', {
+    font: PlinkoProbabilityConstants.TEXT_FONT,
+    fill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR,
+    maxWidth: MAX_TEXT_WIDTH
+  } );
+  const pointsText = new Text( '', {
+    font: PlinkoProbabilityConstants.PANEL_FONT,
+    maxWidth: MAX_TEXT_WIDTH
+  } );
+
+  const newMysteryButton = new TextPushButton( newMysteryString, {
+    font: PlinkoProbabilityConstants.PANEL_FONT,
+    maxTextWidth: MAX_TEXT_WIDTH,
+    baseColor: PlinkoProbabilityConstants.PANEL_BACKGROUND_COLOR,
+    listener: function() {
+      model.newMystery();
+    }
+  } );
+
+  const scoreText = new Text( '', {
+    font: PlinkoProbabilityConstants.PANEL_READOUT_FONT,
+    maxWidth: MAX_TEXT_WIDTH
+  } );
+
+  const contentNode = new VBox( {
+    align: 'left',
+    spacing: 10
+  } );
+
+  Panel.call( this, contentNode, options );
+
+  // the estimate is submitted once the students have seen balls land
+  const updateSubmitButton = function() {
+    submitButton.enabled = ( model.histogram.landedBallsNumber > 0 );
+  };
+
+  // links and listeners are present for the lifetime of the sim, no need to dispose
+  model.histogram.histogramUpdatedEmitter.addListener( updateSubmitButton );
+  updateSubmitButton();
+
+  Property.multilink( [ model.isMysteryProperty, model.estimateResultProperty ],
+    function( isMystery, estimateResult ) {
+      const children = [ mysteryCheckbox ];
+      if ( isMystery ) {
+        if ( estimateResult ) {
+          const maximumLikelihoodEstimate = estimateResult.maximumLikelihoodEstimate;
+          probabilityText.setRightHandSideOfEquation( estimateResult.probability );
+
+          // there is no maximum-likelihood estimate when the bins are not numbers of right bounces
+          if ( maximumLikelihoodEstimate ) {
+            maximumLikelihoodEstimateText.setRightHandSideOfEquation( maximumLikelihoodEstimate.estimate );
+            confidenceIntervalText.text = StringUtils.fillIn( confidenceIntervalString, {
+              lowerBound: Utils.toFixed( maximumLikelihoodEstimate.lowerBound, DECIMAL_PLACES ),
+              upperBound: Utils.toFixed( maximumLikelihoodEstimate.upperBound, DECIMAL_PLACES )
+            } );
+          }
+          pointsText.text = StringUtils.fillIn( pointsString, { points: estimateResult.points } );
+          children.push( probabilityText );
+          if ( maximumLikelihoodEstimate ) {
+            children.push( maximumLikelihoodEstimateText, confidenceIntervalText );
+          }
+          children.push( pointsText, newMysteryButton );
+        }
+        else {
+          children.push( estimateControl, submitButton );
+        }
+        children.push( scoreText );
+      }
+      contentNode.children = children;
+    } );
+
+  Property.multilink( [ model.scoreProperty, model.numberOfEstimatesProperty ],
+    function( score, numberOfEstimates ) {
+      scoreText.text = StringUtils.fillIn( scoreString, {
+        score: score,
+        numberOfEstimates: numberOfEstimates
+      } );
+    } );
+}
+
+plinkoProbability.register( 'MysteryPanel', MysteryPanel );
+
+inherit( Panel, MysteryPanel );
+export default MysteryPanel;
@@ -0,0 +1,42 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A Scenery node that depicts the bell-shaped curve of a normal distribution.
+ *
+ * @author agent
+ */
+
+import Shape from '../../../../kite/js/Shape.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+/**
+ * @param {Object} [options]
+ * @constructor
+ */
+function NormalCurveIcon( options ) {
+
+  options = merge( {
+    curveWidth: 30, // width of the curve, 3 standard deviations on each side of the average
+    curveHeight: 20,
+    numberOfSegments: 30,
+    stroke: PlinkoProbabilityConstants.NORMAL_CURVE_COLOR,
+    lineWidth: 1.5
+  }, options );
+
+  const shape = new Shape().moveTo( 0, 0 );
+  for ( let i = 1; i <= options.numberOfSegments; i++ ) {
+    const z = 6 * i / options.numberOfSegments - 3;
+    shape.lineTo( options.curveWidth * i / options.numberOfSegments, -options.curveHeight * Math.exp( -z * z / 2 ) );
+  }
+
+  Path.call( this, shape, options );
+}
+
+plinkoProbability.register( 'NormalCurveIcon', NormalCurveIcon );
+
+inherit( Path, NormalCurveIcon );
+export default NormalCurveIcon;
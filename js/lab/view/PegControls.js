@@ -12,6 +12,8 @@ import Utils from '../../../../dot/js/Utils.js';
 import inherit from '../../../../phet-core/js/inherit.js';
 import merge from '../../../../phet-core/js/merge.js';
 import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import VBox from '../../../../scenery/js/nodes/VBox.js';
 import Panel from '../../../../sun/js/Panel.js';
@@ -21,6 +23,7 @@ import plinkoProbability from '../../plinkoProbability.js';
 
 const binaryProbabilityString = plinkoProbabilityStrings.binaryProbability;
 const rowsString = plinkoProbabilityStrings.rows;
+const unknownValueString = plinkoProbabilityStrings.unknownValue;
 
 // constants
 const SLIDER_TRACK_SIZE = new Dimension2( 170, 2 );
@@ -37,7 +40,11 @@ function PegControls( rowsProperty, probabilityProperty, options ) {
     align: 'center',
     fill: 'white',
     xMargin: 10,
-    yMargin: 8
+    yMargin: 8,
+
+    // {Property.<boolean>|null} is the binary probability hidden? When it is, the control of the probability is
+    // replaced by a locked readout.
+    isProbabilityHiddenProperty: null
   }, options );
 
   // major tick labels for slider that controls number of rows
@@ -120,10 +127,45 @@ function PegControls( rowsProperty, probabilityProperty, options ) {
     }
   } );
 
+  // the readout of a hidden probability is in place of its control
+  const probabilityNode = new Node( { children: [ probabilityControl ] } );
+
+  if ( options.isProbabilityHiddenProperty ) {
+
+    // locked readout of the hidden probability
+    const hiddenValueText = new Text( unknownValueString, { font: PlinkoProbabilityConstants.PANEL_READOUT_FONT } );
+    const hiddenValueBackground = new Rectangle( 0, 0, 40, hiddenValueText.height + 4, {
+      fill: 'white',
+      stroke: 'black',
+      lineWidth: 1,
+      cornerRadius: 4
+    } );
+    hiddenValueText.center = hiddenValueBackground.center;
+    const hiddenProbabilityNode = new VBox( {
+      spacing: 5,
+      children: [
+        new Text( binaryProbabilityString, {
+          font: PlinkoProbabilityConstants.PANEL_FONT,
+          maxWidth: SLIDER_TRACK_SIZE.width
+        } ),
+        new Node( { children: [ hiddenValueBackground, hiddenValueText ] } )
+      ],
+      centerX: probabilityControl.centerX,
+      top: probabilityControl.top
+    } );
+    probabilityNode.addChild( hiddenProbabilityNode );
+
+    // unlink is unnecessary, exists for the lifetime of the sim.
+    options.isProbabilityHiddenProperty.link( function( isProbabilityHidden ) {
+      probabilityControl.visible = !isProbabilityHidden;
+      hiddenProbabilityNode.visible = isProbabilityHidden;
+    } );
+  }
+
   const contentNode = new VBox( {
     align: 'center',
     spacing: 20,
-    children: [ rowsControl, probabilityControl ]
+    children: [ rowsControl, probabilityNode ]
   } );
 
   Panel.call( this, contentNode, options );
@@ -0,0 +1,115 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Control for the probability of the selected peg on the Galton board.
+ * A peg is selected by clicking it, or with the arrow keys, see PegsNode.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import ResetButton from '../../../../scenery-phet/js/buttons/ResetButton.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+const pegProbabilityString = plinkoProbabilityStrings.pegProbability;
+
+// constants
+const SLIDER_TRACK_SIZE = new Dimension2( 140, 2 );
+
+/**
+ * @param {LabModel} model
+ * @param {Property.<Object|null>} selectedPegProperty - one of model.galtonBoard.pegs, see PegsNode
+ * @param {Object} [options]
+ * @constructor
+ */
+function PegProbabilityControl( model, selectedPegProperty, options ) {
+
+  options = merge( {
+    align: 'center',
+    fill: 'white',
+    xMargin: 10,
+    yMargin: 8
+  }, options );
+
+  // probability of the selected peg
+  const pegProbabilityProperty = new NumberProperty( PlinkoProbabilityConstants.BINARY_PROBABILITY_RANGE.defaultValue, {
+    range: PlinkoProbabilityConstants.BINARY_PROBABILITY_RANGE
+  } );
+
+  const pegProbabilityControl = new NumberControl( pegProbabilityString, pegProbabilityProperty, PlinkoProbabilityConstants.BINARY_PROBABILITY_RANGE, {
+    layoutFunction: NumberControl.createLayoutFunction3(),
+    delta: 0.01,
+    titleNodeOptions: {
+      font: PlinkoProbabilityConstants.PANEL_FONT,
+      maxWidth: SLIDER_TRACK_SIZE.width
+    },
+    numberDisplayOptions: {
+      textOptions: {
+        font: PlinkoProbabilityConstants.PANEL_READOUT_FONT
+      },
+      decimalPlaces: 2
+    },
+    sliderOptions: {
+      trackSize: SLIDER_TRACK_SIZE
+    }
+  } );
+
+  // gives all pegs the probability of their row
+  const resetPegsButton = new ResetButton( {
+    radius: 14,
+    listener: function() {
+      model.galtonBoard.resetPegProbabilities();
+    }
+  } );
+
+  const contentNode = new HBox( {
+    align: 'bottom',
+    spacing: 8,
+    children: [ pegProbabilityControl, resetPegsButton ]
+  } );
+
+  Panel.call( this, contentNode, options );
+
+  // true while the control is being updated to match the model, so that the update is not applied to the peg
+  let isUpdatingControl = false;
+
+  const updateControl = function() {
+    const selectedPeg = selectedPegProperty.get();
+    if ( selectedPeg ) {
+      isUpdatingControl = true;
+      pegProbabilityProperty.set( model.getPegProbability( selectedPeg.rowNumber, selectedPeg.columnNumber ) );
+      isUpdatingControl = false;
+    }
+  };
+
+  // links and listeners are present for the lifetime of the sim, no need to dispose
+  Property.multilink( [ selectedPegProperty, model.probabilityProperty, model.rowProbabilitiesProperty ], updateControl );
+  model.galtonBoard.pegProbabilitiesChangedEmitter.addListener( updateControl );
+
+  pegProbabilityProperty.lazyLink( function( pegProbability ) {
+    const selectedPeg = selectedPegProperty.get();
+    if ( selectedPeg && !isUpdatingControl ) {
+      model.galtonBoard.setPegProbability( selectedPeg, pegProbability );
+    }
+  } );
+
+  // the control is only shown when a peg is selected
+  const self = this;
+  selectedPegProperty.link( function( selectedPeg ) {
+    self.visible = !!selectedPeg;
+  } );
+}
+
+plinkoProbability.register( 'PegProbabilityControl', PegProbabilityControl );
+
+inherit( Panel, PegProbabilityControl );
+export default PegProbabilityControl;
@@ -0,0 +1,64 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A Scenery node that depicts the probabilities of a Poisson distribution with a small mean, as they are drawn over
+ * the histogram: dots joined by dashed lines.
+ *
+ * @author agent
+ */
+
+import Shape from '../../../../kite/js/Shape.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import ProbabilityUtils from '../../common/model/ProbabilityUtils.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+/**
+ * @param {Object} [options]
+ * @constructor
+ */
+function PoissonIcon( options ) {
+
+  options = merge( {
+    numberOfValues: 5,
+    mean: 1.5,
+    valueSpacing: 7,
+    maxHeight: 20, // height of the most probable value
+    dotRadius: 2,
+    color: PlinkoProbabilityConstants.POISSON_COLOR
+  }, options );
+
+  const probabilities = _.times( options.numberOfValues, function( k ) {
+    return ProbabilityUtils.getPoissonProbability( k, options.mean );
+  } );
+  const maxProbability = _.max( probabilities );
+
+  const linesShape = new Shape();
+  const dotsShape = new Shape();
+  probabilities.forEach( function( probability, k ) {
+    const x = k * options.valueSpacing;
+    const y = -options.maxHeight * probability / maxProbability;
+    if ( k === 0 ) {
+      linesShape.moveTo( x, y );
+    }
+    else {
+      linesShape.lineTo( x, y );
+    }
+    dotsShape.circle( x, y, options.dotRadius );
+  } );
+
+  Node.call( this, {
+    children: [
+      new Path( linesShape, { stroke: options.color, lineWidth: 1, lineDash: [ 2, 2 ] } ),
+      new Path( dotsShape, { fill: options.color } )
+    ]
+  } );
+}
+
+plinkoProbability.register( 'PoissonIcon', PoissonIcon );
+
+inherit( Node, PoissonIcon );
+export default PoissonIcon;
@@ -0,0 +1,51 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A Scenery node that depicts residuals, as bars above and below a horizontal zero axis.
+ * It is the icon of the 'residuals' histogram mode.
+ *
+ * @author agent
+ */
+
+import Shape from '../../../../kite/js/Shape.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Line from '../../../../scenery/js/nodes/Line.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+/**
+ * @param {Object} [options]
+ * @constructor
+ */
+function ResidualsIcon( options ) {
+
+  options = merge( {
+    residuals: [ 0.3, -0.6, 1, -0.2, 0.5, -0.8 ], // heights of the bars, relative to maxHeight
+    barWidth: 6,
+    maxHeight: 14, // above and below the axis
+    fill: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_FILL,
+    stroke: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_STROKE,
+    lineWidth: 1
+  }, options );
+
+  const shape = new Shape();
+  options.residuals.forEach( function( residual, i ) {
+    shape.rect( i * options.barWidth, Math.min( 0, -residual * options.maxHeight ), options.barWidth,
+      Math.abs( residual ) * options.maxHeight );
+  } );
+
+  Node.call( this, {
+    children: [
+      new Path( shape, { fill: options.fill, stroke: options.stroke, lineWidth: options.lineWidth } ),
+      new Line( 0, 0, options.residuals.length * options.barWidth, 0, { stroke: 'black', lineWidth: 1 } )
+    ]
+  } );
+}
+
+plinkoProbability.register( 'ResidualsIcon', ResidualsIcon );
+
+inherit( Node, ResidualsIcon );
+export default ResidualsIcon;
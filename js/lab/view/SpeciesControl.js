@@ -0,0 +1,95 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Controls for the species of balls: the number of species dropped alternately from the hopper, and the binary
+ * probability of each species other than the first one, whose probability is set by PegControls.
+ *
+ * @author agent
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+const speciesNumberString = plinkoProbabilityStrings.speciesNumber;
+const speciesString = plinkoProbabilityStrings.species;
+
+// constants
+const SLIDER_TRACK_SIZE = new Dimension2( 140, 2 );
+
+/**
+ * @param {LabModel} model
+ * @param {Object} [options]
+ * @constructor
+ */
+function SpeciesControl( model, options ) {
+
+  options = merge( {
+    align: 'center',
+    fill: 'white',
+    xMargin: 10,
+    yMargin: 8
+  }, options );
+
+  /**
+   * @param {Color|string} titleFill
+   * @param {number} decimalPlaces
+   * @returns {Object} options for a NumberControl
+   */
+  const createNumberControlOptions = function( titleFill, decimalPlaces ) {
+    return {
+      layoutFunction: NumberControl.createLayoutFunction3(),
+      delta: Math.pow( 10, -decimalPlaces ),
+      titleNodeOptions: {
+        font: PlinkoProbabilityConstants.PANEL_FONT,
+        fill: titleFill,
+        maxWidth: SLIDER_TRACK_SIZE.width
+      },
+      numberDisplayOptions: {
+        textOptions: {
+          font: PlinkoProbabilityConstants.PANEL_READOUT_FONT
+        },
+        decimalPlaces: decimalPlaces
+      },
+      sliderOptions: {
+        trackSize: SLIDER_TRACK_SIZE
+      }
+    };
+  };
+
+  const numberOfSpeciesControl = new NumberControl( speciesString, model.numberOfSpeciesProperty,
+    PlinkoProbabilityConstants.SPECIES_RANGE, createNumberControlOptions( 'black', 0 ) );
+
+  // controls for the probabilities of the species other than the first one, in the colors of the species
+  const otherSpeciesProbabilityControls = _.tail( model.speciesProbabilityProperties ).map(
+    function( speciesProbabilityProperty, index ) {
+      const speciesIndex = index + 1;
+      const title = StringUtils.fillIn( speciesNumberString, { number: speciesIndex + 1 } );
+      return new NumberControl( title, speciesProbabilityProperty, PlinkoProbabilityConstants.BINARY_PROBABILITY_RANGE,
+        createNumberControlOptions( PlinkoProbabilityConstants.SPECIES_COLORS[ speciesIndex ], 2 ) );
+    } );
+
+  const contentNode = new VBox( {
+    align: 'left',
+    spacing: 10
+  } );
+
+  Panel.call( this, contentNode, options );
+
+  // link is present for the lifetime of the sim, no need to dispose
+  model.numberOfSpeciesProperty.link( function( numberOfSpecies ) {
+    contentNode.children = [ numberOfSpeciesControl ].concat( _.take( otherSpeciesProbabilityControls, numberOfSpecies - 1 ) );
+  } );
+}
+
+plinkoProbability.register( 'SpeciesControl', SpeciesControl );
+
+inherit( Panel, SpeciesControl );
+export default SpeciesControl;
@@ -14,16 +14,38 @@ import Text from '../../../../scenery/js/nodes/Text.js';
 import VBox from '../../../../scenery/js/nodes/VBox.js';
 import AccordionBox from '../../../../sun/js/AccordionBox.js';
 import Checkbox from '../../../../sun/js/Checkbox.js';
+import ExpandCollapseButton from '../../../../sun/js/ExpandCollapseButton.js';
 import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import BallNode from '../../common/view/BallNode.js';
 import EquationNode from '../../common/view/EquationNode.js';
 import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
 import plinkoProbability from '../../plinkoProbability.js';
 import HistogramIcon from './HistogramIcon.js';
+import NormalCurveIcon from './NormalCurveIcon.js';
+import PoissonIcon from './PoissonIcon.js';
 
+const chiSquareString = plinkoProbabilityStrings.chiSquare;
+const degreesOfFreedomString = plinkoProbabilityStrings.degreesOfFreedom;
+const distanceFromIdealString = plinkoProbabilityStrings.distanceFromIdeal;
+const excessKurtosisString = plinkoProbabilityStrings.excessKurtosis;
+const firstQuartileString = plinkoProbabilityStrings.firstQuartile;
 const idealString = plinkoProbabilityStrings.ideal;
+const interquartileRangeString = plinkoProbabilityStrings.interquartileRange;
+const medianString = plinkoProbabilityStrings.median;
+const modeString = plinkoProbabilityStrings.mode;
+const moreStatisticsString = plinkoProbabilityStrings.moreStatistics;
 const muString = plinkoProbabilityStrings.mu;
 const nString = plinkoProbabilityStrings.n;
+const poissonDistanceString = plinkoProbabilityStrings.poissonDistance;
+const poissonString = plinkoProbabilityStrings.poisson;
+const normalErrorString = plinkoProbabilityStrings.normalError;
+const normalString = plinkoProbabilityStrings.normal;
+const pValueString = plinkoProbabilityStrings.pValue;
+const sampleExcessKurtosisString = plinkoProbabilityStrings.sampleExcessKurtosis;
+const sampleSkewnessString = plinkoProbabilityStrings.sampleSkewness;
 const sigmaString = plinkoProbabilityStrings.sigma;
+const skewnessString = plinkoProbabilityStrings.skewness;
+const thirdQuartileString = plinkoProbabilityStrings.thirdQuartile;
 const sMeanString = plinkoProbabilityStrings.sMean;
 const sString = plinkoProbabilityStrings.s;
 const xBarString = plinkoProbabilityStrings.xBar;
@@ -59,11 +81,16 @@ const OPTIONS_THEORETICAL = {
 /**
  * @param {LabModel} model
  * @param {Property.<boolean>} isTheoreticalHistogramVisibleProperty
+ * @param {Property.<boolean>} isNormalCurveVisibleProperty
+ * @param {Property.<boolean>} isPoissonVisibleProperty
+ * @param {Property.<boolean>} isDescriptiveStatisticsExpandedProperty
  * @param {Property.<boolean>} expandedAccordionBoxProperty
  * @param {Object} [options]
  * @constructor
  */
-function StatisticsAccordionBox( model, isTheoreticalHistogramVisibleProperty, expandedAccordionBoxProperty, options ) {
+function StatisticsAccordionBox( model, isTheoreticalHistogramVisibleProperty, isNormalCurveVisibleProperty,
+                                 isPoissonVisibleProperty, isDescriptiveStatisticsExpandedProperty,
+                                 expandedAccordionBoxProperty, options ) {
 
   const numberLandedBallsText = new EquationNode( nString, 0, OPTIONS_TITLE );
 
@@ -101,12 +128,46 @@ function StatisticsAccordionBox( model, isTheoreticalHistogramVisibleProperty, e
   const theoreticalAverageText = new EquationNode( muString, 0, OPTIONS_THEORETICAL );
   const theoreticalStandardDeviationText = new EquationNode( sigmaString, 0, OPTIONS_THEORETICAL );
 
-  // link is present for the life of the simulation, no need to dispose
-  Property.multilink( [ model.numberOfRowsProperty, model.probabilityProperty ], function( numberOfRows, probability ) {
-    assert && assert( Number.isInteger( numberOfRows ), 'the number of rows must be an integer' );
-    theoreticalAverageText.setRightHandSideOfEquation( model.getTheoreticalAverage( numberOfRows, probability ) );
-    theoreticalStandardDeviationText.setRightHandSideOfEquation( model.getTheoreticalStandardDeviation( numberOfRows, probability ) );
-  } );
+  // how far the normal approximation is from the ideal distribution, see LabModel.getNormalApproximationError
+  const normalErrorText = new EquationNode( normalErrorString, 0, OPTIONS_THEORETICAL );
+
+  // how far the Poisson approximation is from the ideal distribution, see LabModel.getPoissonDistance
+  const poissonDistanceText = new EquationNode( poissonDistanceString, 0, OPTIONS_THEORETICAL );
+
+  // how far the landed physics balls are from the ideal distribution, see LabModel.getDistanceFromIdeal
+  const distanceFromIdealText = new EquationNode( distanceFromIdealString, 0, OPTIONS_SAMPLE );
+  const updateDistanceFromIdeal = function() {
+    distanceFromIdealText.setRightHandSideOfEquation( model.getDistanceFromIdeal() );
+  };
+
+  // chi-square test of the landed balls against the ideal distribution, see LabModel.getChiSquareTest
+  const chiSquareText = new EquationNode( chiSquareString, 0, OPTIONS_SAMPLE );
+  const degreesOfFreedomText = new EquationNode( degreesOfFreedomString, 0, merge( {}, OPTIONS_SAMPLE, {
+    maxDecimalPlaces: 0
+  } ) );
+  const pValueText = new EquationNode( pValueString, 0, merge( {}, OPTIONS_SAMPLE, {
+    positionOfEqualSign: 60,
+    leftHandSideMaxWidth: 60
+  } ) );
+  const updateChiSquareTest = function() {
+    const chiSquareTest = model.getChiSquareTest();
+    chiSquareText.setRightHandSideOfEquation( chiSquareTest && chiSquareTest.chiSquare );
+    degreesOfFreedomText.setRightHandSideOfEquation( chiSquareTest && chiSquareTest.degreesOfFreedom );
+    pValueText.setRightHandSideOfEquation( chiSquareTest && chiSquareTest.pValue );
+  };
+
+  const updateTheoreticalStatistics = function() {
+    theoreticalAverageText.setRightHandSideOfEquation( model.getTheoreticalAverage() );
+    theoreticalStandardDeviationText.setRightHandSideOfEquation( model.getTheoreticalStandardDeviation() );
+    normalErrorText.setRightHandSideOfEquation( model.getNormalApproximationError() );
+    poissonDistanceText.setRightHandSideOfEquation( model.getPoissonDistance() );
+    updateDistanceFromIdeal();
+    updateChiSquareTest();
+  };
+
+  // links are present for the life of the simulation, no need to dispose
+  Property.multilink( [ model.numberOfRowsProperty, model.probabilityProperty ], updateTheoreticalStatistics );
+  model.theoreticalDistributionChangedEmitter.addListener( updateTheoreticalStatistics );
 
   // update the statistics display after a ball landed in the bins.
   // no need to remove Listener, present for the lifetime of the simulation
@@ -115,6 +176,44 @@ function StatisticsAccordionBox( model, isTheoreticalHistogramVisibleProperty, e
     sampleAverageText.setRightHandSideOfEquation( model.histogram.average );
     sampleStandardDeviationText.setRightHandSideOfEquation( model.histogram.standardDeviation );
     sampleStandardDeviationOfMeanText.setRightHandSideOfEquation( model.histogram.standardDeviationOfMean );
+    updateDistanceFromIdeal();
+    updateChiSquareTest();
+  } );
+
+  // sample statistics of each species, in the color of the species, shown when there are several species
+  const speciesStatisticsBox = new VBox( {
+    align: 'left',
+    spacing: CONTENT_Y_SPACING
+  } );
+  const speciesStatisticsTexts = PlinkoProbabilityConstants.SPECIES_COLORS.map( function( color ) {
+    const speciesOptions = merge( {}, OPTIONS_SAMPLE, {
+      leftHandSideFill: color,
+      rightHandSideFill: color
+    } );
+    const averageText = new EquationNode( xBarString, 0, speciesOptions );
+    const standardDeviationText = new EquationNode( sString, 0, speciesOptions );
+    return {
+      averageText: averageText,
+      standardDeviationText: standardDeviationText,
+      rowNode: new HBox( {
+        spacing: 5,
+        children: [
+          new BallNode( PlinkoProbabilityConstants.BALL_RADIUS, { mainColor: color } ),
+          averageText,
+          standardDeviationText
+        ]
+      } )
+    };
+  } );
+
+  // update the statistics of the species after a ball landed in the bins.
+  // no need to remove Listener, present for the lifetime of the simulation
+  model.histogram.histogramUpdatedEmitter.addListener( function() {
+    speciesStatisticsTexts.forEach( function( speciesStatisticsText, speciesIndex ) {
+      const speciesStatistics = model.histogram.speciesStatistics[ speciesIndex ];
+      speciesStatisticsText.averageText.setRightHandSideOfEquation( speciesStatistics.average );
+      speciesStatisticsText.standardDeviationText.setRightHandSideOfEquation( speciesStatistics.standardDeviation );
+    } );
   } );
 
   // create the histogram icon with the text underneath it.
@@ -133,35 +232,212 @@ function StatisticsAccordionBox( model, isTheoreticalHistogramVisibleProperty, e
 
   const histogramCheckbox = new Checkbox( histogramCheckboxIcon, isTheoreticalHistogramVisibleProperty );
 
-  const contentNode = new HBox( {
+  // create the normal curve icon with the text underneath it.
+  const normalCurveIcon = new NormalCurveIcon();
+  const normalCurveCheckboxIcon = new VBox( {
+    align: 'center',
+    spacing: 5,
+    children: [
+      normalCurveIcon,
+      new Text( normalString, {
+        font: PlinkoProbabilityConstants.PANEL_READOUT_FONT,
+        maxWidth: 1.5 * normalCurveIcon.width // i18n, determined empirically
+      } )
+    ]
+  } );
+
+  const normalCurveCheckbox = new Checkbox( normalCurveCheckboxIcon, isNormalCurveVisibleProperty );
+
+  // create the Poisson icon with the text underneath it.
+  const poissonIcon = new PoissonIcon();
+  const poissonCheckboxIcon = new VBox( {
+    align: 'center',
+    spacing: 5,
+    children: [
+      poissonIcon,
+      new Text( poissonString, {
+        font: PlinkoProbabilityConstants.PANEL_READOUT_FONT,
+        maxWidth: 1.5 * poissonIcon.width // i18n, determined empirically
+      } )
+    ]
+  } );
+
+  const poissonCheckbox = new Checkbox( poissonCheckboxIcon, isPoissonVisibleProperty );
+
+  const sampleStatisticsBox = new VBox( {
+    align: 'right',
+    spacing: CONTENT_Y_SPACING
+  } );
+
+  // the distance from the ideal distribution is shown only for physics balls, the others follow it by construction.
+  // Like the theoretical statistics, it would give away a hidden probability.
+  // multilink is present for the life of the simulation, no need to dispose
+  Property.multilink( [ model.hopperModeProperty, model.isProbabilityHiddenProperty ],
+    function( hopperMode, isProbabilityHidden ) {
+      const children = [ sampleAverageText, sampleStandardDeviationText, sampleStandardDeviationOfMeanText ];
+      if ( hopperMode === 'physics' && !isProbabilityHidden ) {
+        updateDistanceFromIdeal();
+        children.push( distanceFromIdealText );
+      }
+      sampleStatisticsBox.children = children;
+    } );
+
+  const theoreticalStatisticsBox = new VBox( {
+    align: 'right',
+    spacing: CONTENT_Y_SPACING,
+    children: [
+      theoreticalAverageText,
+      theoreticalStandardDeviationText,
+      normalErrorText,
+      poissonDistanceText,
+      new HBox( {
+        spacing: 10,
+        align: 'bottom',
+        children: [ histogramCheckbox, normalCurveCheckbox, poissonCheckbox ]
+      } )
+    ]
+  } );
+
+  const statisticsNode = new HBox( {
     spacing: 5,
     align: 'top',
     children: [
 
       // left side of the accordion box
-      new VBox( {
-        align: 'right',
-        spacing: CONTENT_Y_SPACING,
-        children: [
-          sampleAverageText,
-          sampleStandardDeviationText,
-          sampleStandardDeviationOfMeanText
-        ]
-      } ),
+      sampleStatisticsBox,
 
       // right side of the accordion box
+      theoreticalStatisticsBox
+    ]
+  } );
+
+  // the chi-square test, under the statistics of all the balls
+  const chiSquareTestNode = new VBox( {
+    align: 'left',
+    spacing: CONTENT_Y_SPACING,
+    children: [
+      new HBox( {
+        spacing: 5,
+        children: [ chiSquareText, degreesOfFreedomText ]
+      } ),
+      pValueText
+    ]
+  } );
+
+  // statistics of the shape of the distribution, sample on the left and theoretical on the right,
+  // see ProbabilityUtils.getDescriptiveStatistics
+  const createDescriptiveStatisticsTexts = function( skewnessLabel, excessKurtosisLabel, equationOptions ) {
+    return {
+      median: new EquationNode( medianString, 0, equationOptions ),
+      modes: new EquationNode( modeString, 0, equationOptions ),
+      firstQuartile: new EquationNode( firstQuartileString, 0, equationOptions ),
+      thirdQuartile: new EquationNode( thirdQuartileString, 0, equationOptions ),
+      interquartileRange: new EquationNode( interquartileRangeString, 0, equationOptions ),
+      skewness: new EquationNode( skewnessLabel, 0, equationOptions ),
+      excessKurtosis: new EquationNode( excessKurtosisLabel, 0, equationOptions )
+    };
+  };
+  const sampleDescriptiveStatisticsTexts = createDescriptiveStatisticsTexts( sampleSkewnessString,
+    sampleExcessKurtosisString, OPTIONS_SAMPLE );
+  const theoreticalDescriptiveStatisticsTexts = createDescriptiveStatisticsTexts( skewnessString,
+    excessKurtosisString, OPTIONS_THEORETICAL );
+
+  /**
+   * @param {Object} texts - see createDescriptiveStatisticsTexts
+   * @param {Object} statistics - see ProbabilityUtils.getDescriptiveStatistics
+   */
+  const updateDescriptiveStatisticsTexts = function( texts, statistics ) {
+    _.forEach( texts, function( text, key ) {
+      text.setRightHandSideOfEquation( statistics[ key ] );
+    } );
+  };
+
+  // The statistics of the landed balls depend on all the bins, so they are computed only while they are shown.
+  // links and listeners are present for the life of the simulation, no need to dispose
+  const updateSampleDescriptiveStatistics = function() {
+    if ( isDescriptiveStatisticsExpandedProperty.get() ) {
+      updateDescriptiveStatisticsTexts( sampleDescriptiveStatisticsTexts,
+        model.histogram.getDescriptiveStatistics( model.numberOfBinsProperty.get() ) );
+    }
+  };
+  model.histogram.histogramUpdatedEmitter.addListener( updateSampleDescriptiveStatistics );
+  isDescriptiveStatisticsExpandedProperty.link( updateSampleDescriptiveStatistics );
+  const updateTheoreticalDescriptiveStatistics = function() {
+    updateDescriptiveStatisticsTexts( theoreticalDescriptiveStatisticsTexts,
+      model.getTheoreticalDescriptiveStatistics() );
+  };
+  Property.multilink( [ model.numberOfRowsProperty, model.probabilityProperty ],
+    updateTheoreticalDescriptiveStatistics );
+  model.theoreticalDistributionChangedEmitter.addListener( updateTheoreticalDescriptiveStatistics );
+
+  const theoreticalDescriptiveStatisticsBox = new VBox( {
+    align: 'right',
+    spacing: CONTENT_Y_SPACING,
+    children: _.values( theoreticalDescriptiveStatisticsTexts )
+  } );
+
+  const descriptiveStatisticsNode = new HBox( {
+    spacing: 5,
+    align: 'top',
+    children: [
       new VBox( {
         align: 'right',
         spacing: CONTENT_Y_SPACING,
-        children: [
-          theoreticalAverageText,
-          theoreticalStandardDeviationText,
-          histogramCheckbox
-        ]
+        children: _.values( sampleDescriptiveStatisticsTexts )
+      } ),
+      theoreticalDescriptiveStatisticsBox
+    ]
+  } );
+
+  // The theoretical statistics, and the test of the balls against the ideal distribution, would give away a hidden
+  // probability, see LabModel.isProbabilityHiddenProperty.
+  // link is present for the life of the simulation, no need to dispose
+  model.isProbabilityHiddenProperty.link( function( isProbabilityHidden ) {
+    theoreticalStatisticsBox.visible = !isProbabilityHidden;
+    theoreticalDescriptiveStatisticsBox.visible = !isProbabilityHidden;
+    chiSquareTestNode.visible = !isProbabilityHidden;
+  } );
+
+  // the button that shows the descriptive statistics, with its title
+  const descriptiveStatisticsTitleNode = new HBox( {
+    spacing: 8,
+    children: [
+      new ExpandCollapseButton( isDescriptiveStatisticsExpandedProperty, {
+        sideLength: 15,
+        touchAreaXDilation: 10,
+        touchAreaYDilation: 5
+      } ),
+      new Text( moreStatisticsString, {
+        font: PlinkoProbabilityConstants.PANEL_READOUT_FONT,
+        maxWidth: 150
       } )
     ]
   } );
 
+  // the statistics of all the balls and their chi-square test, then the statistics of each species,
+  // then the descriptive statistics
+  const contentNode = new VBox( {
+    align: 'left',
+    spacing: CONTENT_Y_SPACING
+  } );
+
+  // links are present for the life of the simulation, no need to dispose
+  Property.multilink( [ model.numberOfSpeciesProperty, model.hopperModeProperty,
+      isDescriptiveStatisticsExpandedProperty ],
+    function() {
+      const numberOfSpecies = model.getNumberOfSpecies();
+      speciesStatisticsBox.children = _.map( _.take( speciesStatisticsTexts, numberOfSpecies ), 'rowNode' );
+      const children = [ statisticsNode, chiSquareTestNode ];
+      if ( numberOfSpecies > 1 ) {
+        children.push( speciesStatisticsBox );
+      }
+      children.push( descriptiveStatisticsTitleNode );
+      if ( isDescriptiveStatisticsExpandedProperty.get() ) {
+        children.push( descriptiveStatisticsNode );
+      }
+      contentNode.children = children;
+    } );
+
   AccordionBox.call( this, contentNode, options );
 }
 
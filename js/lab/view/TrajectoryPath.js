@@ -21,7 +21,7 @@ import plinkoProbability from '../../plinkoProbability.js';
 function TrajectoryPath( ball, modelViewTransform ) {
 
   const pathOptions = {
-    stroke: PlinkoProbabilityConstants.BALL_COLOR,
+    stroke: PlinkoProbabilityConstants.SPECIES_COLORS[ ball.speciesIndex ],
     lineWidth: 2
   };
 
@@ -12,6 +12,7 @@ import SliderAndGeneralKeyboardHelpContent from '../../scenery-phet/js/keyboard/
 import IntroScreen from './intro/IntroScreen.js';
 import LabScreen from './lab/LabScreen.js';
 import plinkoProbabilityStrings from './plinkoProbabilityStrings.js';
+import SamplingScreen from './sampling/SamplingScreen.js';
 
 const plinkoProbabilityTitleString = plinkoProbabilityStrings[ 'plinko-probability' ].title;
 
@@ -32,6 +33,6 @@ const simOptions = {
 };
 
 simLauncher.launch( function() {
-  const sim = new Sim( plinkoProbabilityTitleString, [ new IntroScreen(), new LabScreen() ], simOptions );
+  const sim = new Sim( plinkoProbabilityTitleString, [ new IntroScreen(), new LabScreen(), new SamplingScreen() ], simOptions );
   sim.start();
 } );
\ No newline at end of file
@@ -0,0 +1,72 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The 'Sampling' screen
+ *
+ * @author agent
+ */
+
+import Property from '../../../axon/js/Property.js';
+import Screen from '../../../joist/js/Screen.js';
+import ScreenIcon from '../../../joist/js/ScreenIcon.js';
+import inherit from '../../../phet-core/js/inherit.js';
+import Node from '../../../scenery/js/nodes/Node.js';
+import PlinkoProbabilityConstants from '../common/PlinkoProbabilityConstants.js';
+import HistogramIcon from '../lab/view/HistogramIcon.js';
+import NormalCurveIcon from '../lab/view/NormalCurveIcon.js';
+import plinkoProbability from '../plinkoProbability.js';
+import plinkoProbabilityStrings from '../plinkoProbabilityStrings.js';
+import SamplingModel from './model/SamplingModel.js';
+import SamplingScreenView from './view/SamplingScreenView.js';
+
+const screenSamplingString = plinkoProbabilityStrings.screen.sampling;
+
+/**
+ * @constructor
+ */
+function SamplingScreen() {
+
+  const options = {
+    name: screenSamplingString,
+    backgroundColorProperty: new Property( PlinkoProbabilityConstants.BACKGROUND_COLOR ),
+    homeScreenIcon: new ScreenIcon( createIconNode(), {
+      fill: PlinkoProbabilityConstants.BACKGROUND_COLOR
+    } ),
+    navigationBarIcon: new ScreenIcon( createIconNode(), {
+      fill: PlinkoProbabilityConstants.BACKGROUND_COLOR
+    } )
+  };
+
+  Screen.call( this,
+    function() { return new SamplingModel(); },
+    function( model ) { return new SamplingScreenView( model ); },
+    options
+  );
+}
+
+plinkoProbability.register( 'SamplingScreen', SamplingScreen );
+
+/**
+ * Creates the icon of the screen, a histogram of the sample means with the normal curve that they approach.
+ *
+ * @returns {Node}
+ */
+var createIconNode = function() {
+  return new Node( {
+    children: [
+      new HistogramIcon( {
+        binNumber: 7,
+        binFill: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_FILL,
+        binStroke: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_STROKE
+      } ),
+      new NormalCurveIcon( {
+        curveWidth: 42,
+        curveHeight: 23,
+        lineWidth: 2
+      } )
+    ]
+  } );
+};
+
+inherit( Screen, SamplingScreen );
+export default SamplingScreen;
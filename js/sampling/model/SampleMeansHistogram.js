@@ -0,0 +1,116 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Histogram of the means of batches of balls, on the Sampling screen. The mean of a batch of k balls is the sum of
+ * their bin indices divided by k, so the batches are counted by their sums, which are integers, and the sums are
+ * grouped into the bins that are displayed only when they are drawn, see getBinCounts.
+ *
+ * @author agent
+ */
+
+import Emitter from '../../../../axon/js/Emitter.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+/**
+ * @param {number} batchSize - number of balls in a batch, k
+ * @constructor
+ */
+function SampleMeansHistogram( batchSize ) {
+
+  // @private {Object.<number,number>} number of batches for each sum of the bin indices of the balls of a batch
+  this.sumCounts = {};
+
+  // @public (read-only) {number} number of balls in a batch
+  this.batchSize = batchSize;
+
+  // @public (read-only) statistics of the means of the batches
+  this.numberOfBatches = 0;
+  this.average = 0;
+  this.standardDeviation = 0; // unbiased sample standard deviation, like Histogram.standardDeviation
+
+  // convenience variables, sums of the sums of the batches and of their squares
+  this.sumOfSums = 0; // @private
+  this.sumOfSquaredSums = 0; // @private
+
+  // @public emits when batches are added or cleared
+  this.histogramUpdatedEmitter = new Emitter();
+}
+
+plinkoProbability.register( 'SampleMeansHistogram', SampleMeansHistogram );
+
+inherit( Object, SampleMeansHistogram, {
+
+  /**
+   * Removes all the batches.
+   *
+   * @param {number} batchSize - number of balls in the batches that will be added
+   * @public
+   */
+  clear: function( batchSize ) {
+    this.sumCounts = {};
+    this.batchSize = batchSize;
+    this.numberOfBatches = 0;
+    this.average = 0;
+    this.standardDeviation = 0;
+    this.sumOfSums = 0;
+    this.sumOfSquaredSums = 0;
+    this.histogramUpdatedEmitter.emit();
+  },
+
+  /**
+   * Adds batches of balls, and updates the statistics of their means once for all of them.
+   *
+   * @param {number[]} sums - sum of the bin indices of the balls of each batch, integers
+   * @public
+   */
+  addBatches: function( sums ) {
+    const self = this;
+    sums.forEach( function( sum ) {
+      assert && assert( sum >= 0 && sum % 1 === 0, 'the sum of bin indices must be a non-negative integer: ' + sum );
+      self.sumCounts[ sum ] = ( self.sumCounts[ sum ] || 0 ) + 1;
+      self.sumOfSums += sum;
+      self.sumOfSquaredSums += sum * sum;
+    } );
+    this.numberOfBatches += sums.length;
+
+    // convenience variable
+    const N = this.numberOfBatches;
+    const k = this.batchSize;
+
+    this.average = ( N > 0 ) ? this.sumOfSums / ( N * k ) : 0;
+
+    // the standard deviation exists only when the number of batches is larger than 1
+    if ( N > 1 ) {
+      const variance = ( this.sumOfSquaredSums - this.sumOfSums * this.sumOfSums / N ) / ( N - 1 );
+      this.standardDeviation = Math.sqrt( Math.max( 0, variance ) ) / k;
+    }
+    else {
+      this.standardDeviation = 0;
+    }
+    this.histogramUpdatedEmitter.emit();
+  },
+
+  /**
+   * Gets the number of batches in each displayed bin. Bin i holds the batches whose sums range from
+   * minSum + i * sumsPerBin to minSum + ( i + 1 ) * sumsPerBin - 1. The batches outside of the bins are not counted.
+   *
+   * @param {number} minSum - smallest sum of the first bin, an integer
+   * @param {number} sumsPerBin - number of sums in a bin, a positive integer
+   * @param {number} numberOfBins
+   * @returns {number[]} indexed by bin index
+   * @public
+   */
+  getBinCounts: function( minSum, sumsPerBin, numberOfBins ) {
+    const binCounts = _.fill( new Array( numberOfBins ), 0 );
+    _.forEach( this.sumCounts, function( count, sum ) {
+      const binIndex = Math.floor( ( Number( sum ) - minSum ) / sumsPerBin );
+      if ( binIndex >= 0 && binIndex < numberOfBins ) {
+        binCounts[ binIndex ] += count;
+      }
+    } );
+    return binCounts;
+  }
+} );
+
+export default SampleMeansHistogram;
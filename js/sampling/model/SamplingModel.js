@@ -0,0 +1,259 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Model for the 'Sampling' screen. Batches of k balls are dropped through the Galton board of the Lab model, and the
+ * mean of the bins of each batch is added to a histogram of the sample means. By the central limit theorem, the sample
+ * means are approximately normally distributed, with the theoretical average μ of the balls and a standard deviation
+ * of σ/√k. The balls of the batches may be shown falling through the pegs, otherwise they land as soon as they are
+ * dropped, as in hopper mode 'none', so that thousands of batches run in seconds.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import LabModel from '../../lab/model/LabModel.js';
+import plinkoProbability from '../../plinkoProbability.js';
+import SampleMeansHistogram from './SampleMeansHistogram.js';
+
+// constants
+const FAST_BALLS_PER_STEP = 1000; // number of balls dropped at each step when the balls are not shown
+const MAX_NUMBER_OF_DISPLAYED_BINS = 40; // of the histogram of the sample means
+const DISPLAYED_STANDARD_DEVIATIONS = 4; // the histogram spans this many standard deviations on each side of μ
+const MIN_DISPLAYED_HALF_RANGE = 2; // in sums of bin indices, when every ball lands in the same bin
+
+/**
+ * @constructor
+ */
+function SamplingModel() {
+
+  const self = this;
+
+  LabModel.call( this );
+
+  // @public {number} number of balls in a batch, k
+  this.batchSizeProperty = new NumberProperty( PlinkoProbabilityConstants.BATCH_SIZE_RANGE.defaultValue, {
+    range: PlinkoProbabilityConstants.BATCH_SIZE_RANGE,
+    numberType: 'Integer'
+  } );
+
+  // @public {number} number of batches run when the Play button is pressed
+  this.numberOfBatchesProperty = new NumberProperty( PlinkoProbabilityConstants.NUMBER_OF_BATCHES_RANGE.defaultValue, {
+    range: PlinkoProbabilityConstants.NUMBER_OF_BATCHES_RANGE,
+    numberType: 'Integer'
+  } );
+
+  // @public {boolean} are the balls of the batches shown falling through the pegs?
+  this.isAnimatedProperty = new BooleanProperty( false );
+
+  // @public (read-only) {boolean} are batches being run? false once they have all been run, or when paused
+  this.isSamplingProperty = new BooleanProperty( false );
+
+  // @public (read-only) the means of the batches
+  this.sampleMeansHistogram = new SampleMeansHistogram( this.batchSizeProperty.get() );
+
+  // @private {number} number of batches left to run, including the current batch
+  this.remainingBatches = 0;
+
+  // @private {number} number of balls of the current batch that have been dropped
+  this.numberOfBallsDroppedInBatch = 0;
+
+  // The means of batches of different sizes have different distributions, so changing the size starts over.
+  // unlink is unnecessary, exists for the lifetime of the sim.
+  this.batchSizeProperty.lazyLink( function() {
+    self.erase();
+  } );
+
+  // Showing or hiding the balls abandons the current batch, whose balls were dropped in the other hopper mode.
+  // unlink is unnecessary, exists for the lifetime of the sim.
+  this.isAnimatedProperty.link( function() {
+    self.updateHopperMode();
+    self.startBatch();
+  } );
+}
+
+plinkoProbability.register( 'SamplingModel', SamplingModel );
+
+inherit( LabModel, SamplingModel, {
+
+  // @public
+  reset: function() {
+    LabModel.prototype.reset.call( this );
+    this.batchSizeProperty.reset();
+    this.numberOfBatchesProperty.reset();
+    this.isAnimatedProperty.reset();
+    this.updateHopperMode();
+  },
+
+  /**
+   * Runs batches, until the number of batches of numberOfBatchesProperty have been run. When paused, the batches
+   * that remain to be run are resumed.
+   *
+   * @public
+   */
+  startSampling: function() {
+    if ( this.remainingBatches === 0 ) {
+      this.remainingBatches = this.numberOfBatchesProperty.get();
+      this.startBatch();
+    }
+    this.isSamplingProperty.set( true );
+  },
+
+  /**
+   * @param {number} dt - time interval
+   * @public
+   */
+  step: function( dt ) {
+
+    // moves the balls of the current batch, the supertype doesn't drop balls since isPlayingProperty is false
+    LabModel.prototype.step.call( this, dt );
+
+    if ( !this.isSamplingProperty.get() ) {
+      return;
+    }
+
+    const batchSize = this.batchSizeProperty.get();
+    if ( this.isAnimatedProperty.get() ) {
+
+      // the balls are dropped at the interval of the hopper mode, and the batch is complete when they have all landed
+      if ( this.histogram.landedBallsNumber === batchSize ) {
+        this.completeBatches( [ this.getBatchSum() ] );
+      }
+      else if ( this.numberOfBallsDroppedInBatch < batchSize &&
+                this.ballCreationTimeElapsed > this.ballCreationTimeInterval ) {
+        this.addNewBall();
+        this.numberOfBallsDroppedInBatch++;
+        this.ballCreationTimeElapsed = 0;
+      }
+    }
+    else {
+
+      // the balls land as soon as they are dropped, see Ball.updateStatisticsAndLand
+      const numberOfBatches = Math.min( this.remainingBatches,
+        Math.max( 1, Math.floor( FAST_BALLS_PER_STEP / batchSize ) ) );
+      const sums = [];
+      for ( let i = 0; i < numberOfBatches; i++ ) {
+        this.startBatch();
+        for ( let j = 0; j < batchSize; j++ ) {
+          this.addNewBall().updateStatisticsAndLand();
+        }
+        sums.push( this.getBatchSum() );
+      }
+      this.completeBatches( sums );
+    }
+  },
+
+  /**
+   * Starts a new experiment, and discards the sample means.
+   *
+   * @override
+   * @public
+   */
+  erase: function() {
+    LabModel.prototype.erase.call( this );
+
+    // erase is called by the supertype constructor, before the sample means exist
+    if ( this.sampleMeansHistogram ) {
+      this.isSamplingProperty.set( false );
+      this.remainingBatches = 0;
+      this.numberOfBallsDroppedInBatch = 0;
+      this.sampleMeansHistogram.clear( this.batchSizeProperty.get() );
+    }
+  },
+
+  /**
+   * The balls of the batches are not recorded, there are far too many of them, and this screen has no replay.
+   *
+   * @param {Ball} ball
+   * @override
+   * @protected
+   */
+  recordBall: function( ball ) {},
+
+  /**
+   * Starts a batch, by removing the balls of the previous batch from the board and the histogram.
+   *
+   * @private
+   */
+  startBatch: function() {
+    this.clearBoard();
+    this.numberOfBallsDroppedInBatch = 0;
+  },
+
+  /**
+   * Adds completed batches to the histogram of the sample means, and starts the next batch if the balls are shown.
+   *
+   * @param {number[]} sums - sum of the bin indices of the balls of each batch
+   * @private
+   */
+  completeBatches: function( sums ) {
+    this.sampleMeansHistogram.addBatches( sums );
+    this.remainingBatches -= sums.length;
+    if ( this.remainingBatches === 0 ) {
+
+      // the balls of the last batch stay in the histogram until the next batch
+      this.isSamplingProperty.set( false );
+    }
+    else if ( this.isAnimatedProperty.get() ) {
+      this.startBatch();
+    }
+  },
+
+  /**
+   * Gets the sum of the bin indices of the balls of the current batch, which have all landed. The average of the
+   * histogram is updated one ball at a time, so the sum is rounded to an integer.
+   *
+   * @returns {number}
+   * @private
+   */
+  getBatchSum: function() {
+    return Math.round( this.histogram.average * this.histogram.landedBallsNumber );
+  },
+
+  /**
+   * The balls are shown falling through the pegs in 'ball' hopper mode, and land as soon as they are dropped in
+   * 'none' hopper mode.
+   *
+   * @private
+   */
+  updateHopperMode: function() {
+    this.hopperModeProperty.set( this.isAnimatedProperty.get() ? 'ball' : 'none' );
+  },
+
+  /**
+   * Gets the theoretical standard deviation of the sample means, σ/√k, see getTheoreticalStandardDeviation.
+   *
+   * @returns {number}
+   * @public
+   */
+  getTheoreticalStandardDeviationOfMean: function() {
+    return this.getTheoreticalStandardDeviation() / Math.sqrt( this.batchSizeProperty.get() );
+  },
+
+  /**
+   * Gets the bins in which the sample means are displayed. They span DISPLAYED_STANDARD_DEVIATIONS standard
+   * deviations of the sample means on each side of μ, within the range of the bins of the balls, and every bin holds
+   * the same number of sums of bin indices, so that the bins are all as likely to be hit by the discrete means.
+   *
+   * @returns {{minSum: number, sumsPerBin: number, numberOfBins: number}} see SampleMeansHistogram.getBinCounts
+   * @public
+   */
+  getSampleMeansBinning: function() {
+    const batchSize = this.batchSizeProperty.get();
+    const centerSum = batchSize * this.getTheoreticalAverage();
+    const halfRange = Math.max( MIN_DISPLAYED_HALF_RANGE,
+      DISPLAYED_STANDARD_DEVIATIONS * Math.sqrt( batchSize ) * this.getTheoreticalStandardDeviation() );
+    const maxSum = batchSize * ( this.numberOfBinsProperty.get() - 1 );
+    const sumsPerBin = Math.max( 1, Math.ceil( 2 * halfRange / MAX_NUMBER_OF_DISPLAYED_BINS ) );
+    const minSum = Math.max( 0, Math.floor( ( centerSum - halfRange ) / sumsPerBin ) * sumsPerBin );
+    return {
+      minSum: minSum,
+      sumsPerBin: sumsPerBin,
+      numberOfBins: Math.floor( ( Math.min( maxSum, centerSum + halfRange ) - minSum ) / sumsPerBin ) + 1
+    };
+  }
+} );
+
+export default SamplingModel;
@@ -0,0 +1,188 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Histogram of the means of the batches on the Sampling screen, with the normal distribution that the central limit
+ * theorem predicts for them, N(μ, σ/√k), drawn at the scale of the bars as the expected number of batches.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import ProbabilityUtils from '../../common/model/ProbabilityUtils.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+const countString = plinkoProbabilityStrings.count;
+const sampleMeanString = plinkoProbabilityStrings.sampleMean;
+
+// constants
+const AXIS_LABEL_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+const TICK_FONT = new PhetFont( 12 );
+const NUMBER_OF_TICKS = 5;
+const TICK_DECIMAL_PLACES = 2;
+const TRIANGLE_HEIGHT = 16;
+const TRIANGLE_WIDTH = 16;
+const NUMBER_OF_CURVE_SEGMENTS = 100;
+
+/**
+ * @param {SamplingModel} model
+ * @param {Bounds2} viewBounds - bounds of the plot, in view coordinates
+ * @constructor
+ */
+function SampleMeansHistogramNode( model, viewBounds ) {
+
+  const minX = viewBounds.minX;
+  const maxY = viewBounds.maxY;
+  const plotWidth = viewBounds.width;
+
+  // the triangles that point at the averages are at the top of the plot, above the bars
+  const maxBarHeight = viewBounds.height - TRIANGLE_HEIGHT - 4;
+
+  const backgroundNode = new Rectangle( viewBounds, {
+    fill: 'white',
+    stroke: 'gray',
+    lineWidth: 0.5
+  } );
+
+  const barsPath = new Path( null, {
+    fill: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_FILL,
+    stroke: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_STROKE,
+    lineWidth: 1
+  } );
+
+  const normalCurvePath = new Path( null, {
+    stroke: PlinkoProbabilityConstants.NORMAL_CURVE_COLOR,
+    lineWidth: 2,
+    clipArea: Shape.rect( minX, maxY - maxBarHeight, plotWidth, maxBarHeight )
+  } );
+
+  // triangles that point down at the average of the sample means and at μ
+  const triangleShape = new Shape().moveTo( 0, 0 )
+    .lineToRelative( -TRIANGLE_WIDTH / 2, -TRIANGLE_HEIGHT )
+    .lineToRelative( TRIANGLE_WIDTH, 0 )
+    .close();
+  const sampleAverageTrianglePath = new Path( triangleShape, {
+    fill: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_FILL,
+    stroke: PlinkoProbabilityConstants.HISTOGRAM_BAR_COLOR_STROKE,
+    lineWidth: 2,
+    bottom: maxY - maxBarHeight
+  } );
+  const theoreticalAverageTrianglePath = new Path( triangleShape, {
+    stroke: PlinkoProbabilityConstants.BINOMIAL_DISTRIBUTION_BAR_COLOR_STROKE,
+    fill: 'rgba(0,0,0,0)', // transparent
+    lineWidth: 2,
+    bottom: maxY - maxBarHeight
+  } );
+
+  const tickTexts = _.times( NUMBER_OF_TICKS, function() {
+    return new Text( '', { font: TICK_FONT, top: maxY + 4 } );
+  } );
+
+  const xAxisLabel = new Text( sampleMeanString, {
+    font: AXIS_LABEL_FONT,
+    centerX: viewBounds.centerX,
+    top: maxY + 22,
+    maxWidth: plotWidth
+  } );
+
+  const yAxisLabel = new Text( countString, {
+    font: AXIS_LABEL_FONT,
+    rotation: -Math.PI / 2, // remember down is positive in the view
+    centerY: viewBounds.centerY,
+    right: minX - 8,
+    maxWidth: viewBounds.height
+  } );
+
+  Node.call( this, {
+    children: [ backgroundNode, barsPath, normalCurvePath, sampleAverageTrianglePath, theoreticalAverageTrianglePath,
+      xAxisLabel, yAxisLabel ].concat( tickTexts )
+  } );
+
+  const update = function() {
+    const sampleMeansHistogram = model.sampleMeansHistogram;
+    const batchSize = model.batchSizeProperty.get();
+    const binning = model.getSampleMeansBinning();
+
+    // the bin of a sum of bin indices spans half a sum on each side of it, so that the bins are centered on the means
+    const minMean = ( binning.minSum - 0.5 ) / batchSize;
+    const binWidth = binning.sumsPerBin / batchSize; // in means
+    const maxMean = minMean + binning.numberOfBins * binWidth;
+    const toX = function( mean ) {
+      return minX + plotWidth * ( mean - minMean ) / ( maxMean - minMean );
+    };
+
+    // expected number of batches in a bin centered on a mean. Before any batch is run, the curve is shown as for one
+    // batch, so that the shape of the distribution is visible.
+    const average = model.getTheoreticalAverage();
+    const standardDeviation = model.getTheoreticalStandardDeviationOfMean();
+    const numberOfBatches = Math.max( 1, sampleMeansHistogram.numberOfBatches );
+    const getExpectedCount = function( mean ) {
+      return numberOfBatches * binWidth *
+             ProbabilityUtils.getNormalProbabilityDensity( ( mean - average ) / standardDeviation ) / standardDeviation;
+    };
+
+    // the bars and the curve are scaled so that the taller of them fills the plot
+    const binCounts = sampleMeansHistogram.getBinCounts( binning.minSum, binning.sumsPerBin, binning.numberOfBins );
+    const maxCount = Math.max( 1, _.max( binCounts ), ( standardDeviation > 0 ) ? getExpectedCount( average ) : 0 );
+    const toY = function( count ) {
+      return maxY - maxBarHeight * count / maxCount;
+    };
+
+    const barsShape = new Shape();
+    binCounts.forEach( function( binCount, binIndex ) {
+      if ( binCount > 0 ) {
+        const left = toX( minMean + binIndex * binWidth );
+        barsShape.rect( left, toY( binCount ), toX( minMean + ( binIndex + 1 ) * binWidth ) - left,
+          maxY - toY( binCount ) );
+      }
+    } );
+    barsPath.shape = barsShape;
+
+    // there is no curve when all the balls land in the same bin
+    if ( standardDeviation > 0 ) {
+      const curveShape = new Shape();
+      for ( let i = 0; i <= NUMBER_OF_CURVE_SEGMENTS; i++ ) {
+        const mean = minMean + ( maxMean - minMean ) * i / NUMBER_OF_CURVE_SEGMENTS;
+        if ( i === 0 ) {
+          curveShape.moveTo( toX( mean ), toY( getExpectedCount( mean ) ) );
+        }
+        else {
+          curveShape.lineTo( toX( mean ), toY( getExpectedCount( mean ) ) );
+        }
+      }
+      normalCurvePath.shape = curveShape;
+    }
+    else {
+      normalCurvePath.shape = null;
+    }
+
+    sampleAverageTrianglePath.visible = ( sampleMeansHistogram.numberOfBatches > 0 );
+    sampleAverageTrianglePath.centerX = toX( sampleMeansHistogram.average );
+    theoreticalAverageTrianglePath.centerX = toX( average );
+
+    tickTexts.forEach( function( tickText, i ) {
+      const mean = minMean + ( maxMean - minMean ) * ( i + 0.5 ) / NUMBER_OF_TICKS;
+      tickText.text = Utils.toFixed( mean, TICK_DECIMAL_PLACES );
+      tickText.centerX = toX( mean );
+    } );
+  };
+
+  // links and listeners are present for the lifetime of the sim, no need to dispose
+  model.sampleMeansHistogram.histogramUpdatedEmitter.addListener( update );
+  model.theoreticalDistributionChangedEmitter.addListener( update );
+  Property.multilink( [ model.numberOfRowsProperty, model.probabilityProperty, model.batchSizeProperty ], update );
+}
+
+plinkoProbability.register( 'SampleMeansHistogramNode', SampleMeansHistogramNode );
+
+inherit( Node, SampleMeansHistogramNode );
+export default SampleMeansHistogramNode;
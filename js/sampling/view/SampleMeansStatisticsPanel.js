@@ -0,0 +1,111 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Panel that displays the statistics of the sample means on the Sampling screen: the number of batches, the average
+ * and standard deviation of their means, and the theoretical values that the central limit theorem predicts for them.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import EquationNode from '../../common/view/EquationNode.js';
+import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+const meansAverageString = plinkoProbabilityStrings.meansAverage;
+const meansStandardDeviationString = plinkoProbabilityStrings.meansStandardDeviation;
+const numberOfBatchesString = plinkoProbabilityStrings.numberOfBatches;
+const sampleMeansAverageString = plinkoProbabilityStrings.sampleMeansAverage;
+const sampleMeansStandardDeviationString = plinkoProbabilityStrings.sampleMeansStandardDeviation;
+
+// options for the number of batches
+const OPTIONS_TITLE = {
+  leftHandSideFont: PlinkoProbabilityConstants.TEXT_FONT_BOLD,
+  leftHandSideFill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR,
+  rightHandSideFont: PlinkoProbabilityConstants.TEXT_FONT_BOLD,
+  rightHandSideFill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR,
+  positionOfEqualSign: 70,
+  leftHandSideMaxWidth: 70,
+  maxDecimalPlaces: 0
+};
+
+// options for sample statistics
+const OPTIONS_SAMPLE = {
+  leftHandSideFont: PlinkoProbabilityConstants.TEXT_FONT,
+  leftHandSideFill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR,
+  rightHandSideFont: PlinkoProbabilityConstants.TEXT_FONT,
+  rightHandSideFill: PlinkoProbabilityConstants.SAMPLE_FONT_COLOR
+};
+
+// options for the theoretical statistics
+const OPTIONS_THEORETICAL = {
+  leftHandSideFont: PlinkoProbabilityConstants.TEXT_FONT,
+  leftHandSideFill: PlinkoProbabilityConstants.THEORETICAL_FONT_COLOR,
+  rightHandSideFont: PlinkoProbabilityConstants.TEXT_FONT,
+  rightHandSideFill: PlinkoProbabilityConstants.THEORETICAL_FONT_COLOR
+};
+
+/**
+ * @param {SamplingModel} model
+ * @param {Object} [options]
+ * @constructor
+ */
+function SampleMeansStatisticsPanel( model, options ) {
+
+  options = merge( {
+    fill: PlinkoProbabilityConstants.PANEL_BACKGROUND_COLOR,
+    cornerRadius: 10,
+    xMargin: 8,
+    yMargin: 10
+  }, options );
+
+  const numberOfBatchesText = new EquationNode( numberOfBatchesString, 0, OPTIONS_TITLE );
+  const sampleAverageText = new EquationNode( sampleMeansAverageString, 0, OPTIONS_SAMPLE );
+  const sampleStandardDeviationText = new EquationNode( sampleMeansStandardDeviationString, 0, OPTIONS_SAMPLE );
+  const theoreticalAverageText = new EquationNode( meansAverageString, 0, OPTIONS_THEORETICAL );
+  const theoreticalStandardDeviationText = new EquationNode( meansStandardDeviationString, 0, OPTIONS_THEORETICAL );
+
+  const contentNode = new VBox( {
+    align: 'left',
+    spacing: 10,
+    children: [
+      numberOfBatchesText,
+      new HBox( {
+        spacing: 15,
+        children: [
+          new VBox( { align: 'left', spacing: 10, children: [ sampleAverageText, sampleStandardDeviationText ] } ),
+          new VBox( { align: 'left', spacing: 10, children: [ theoreticalAverageText, theoreticalStandardDeviationText ] } )
+        ]
+      } )
+    ]
+  } );
+
+  Panel.call( this, contentNode, options );
+
+  const updateTheoreticalStatistics = function() {
+    theoreticalAverageText.setRightHandSideOfEquation( model.getTheoreticalAverage() );
+    theoreticalStandardDeviationText.setRightHandSideOfEquation( model.getTheoreticalStandardDeviationOfMean() );
+  };
+
+  // links and listeners are present for the lifetime of the sim, no need to dispose
+  Property.multilink( [ model.numberOfRowsProperty, model.probabilityProperty, model.batchSizeProperty ],
+    updateTheoreticalStatistics );
+  model.theoreticalDistributionChangedEmitter.addListener( updateTheoreticalStatistics );
+  model.sampleMeansHistogram.histogramUpdatedEmitter.addListener( function() {
+    const sampleMeansHistogram = model.sampleMeansHistogram;
+    numberOfBatchesText.setRightHandSideOfEquation( sampleMeansHistogram.numberOfBatches );
+    sampleAverageText.setRightHandSideOfEquation( sampleMeansHistogram.average );
+    sampleStandardDeviationText.setRightHandSideOfEquation( sampleMeansHistogram.standardDeviation );
+  } );
+}
+
+plinkoProbability.register( 'SampleMeansStatisticsPanel', SampleMeansStatisticsPanel );
+
+inherit( Panel, SampleMeansStatisticsPanel );
+export default SampleMeansStatisticsPanel;
@@ -0,0 +1,106 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Panel with the controls of the batches on the Sampling screen: a Play/Pause button, the number of balls in a batch,
+ * the number of batches run by the Play button, and whether the balls of the batches are shown.
+ *
+ * @author agent
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import BooleanToggleNode from '../../../../sun/js/BooleanToggleNode.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import PauseButton from '../../common/view/PauseButton.js';
+import PlayButton from '../../common/view/PlayButton.js';
+import plinkoProbabilityStrings from '../../plinkoProbabilityStrings.js';
+import plinkoProbability from '../../plinkoProbability.js';
+
+const batchSizeString = plinkoProbabilityStrings.batchSize;
+const numberOfBatchesString = plinkoProbabilityStrings.numberOfBatches;
+const showBallsString = plinkoProbabilityStrings.showBalls;
+
+// constants
+const SLIDER_TRACK_SIZE = new Dimension2( 140, 2 );
+
+/**
+ * @param {SamplingModel} model
+ * @param {Object} [options]
+ * @constructor
+ */
+function SamplingControlPanel( model, options ) {
+
+  options = merge( {
+    align: 'center',
+    xMargin: 10,
+    yMargin: 10,
+    stroke: 'black',
+    lineWidth: 1,
+    minWidth: 0
+  }, options );
+
+  const playButton = new PlayButton( {
+    listener: function() { model.startSampling(); }
+  } );
+
+  const pauseButton = new PauseButton( {
+    listener: function() { model.isSamplingProperty.set( false ); }
+  } );
+
+  // the Pause button is visible while batches are being run
+  const playPauseButton = new BooleanToggleNode( pauseButton, playButton, model.isSamplingProperty );
+
+  const numberControlOptions = {
+    layoutFunction: NumberControl.createLayoutFunction3(),
+    titleNodeOptions: {
+      font: PlinkoProbabilityConstants.PANEL_FONT,
+      maxWidth: SLIDER_TRACK_SIZE.width
+    },
+    numberDisplayOptions: {
+      textOptions: {
+        font: PlinkoProbabilityConstants.PANEL_READOUT_FONT
+      },
+      decimalPlaces: 0
+    },
+    sliderOptions: {
+      trackSize: SLIDER_TRACK_SIZE
+    }
+  };
+
+  const batchSizeControl = new NumberControl( batchSizeString, model.batchSizeProperty,
+    PlinkoProbabilityConstants.BATCH_SIZE_RANGE, numberControlOptions );
+
+  const numberOfBatchesControl = new NumberControl( numberOfBatchesString, model.numberOfBatchesProperty,
+    PlinkoProbabilityConstants.NUMBER_OF_BATCHES_RANGE, numberControlOptions );
+
+  const showBallsCheckbox = new Checkbox( new Text( showBallsString, {
+    font: PlinkoProbabilityConstants.PANEL_FONT,
+    maxWidth: SLIDER_TRACK_SIZE.width
+  } ), model.isAnimatedProperty );
+
+  const contentNode = new VBox( {
+    align: 'center',
+    spacing: 10,
+    children: [
+      playPauseButton,
+      new VBox( {
+        align: 'left',
+        spacing: 10,
+        children: [ batchSizeControl, numberOfBatchesControl, showBallsCheckbox ]
+      } )
+    ]
+  } );
+
+  Panel.call( this, contentNode, options );
+}
+
+plinkoProbability.register( 'SamplingControlPanel', SamplingControlPanel );
+
+inherit( Panel, SamplingControlPanel );
+export default SamplingControlPanel;
@@ -0,0 +1,139 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * ScreenView for the 'Sampling' screen. The Galton board is the one of the Lab screen, and the histogram below it
+ * shows the means of the batches of balls instead of the bins of the balls.
+ *
+ * @author agent
+ */
+
+import StringProperty from '../../../../axon/js/StringProperty.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import ScreenView from '../../../../joist/js/ScreenView.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import EraserButton from '../../../../scenery-phet/js/buttons/EraserButton.js';
+import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import PlinkoProbabilityConstants from '../../common/PlinkoProbabilityConstants.js';
+import BallsNode from '../../common/view/BallsNode.js';
+import Board from '../../common/view/Board.js';
+import Hopper from '../../common/view/Hopper.js';
+import PegsNode from '../../common/view/PegsNode.js';
+import PegControls from '../../lab/view/PegControls.js';
+import plinkoProbability from '../../plinkoProbability.js';
+import SampleMeansHistogramNode from './SampleMeansHistogramNode.js';
+import SampleMeansStatisticsPanel from './SampleMeansStatisticsPanel.js';
+import SamplingControlPanel from './SamplingControlPanel.js';
+
+// constants
+const PANEL_FIXED_WIDTH = 220; // determined empirically, like the panels of the Lab screen
+
+/**
+ * @param {SamplingModel} model
+ * @constructor
+ */
+function SamplingScreenView( model ) {
+
+  ScreenView.call( this );
+
+  // the hopper and the board are laid out like those of PlinkoProbabilityCommonView
+  const hopper = new Hopper( model.numberOfRowsProperty, {
+    centerX: this.layoutBounds.maxX / 2 - 80,
+    top: 10
+  } );
+
+  const board = new Board( {
+    x: hopper.centerX,
+    top: hopper.bottom + 10
+  } );
+
+  // create the model view transform based on the triangular board of the galton board (excluding the dropped shadow)
+  const viewTriangularBoardBounds = new Bounds2( board.left, board.top, board.left + board.size.width, board.top + board.size.height );
+  const modelViewTransform = ModelViewTransform2.createRectangleInvertedYMapping( model.galtonBoard.bounds, viewTriangularBoardBounds );
+
+  const pegsNode = new PegsNode( model.galtonBoard, model.numberOfRowsProperty, model.probabilityProperty, modelViewTransform, {
+    rowProbabilitiesProperty: model.rowProbabilitiesProperty,
+    canvasBounds: viewTriangularBoardBounds
+  } );
+
+  // The balls of a batch are not drawn once they have landed, they are counted in the mean of the batch, so BallsNode
+  // is given a histogram mode other than 'cylinder'.
+  const histogramModelBounds = PlinkoProbabilityConstants.HISTOGRAM_BOUNDS;
+  const ballViewBounds = modelViewTransform.modelToViewBounds( model.galtonBoard.bounds.union( histogramModelBounds ) ).dilated( 20 );
+  const ballsNode = new BallsNode( model.balls, model.numberOfRowsProperty, new StringProperty( 'counter' ), modelViewTransform, {
+    canvasBounds: ballViewBounds
+  } );
+
+  // the histogram of the sample means, where the histogram of the bins is on the other screens
+  const sampleMeansHistogramNode = new SampleMeansHistogramNode( model,
+    modelViewTransform.modelToViewBounds( histogramModelBounds ) );
+
+  const eraserButton = new EraserButton( {
+    iconWidth: 22,
+    scale: 1.4,
+    listener: function() { model.erase(); },
+    bottom: this.layoutBounds.maxY - 55,
+    left: 40
+  } );
+
+  const resetAllButton = new ResetAllButton( {
+    listener: function() { model.reset(); },
+    right: this.layoutBounds.maxX - PlinkoProbabilityConstants.PANEL_RIGHT_PADDING,
+    bottom: this.layoutBounds.maxY - 10
+  } );
+
+  // controls of the batches, at top right
+  const samplingControlPanel = new SamplingControlPanel( model, {
+    minWidth: PANEL_FIXED_WIDTH,
+    maxWidth: PANEL_FIXED_WIDTH,
+    right: this.layoutBounds.maxX - PlinkoProbabilityConstants.PANEL_RIGHT_PADDING,
+    top: 10
+  } );
+
+  // controls that modify the pegs in the galton board, below the controls of the batches
+  const pegControls = new PegControls( model.numberOfRowsProperty, model.probabilityProperty, {
+    minWidth: PANEL_FIXED_WIDTH,
+    maxWidth: PANEL_FIXED_WIDTH,
+    top: samplingControlPanel.bottom + PlinkoProbabilityConstants.PANEL_VERTICAL_SPACING,
+    right: samplingControlPanel.right
+  } );
+
+  // statistics of the sample means, below the peg controls
+  const statisticsPanel = new SampleMeansStatisticsPanel( model, {
+    minWidth: PANEL_FIXED_WIDTH,
+    maxWidth: PANEL_FIXED_WIDTH,
+    top: pegControls.bottom + PlinkoProbabilityConstants.PANEL_VERTICAL_SPACING,
+    right: samplingControlPanel.right
+  } );
+
+  // rendering order
+  this.addChild( board );
+  this.addChild( pegsNode );
+  this.addChild( sampleMeansHistogramNode );
+  this.addChild( ballsNode );
+  this.addChild( hopper );
+  this.addChild( eraserButton );
+  this.addChild( samplingControlPanel );
+  this.addChild( pegControls );
+  this.addChild( statisticsPanel );
+  this.addChild( resetAllButton );
+
+  // The balls are drawn only when they are shown falling through the pegs.
+  // unlink unnecessary since this instance exists for the lifetime of the sim.
+  model.isAnimatedProperty.link( function( isAnimated ) {
+    ballsNode.visible = isAnimated;
+  } );
+
+  // Repaint ballsNode when balls have moved.
+  model.ballsMovedEmitter.addListener( function() {
+    ballsNode.invalidatePaint();
+  } );
+
+  // pdom
+  this.pdomPlayAreaNode.accessibleOrder = [ samplingControlPanel, pegControls, statisticsPanel, eraserButton ];
+}
+
+plinkoProbability.register( 'SamplingScreenView', SamplingScreenView );
+
+inherit( ScreenView, SamplingScreenView );
+export default SamplingScreenView;